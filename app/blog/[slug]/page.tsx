@@ -1,7 +1,7 @@
 import type { Metadata } from 'next';
-import { getAllPostSlugs, getPostBySlug, getRelatedPosts } from '@/lib/posts';
+import { getAllPostSlugs, getPostBySlug, getRelatedPosts, getSeriesNavigation, getTagSlug } from '@/lib/posts';
 import { formatDate } from '@/lib/date-utils';
-import { markdownToHtml } from '@/lib/markdown';
+import { renderMarkdown } from '@/lib/markdown';
 import Link from 'next/link';
 import { notFound } from 'next/navigation';
 import { getBlogPostingSchema, getBreadcrumbSchema } from '@/lib/schema';
@@ -11,6 +11,8 @@ import CopyCodeButton from '@/components/CopyCodeButton';
 import TableOfContents from '@/components/TableOfContents';
 import RelatedPosts from '@/components/RelatedPosts';
 import ShareButtons from '@/components/ShareButtons';
+import SeriesIndex from '@/components/SeriesIndex';
+import SeriesNavigation from '@/components/SeriesNavigation';
 
 export async function generateStaticParams() {
   const slugs = getAllPostSlugs();
@@ -75,15 +77,16 @@ export default async function BlogPost({ params }: { params: Promise<{ slug: str
     notFound();
   }
 
-  const htmlContent = await markdownToHtml(post.content);
+  const { html: htmlContent, toc } = await renderMarkdown(post.content);
   const relatedPosts = getRelatedPosts(slug);
+  const seriesNavigation = getSeriesNavigation(slug);
   const postUrl = `${siteConfig.url}/blog/${slug}`;
 
   return (
     <>
       <ReadingProgress />
       <CopyCodeButton />
-      <TableOfContents />
+      <TableOfContents headings={toc} />
 
       {/* Article Header */}
       <section className="relative overflow-hidden bg-gradient-to-br from-[#fff7ed] via-[#f8f9fa] to-[#f0f4ff] dark:from-[#0f172a] dark:via-[#1e293b] dark:to-[#0f172a]">
@@ -97,12 +100,18 @@ export default async function BlogPost({ params }: { params: Promise<{ slug: str
             Back to Blog
           </Link>
 
+          {post.draft && (
+            <p className="inline-block mb-4 px-3 py-1 text-xs font-semibold uppercase tracking-wider text-[#e65100] bg-[#fff3e0] rounded-full">
+              Draft, not published yet
+            </p>
+          )}
+
           {post.tags.length > 0 && (
             <div className="flex flex-wrap gap-2 mb-5">
               {post.tags.map(tag => (
                 <Link
                   key={tag}
-                  href={`/blog/tags/${tag.toLowerCase().replace(/\s+/g, '-')}`}
+                  href={`/blog/tags/${getTagSlug(tag)}`}
                   className="tag-pill"
                 >
                   {tag}
@@ -131,14 +140,18 @@ export default async function BlogPost({ params }: { params: Promise<{ slug: str
 
       {/* Article Body */}
       <div className="max-w-3xl mx-auto px-4 py-12">
+        {seriesNavigation && <SeriesIndex navigation={seriesNavigation} />}
+
         <article>
-          {/* Content generated from markdown at build time via markdownToHtml */}
+          {/* Content generated from markdown at build time via renderMarkdown */}
           <div
             className="prose max-w-none"
             dangerouslySetInnerHTML={{ __html: htmlContent }}
           />
         </article>
 
+        {seriesNavigation && <SeriesNavigation navigation={seriesNavigation} />}
+
         <ShareButtons url={postUrl} title={post.title} />
 
         <RelatedPosts posts={relatedPosts} />
@@ -0,0 +1,14 @@
+import { feedResponse } from '@/lib/feeds';
+import { getAllTagSlugs } from '@/lib/posts';
+
+export const dynamic = 'force-static';
+export const dynamicParams = false;
+
+export async function generateStaticParams() {
+  return getAllTagSlugs().map((tag) => ({ tag }));
+}
+
+export async function GET(_request: Request, { params }: { params: Promise<{ tag: string }> }) {
+  const { tag } = await params;
+  return feedResponse('json', decodeURIComponent(tag));
+}
@@ -1,16 +1,21 @@
 import type { Metadata } from 'next';
 import Link from 'next/link';
-import { getAllTags, getPostsByTag } from '@/lib/posts';
+import { getAllTagSlugs, getPostsByTag, getTagSlug, type PostMetadata } from '@/lib/posts';
+import { getFeedAlternates, getFeedPath } from '@/lib/feeds';
 import BlogCard from '@/components/BlogCard';
 import { notFound } from 'next/navigation';
 import { getBreadcrumbSchema } from '@/lib/schema';
 import { siteConfig } from '@/lib/seo-config';
 
 export async function generateStaticParams() {
-  const tags = getAllTags();
-  return tags.map((tag) => ({
-    tag: tag.toLowerCase().replace(/\s+/g, '-'),
-  }));
+  // Tags that differ only in case or spacing share a page
+  return getAllTagSlugs().map((tag) => ({ tag }));
+}
+
+// The tag as the posts spell it ("web-dev" stays "web-dev", "open-source" may be "open source")
+function getTagName(posts: PostMetadata[], tag: string): string {
+  const slug = getTagSlug(decodeURIComponent(tag));
+  return posts.flatMap((post) => post.tags).find((t) => getTagSlug(t) === slug) ?? decodeURIComponent(tag);
 }
 
 export async function generateMetadata({
@@ -19,8 +24,8 @@ export async function generateMetadata({
   params: Promise<{ tag: string }>;
 }): Promise<Metadata> {
   const { tag } = await params;
-  const decodedTag = decodeURIComponent(tag).replace(/-/g, ' ');
-  const posts = getPostsByTag(decodedTag);
+  const posts = getPostsByTag(decodeURIComponent(tag));
+  const decodedTag = getTagName(posts, tag);
 
   if (posts.length === 0) {
     return {
@@ -36,6 +41,7 @@ export async function generateMetadata({
     description: `Browse ${posts.length} ${posts.length === 1 ? 'article' : 'articles'} about ${tagTitle}. ${siteConfig.description}`,
     alternates: {
       canonical: pageUrl,
+      types: getFeedAlternates(decodeURIComponent(tag)),
     },
     openGraph: {
       type: 'website',
@@ -57,8 +63,8 @@ export default async function TagPage({
   params: Promise<{ tag: string }>;
 }) {
   const { tag } = await params;
-  const decodedTag = decodeURIComponent(tag).replace(/-/g, ' ');
-  const posts = getPostsByTag(decodedTag);
+  const posts = getPostsByTag(decodeURIComponent(tag));
+  const decodedTag = getTagName(posts, tag);
 
   if (posts.length === 0) {
     notFound();
@@ -84,6 +90,14 @@ export default async function TagPage({
             {posts.length} {posts.length === 1 ? 'article' : 'articles'} tagged
             with &quot;{decodedTag}&quot;
           </p>
+          <p className="text-sm text-terminal-text mt-2">
+            Follow just this tag:{' '}
+            <a href={getFeedPath('rss', decodedTag)} className="text-terminal-accent hover:underline">RSS</a>
+            {' · '}
+            <a href={getFeedPath('atom', decodedTag)} className="text-terminal-accent hover:underline">Atom</a>
+            {' · '}
+            <a href={getFeedPath('json', decodedTag)} className="text-terminal-accent hover:underline">JSON Feed</a>
+          </p>
         </div>
 
         <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
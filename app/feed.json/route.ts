@@ -0,0 +1,7 @@
+import { feedResponse } from '@/lib/feeds';
+
+export const dynamic = 'force-static';
+
+export async function GET() {
+  return feedResponse('json');
+}
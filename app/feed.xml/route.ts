@@ -1,52 +1,7 @@
-import { getAllPosts } from '@/lib/posts';
-import { siteConfig } from '@/lib/seo-config';
+import { feedResponse } from '@/lib/feeds';
 
 export const dynamic = 'force-static';
 
-function escapeXml(unsafe: string): string {
-  return unsafe
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;')
-    .replace(/"/g, '&quot;')
-    .replace(/'/g, '&apos;');
-}
-
 export async function GET() {
-  const posts = getAllPosts();
-
-  const rssItems = posts
-    .map((post) => {
-      const postUrl = `${siteConfig.url}/blog/${post.slug}`;
-      return `
-    <item>
-      <title>${escapeXml(post.title)}</title>
-      <link>${postUrl}</link>
-      <guid isPermaLink="true">${postUrl}</guid>
-      <description>${escapeXml(post.excerpt)}</description>
-      <pubDate>${new Date(post.date).toUTCString()}</pubDate>
-      ${post.tags.map(tag => `<category>${escapeXml(tag)}</category>`).join('\n      ')}
-      <author>${siteConfig.author.email} (${siteConfig.author.name})</author>
-    </item>`;
-    })
-    .join('\n');
-
-  const rssFeed = `<?xml version="1.0" encoding="UTF-8"?>
-<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
-  <channel>
-    <title>${escapeXml(siteConfig.title)}</title>
-    <link>${siteConfig.url}</link>
-    <description>${escapeXml(siteConfig.description)}</description>
-    <language>en</language>
-    <lastBuildDate>${new Date().toUTCString()}</lastBuildDate>
-    <atom:link href="${siteConfig.url}/feed.xml" rel="self" type="application/rss+xml"/>
-    ${rssItems}
-  </channel>
-</rss>`;
-
-  return new Response(rssFeed, {
-    headers: {
-      'Content-Type': 'application/xml; charset=utf-8',
-    },
-  });
+  return feedResponse('rss');
 }
@@ -3,6 +3,7 @@ import "./globals.css";
 import Header from "@/components/Header";
 import Footer from "@/components/Footer";
 import { siteConfig } from "@/lib/seo-config";
+import { getFeedAlternates } from "@/lib/feeds";
 
 export const metadata: Metadata = {
   metadataBase: new URL(siteConfig.url),
@@ -17,9 +18,7 @@ export const metadata: Metadata = {
   publisher: siteConfig.author.name,
   alternates: {
     canonical: '/',
-    types: {
-      'application/rss+xml': '/feed.xml',
-    },
+    types: getFeedAlternates(),
   },
   openGraph: {
     type: "website",
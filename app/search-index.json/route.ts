@@ -0,0 +1,15 @@
+import { getAllPosts, getPostBySlug } from '@/lib/posts';
+import { buildSearchIndex } from '@/lib/search';
+
+export const dynamic = 'force-static';
+
+export async function GET() {
+  const posts = getAllPosts().map(({ slug }) => getPostBySlug(slug));
+  const index = buildSearchIndex(posts);
+
+  return new Response(JSON.stringify(index), {
+    headers: {
+      'Content-Type': 'application/json; charset=utf-8',
+    },
+  });
+}
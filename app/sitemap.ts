@@ -1,5 +1,5 @@
 import { MetadataRoute } from 'next'
-import { getAllPosts, getAllTags } from '@/lib/posts'
+import { getAllPosts, getAllTags, getTagSlug } from '@/lib/posts'
 
 export const dynamic = 'force-static'
 
@@ -22,7 +22,7 @@ export default function sitemap(): MetadataRoute.Sitemap {
 
   // Create sitemap entries for tag pages
   const tagEntries: MetadataRoute.Sitemap = tags.map((tag) => ({
-    url: `${baseUrl}/blog/tags/${tag.toLowerCase().replace(/\s+/g, '-')}`,
+    url: `${baseUrl}/blog/tags/${getTagSlug(tag)}`,
     lastModified: new Date(),
     changeFrequency: 'weekly',
     priority: 0.5,
@@ -1,12 +1,33 @@
 import Link from 'next/link';
 import type { PostMetadata } from '@/lib/posts';
 import { formatDate } from '@/lib/date-utils';
+import { highlight } from '@/lib/search';
 
 interface BlogCardProps {
   post: PostMetadata;
+  // Search terms to highlight, and the passage that matched them
+  highlightTerms?: string[];
+  snippet?: string;
 }
 
-export default function BlogCard({ post }: BlogCardProps) {
+function Highlighted({ text, terms }: { text: string; terms?: string[] }) {
+  if (!terms || terms.length === 0) return <>{text}</>;
+  return (
+    <>
+      {highlight(text, terms).map((segment, i) =>
+        segment.match ? (
+          <mark key={i} className="bg-[#fff3e0] dark:bg-[#e65100]/30 text-inherit rounded-sm px-0.5">
+            {segment.text}
+          </mark>
+        ) : (
+          segment.text
+        )
+      )}
+    </>
+  );
+}
+
+export default function BlogCard({ post, highlightTerms, snippet }: BlogCardProps) {
   return (
     <Link href={`/blog/${post.slug}`} className="block group">
       <article className="relative h-full bg-white dark:bg-gray-800/50 rounded-2xl border border-gray-100 dark:border-gray-700/50 p-6 transition-all duration-300 hover:shadow-xl hover:shadow-orange-100/50 dark:hover:shadow-orange-900/20 hover:-translate-y-1 hover:border-[#e65100]/20 overflow-hidden">
@@ -25,13 +46,19 @@ export default function BlogCard({ post }: BlogCardProps) {
         </div>
 
         <h3 className="text-base font-semibold text-terminal-highlight dark:text-gray-100 mb-2 group-hover:text-[#e65100] dark:group-hover:text-[#ff8a50] transition-colors leading-snug line-clamp-2">
-          {post.title}
+          <Highlighted text={post.title} terms={highlightTerms} />
         </h3>
 
         <p className="text-sm text-gray-500 dark:text-gray-400 mb-4 line-clamp-2 leading-relaxed">
-          {post.excerpt}
+          <Highlighted text={post.excerpt} terms={highlightTerms} />
         </p>
 
+        {snippet && snippet !== post.title && snippet !== post.excerpt && (
+          <p className="text-xs text-gray-500 dark:text-gray-400 mb-4 pl-3 border-l-2 border-[#e65100]/30 line-clamp-2 leading-relaxed">
+            <Highlighted text={snippet} terms={highlightTerms} />
+          </p>
+        )}
+
         <div className="flex items-center justify-between text-xs text-gray-400 dark:text-gray-500 mt-auto pt-3 border-t border-gray-100 dark:border-gray-700/50">
           <div className="flex items-center gap-1">
             <svg className="w-3.5 h-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 7V3m8 4V3m-9 8h10M5 21h14a2 2 0 002-2V7a2 2 0 00-2-2H5a2 2 0 00-2 2v12a2 2 0 002 2z" /></svg>
@@ -1,7 +1,22 @@
 'use client';
 
-import { useState } from 'react';
+import { useEffect, useMemo, useState } from 'react';
 import type { PostMetadata } from '@/lib/posts';
+import { loadSearchIndex, searchIndex, type SearchIndex, type SearchResult } from '@/lib/search';
+import {
+  DEFAULT_FILTERS,
+  LENGTH_OPTIONS,
+  SORT_OPTIONS,
+  countFacet,
+  filterPosts,
+  getPostYear,
+  getReadingLength,
+  getSortOrder,
+  parseFilters,
+  serializeFilters,
+  sortPosts,
+  type BlogFilters,
+} from '@/lib/blog-filters';
 import BlogCard from '@/components/BlogCard';
 
 interface BlogListClientProps {
@@ -9,33 +24,102 @@ interface BlogListClientProps {
   allTags: string[];
 }
 
+const selectClassName = 'px-4 py-2 border border-gray-200 dark:border-gray-600 rounded-xl bg-gray-50 dark:bg-gray-900/50 text-terminal-highlight dark:text-gray-100 cursor-pointer text-sm focus:outline-none focus:border-[#e65100] transition-colors';
+
 export default function BlogListClient({ posts, allTags }: BlogListClientProps) {
-  const [searchTerm, setSearchTerm] = useState('');
-  const [selectedTag, setSelectedTag] = useState<string | null>(null);
-  const [currentPage, setCurrentPage] = useState(1);
+  const [filters, setFilters] = useState<BlogFilters>(DEFAULT_FILTERS);
+  const [index, setIndex] = useState<SearchIndex | null>(null);
+
+  // Restore filters from the URL on load and on back/forward. ?q= also makes
+  // the SearchAction URL in the site schema work.
+  useEffect(() => {
+    const restore = () => setFilters(parseFilters(window.location.search));
+    restore();
+    window.addEventListener('popstate', restore);
+    return () => window.removeEventListener('popstate', restore);
+  }, []);
+
+  // Any change goes back to page 1 unless it sets the page. Typing replaces the
+  // current history entry; other changes add one, so Back undoes them.
+  const updateFilters = (changes: Partial<BlogFilters>, { push = true } = {}) => {
+    const next = { ...filters, page: 1, ...changes };
+    const url = `${window.location.pathname}${serializeFilters(next)}${window.location.hash}`;
+    if (push) {
+      window.history.pushState(window.history.state, '', url);
+    } else {
+      window.history.replaceState(window.history.state, '', url);
+    }
+    setFilters(next);
+  };
+
+  const searchTerm = filters.q.trim();
+
+  // The index is only fetched once someone searches
+  useEffect(() => {
+    if (index || !searchTerm) return;
+    let cancelled = false;
+    loadSearchIndex()
+      .then(loaded => {
+        if (!cancelled) setIndex(loaded);
+      })
+      .catch(error => console.error('Error loading search index:', error));
+    return () => {
+      cancelled = true;
+    };
+  }, [index, searchTerm]);
 
-  const filteredPosts = posts.filter(post => {
-    const searchMatch =
-      post.title.toLowerCase().includes(searchTerm.toLowerCase()) ||
-      post.excerpt.toLowerCase().includes(searchTerm.toLowerCase());
+  const results = useMemo<Map<string, SearchResult> | null>(() => {
+    if (!index || !searchTerm) return null;
+    return new Map(searchIndex(index, searchTerm).map(result => [result.slug, result]));
+  }, [index, searchTerm]);
 
-    const tagMatch = selectedTag
-      ? post.tags.some(tag => tag.toLowerCase() === selectedTag.toLowerCase())
-      : true;
+  // Posts matching the search: ranked once the index is in, plain title/excerpt matching until then
+  const matchedPosts = useMemo(() => {
+    if (!searchTerm) return posts;
+    if (results) {
+      const postsBySlug = new Map(posts.map(post => [post.slug, post]));
+      return [...results.keys()]
+        .map(slug => postsBySlug.get(slug))
+        .filter((post): post is PostMetadata => post !== undefined);
+    }
 
-    return searchMatch && tagMatch;
-  });
+    const term = searchTerm.toLowerCase();
+    return posts.filter(post =>
+      post.title.toLowerCase().includes(term) ||
+      post.excerpt.toLowerCase().includes(term)
+    );
+  }, [posts, results, searchTerm]);
+
+  const sortOrder = getSortOrder(filters);
+  const filteredPosts = useMemo(
+    () => sortPosts(filterPosts(matchedPosts, filters), sortOrder),
+    [matchedPosts, filters, sortOrder]
+  );
+
+  const tagCounts = useMemo(
+    () => countFacet(matchedPosts, filters, 'tags', post => post.tags.map(tag => tag.toLowerCase())),
+    [matchedPosts, filters]
+  );
+  const yearCounts = useMemo(() => countFacet(matchedPosts, filters, 'year', post => [getPostYear(post)]), [matchedPosts, filters]);
+  const lengthCounts = useMemo(() => countFacet(matchedPosts, filters, 'length', post => [getReadingLength(post)]), [matchedPosts, filters]);
+  const years = useMemo(() => [...new Set(posts.map(getPostYear))].sort((a, b) => b - a), [posts]);
+  // Lowercased tag -> display name, one entry per tag whatever its casing in posts
+  const tagNames = useMemo(() => {
+    const names = new Map<string, string>();
+    allTags.forEach(tag => {
+      if (!names.has(tag.toLowerCase())) names.set(tag.toLowerCase(), tag);
+    });
+    return names;
+  }, [allTags]);
 
   const postsPerPage = 12;
   const totalPages = Math.ceil(filteredPosts.length / postsPerPage);
-  const safePage = currentPage > totalPages && totalPages > 0 ? 1 : currentPage;
+  const safePage = filters.page > totalPages && totalPages > 0 ? 1 : filters.page;
   const startIndex = (safePage - 1) * postsPerPage;
   const endIndex = startIndex + postsPerPage;
   const paginatedPosts = filteredPosts.slice(startIndex, endIndex);
 
-  if (safePage !== currentPage) {
-    setCurrentPage(1);
-  }
+  const hasFilters = serializeFilters({ ...filters, sort: null, page: 1 }) !== '';
 
   return (
     <>
@@ -47,43 +131,91 @@ export default function BlogListClient({ posts, allTags }: BlogListClientProps)
               <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z" />
             </svg>
             <input
-              type="text"
+              type="search"
               placeholder="Search posts..."
-              value={searchTerm}
-              onChange={(e) => {
-                setSearchTerm(e.target.value);
-                setCurrentPage(1);
-              }}
+              aria-label="Search posts"
+              value={filters.q}
+              onChange={(e) => updateFilters({ q: e.target.value }, { push: false })}
               className="w-full pl-12 pr-4 py-3 border border-gray-200 dark:border-gray-600 rounded-xl text-terminal-highlight dark:text-gray-100 placeholder-gray-400 bg-gray-50 dark:bg-gray-900/50 focus:outline-none focus:border-[#e65100] focus:ring-2 focus:ring-[#e65100]/10 focus:bg-white dark:focus:bg-gray-900 text-sm transition-all"
             />
           </div>
         </div>
 
         <div className="flex flex-wrap justify-between items-center gap-3">
-          <div className="flex gap-2 items-center">
+          <div className="flex flex-wrap gap-2 items-center">
             <select
               id="tag-filter"
-              value={selectedTag || ''}
+              aria-label="Add a tag filter"
+              value=""
               onChange={(e) => {
-                setSelectedTag(e.target.value || null);
-                setCurrentPage(1);
+                if (e.target.value) updateFilters({ tags: [...filters.tags, e.target.value] });
               }}
-              className="px-4 py-2 border border-gray-200 dark:border-gray-600 rounded-xl bg-gray-50 dark:bg-gray-900/50 text-terminal-highlight dark:text-gray-100 cursor-pointer text-sm focus:outline-none focus:border-[#e65100] transition-colors"
+              className={selectClassName}
+            >
+              <option value="">{filters.tags.length > 0 ? 'Add a tag' : 'All Tags'}</option>
+              {[...tagNames]
+                .filter(([tag]) => !filters.tags.includes(tag))
+                .map(([tag, name]) => {
+                  const count = tagCounts.get(tag) || 0;
+                  return (
+                    <option key={tag} value={tag} disabled={count === 0}>
+                      {name} ({count})
+                    </option>
+                  );
+                })}
+            </select>
+            <select
+              id="year-filter"
+              aria-label="Filter by year"
+              value={filters.year ?? ''}
+              onChange={(e) => updateFilters({ year: e.target.value ? Number(e.target.value) : null })}
+              className={selectClassName}
             >
-              <option value="">All Tags</option>
-              {allTags.map(tag => (
-                <option key={tag} value={tag.toLowerCase()}>
-                  {tag}
+              <option value="">All Years</option>
+              {years.map(year => (
+                <option key={year} value={year}>
+                  {year} ({yearCounts.get(year) || 0})
                 </option>
               ))}
             </select>
-            {(searchTerm || selectedTag) && (
+            <select
+              id="length-filter"
+              aria-label="Filter by reading time"
+              value={filters.length ?? ''}
+              onChange={(e) => {
+                const length = LENGTH_OPTIONS.find(option => option.value === e.target.value);
+                updateFilters({ length: length ? length.value : null });
+              }}
+              className={selectClassName}
+            >
+              <option value="">Any Length</option>
+              {LENGTH_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>
+                  {option.label} ({lengthCounts.get(option.value) || 0})
+                </option>
+              ))}
+            </select>
+            <select
+              id="sort-order"
+              aria-label="Sort posts"
+              value={sortOrder}
+              onChange={(e) => {
+                const sort = SORT_OPTIONS.find(option => option.value === e.target.value);
+                updateFilters({ sort: sort ? sort.value : null });
+              }}
+              className={selectClassName}
+            >
+              {SORT_OPTIONS
+                .filter(option => option.value !== 'relevance' || searchTerm)
+                .map(option => (
+                  <option key={option.value} value={option.value}>
+                    {option.label}
+                  </option>
+                ))}
+            </select>
+            {hasFilters && (
               <button
-                onClick={() => {
-                  setSearchTerm('');
-                  setSelectedTag(null);
-                  setCurrentPage(1);
-                }}
+                onClick={() => updateFilters({ ...DEFAULT_FILTERS, sort: filters.sort })}
                 className="text-xs text-[#e65100] hover:text-[#d94e00] cursor-pointer font-semibold px-3 py-1.5 rounded-lg hover:bg-[#fff3e0] transition-colors"
               >
                 Clear filters
@@ -96,6 +228,40 @@ export default function BlogListClient({ posts, allTags }: BlogListClientProps)
               : `${filteredPosts.length} posts`}
           </div>
         </div>
+
+        {filters.tags.length > 0 && (
+          <div className="flex flex-wrap gap-2 items-center mt-4">
+            {filters.tags.map(tag => (
+              <button
+                key={tag}
+                onClick={() => updateFilters({ tags: filters.tags.filter(t => t !== tag) })}
+                aria-label={`Remove tag ${tagNames.get(tag) || tag}`}
+                className="tag-pill inline-flex items-center gap-1 cursor-pointer"
+              >
+                {tagNames.get(tag) || tag}
+                <span aria-hidden="true">×</span>
+              </button>
+            ))}
+            {filters.tags.length > 1 && (
+              <div className="inline-flex rounded-full border border-gray-200 dark:border-gray-600 overflow-hidden text-xs" role="group" aria-label="Tag match mode">
+                {(['any', 'all'] as const).map(match => (
+                  <button
+                    key={match}
+                    onClick={() => updateFilters({ match })}
+                    aria-pressed={filters.match === match}
+                    className={`px-3 py-1 cursor-pointer transition-colors ${
+                      filters.match === match
+                        ? 'bg-[#e65100] text-white'
+                        : 'text-gray-500 dark:text-gray-400 hover:text-[#e65100]'
+                    }`}
+                  >
+                    {match === 'any' ? 'Any tag' : 'All tags'}
+                  </button>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
       </div>
 
       {/* Blog Cards Grid */}
@@ -107,7 +273,12 @@ export default function BlogListClient({ posts, allTags }: BlogListClientProps)
       ) : (
         <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
           {paginatedPosts.map(post => (
-            <BlogCard key={post.slug} post={post} />
+            <BlogCard
+              key={post.slug}
+              post={post}
+              highlightTerms={results?.get(post.slug)?.terms}
+              snippet={results?.get(post.slug)?.snippet}
+            />
           ))}
         </div>
       )}
@@ -116,7 +287,7 @@ export default function BlogListClient({ posts, allTags }: BlogListClientProps)
       {totalPages > 1 && (
         <div className="mt-12 flex justify-center items-center gap-3">
           <button
-            onClick={() => setCurrentPage(Math.max(1, safePage - 1))}
+            onClick={() => updateFilters({ page: Math.max(1, safePage - 1) })}
             disabled={safePage === 1}
             className="inline-flex items-center gap-1.5 px-4 py-2 text-sm font-medium rounded-full border border-gray-200 text-terminal-highlight hover:border-[#e65100] hover:text-[#e65100] disabled:text-gray-300 disabled:border-gray-100 cursor-pointer disabled:cursor-not-allowed transition-all duration-200 hover:-translate-y-0.5 disabled:hover:translate-y-0"
           >
@@ -127,7 +298,7 @@ export default function BlogListClient({ posts, allTags }: BlogListClientProps)
             <strong className="text-terminal-highlight">{safePage}</strong> / {totalPages}
           </span>
           <button
-            onClick={() => setCurrentPage(Math.min(totalPages, safePage + 1))}
+            onClick={() => updateFilters({ page: Math.min(totalPages, safePage + 1) })}
             disabled={safePage === totalPages}
             className="inline-flex items-center gap-1.5 px-4 py-2 text-sm font-medium rounded-full border border-gray-200 text-terminal-highlight hover:border-[#e65100] hover:text-[#e65100] disabled:text-gray-300 disabled:border-gray-100 cursor-pointer disabled:cursor-not-allowed transition-all duration-200 hover:-translate-y-0.5 disabled:hover:translate-y-0"
           >
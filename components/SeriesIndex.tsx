@@ -0,0 +1,29 @@
+import Link from 'next/link';
+import type { SeriesNavigation } from '@/lib/posts';
+
+// Every part of the series, with the current post highlighted
+export default function SeriesIndex({ navigation }: { navigation: SeriesNavigation }) {
+  const { series, parts, index, part } = navigation;
+  return (
+    <nav aria-label={`${series.name} series`} className="mb-10 rounded-2xl border border-gray-200 dark:border-gray-700/50 bg-white dark:bg-gray-800/50 p-5">
+      <p className="text-xs font-semibold uppercase tracking-wider text-[#e65100] mb-1">
+        Series · Part {part} of {parts[parts.length - 1]}
+      </p>
+      <h2 className="text-lg font-bold text-terminal-highlight dark:text-gray-100 mb-3">{series.name}</h2>
+      <ol className="space-y-1.5 text-sm">
+        {series.posts.map((post, i) => (
+          <li key={post.slug} className="flex gap-2">
+            <span className="text-gray-400 tabular-nums">{parts[i]}.</span>
+            {i === index ? (
+              <span aria-current="page" className="font-semibold text-terminal-highlight dark:text-gray-100">{post.title}</span>
+            ) : (
+              <Link href={`/blog/${post.slug}`} className="text-gray-600 dark:text-gray-400 hover:text-[#e65100] transition-colors">
+                {post.title}
+              </Link>
+            )}
+          </li>
+        ))}
+      </ol>
+    </nav>
+  );
+}
@@ -0,0 +1,23 @@
+import Link from 'next/link';
+import type { SeriesNavigation as SeriesNavigationData } from '@/lib/posts';
+
+// Previous / next part links at the end of a series post
+export default function SeriesNavigation({ navigation }: { navigation: SeriesNavigationData }) {
+  const { series, parts, index, previous, next } = navigation;
+  return (
+    <nav aria-label={`${series.name} series navigation`} className="mt-12 grid grid-cols-1 sm:grid-cols-2 gap-4">
+      {previous ? (
+        <Link href={`/blog/${previous.slug}`} className="group block rounded-2xl border border-gray-200 dark:border-gray-700/50 p-5 hover:border-[#e65100]/40 transition-colors">
+          <span className="block text-xs font-medium text-gray-500 mb-1">← Part {parts[index - 1]}</span>
+          <span className="block text-sm font-semibold text-terminal-highlight dark:text-gray-100 group-hover:text-[#e65100] transition-colors">{previous.title}</span>
+        </Link>
+      ) : <div className="hidden sm:block" />}
+      {next && (
+        <Link href={`/blog/${next.slug}`} className="group block rounded-2xl border border-gray-200 dark:border-gray-700/50 p-5 text-right hover:border-[#e65100]/40 transition-colors">
+          <span className="block text-xs font-medium text-gray-500 mb-1">Part {parts[index + 1]} →</span>
+          <span className="block text-sm font-semibold text-terminal-highlight dark:text-gray-100 group-hover:text-[#e65100] transition-colors">{next.title}</span>
+        </Link>
+      )}
+    </nav>
+  );
+}
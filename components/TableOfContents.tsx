@@ -1,41 +1,16 @@
 'use client';
 
 import { useEffect, useState } from 'react';
+import type { TocItem } from '@/lib/markdown';
 
-interface TocItem {
-  id: string;
-  text: string;
-  level: number;
+interface TableOfContentsProps {
+  // Built from the markdown at build time, so the links work without JavaScript
+  headings: TocItem[];
 }
 
-export default function TableOfContents() {
-  const [headings, setHeadings] = useState<TocItem[]>([]);
+export default function TableOfContents({ headings }: TableOfContentsProps) {
   const [activeId, setActiveId] = useState('');
 
-  useEffect(() => {
-    const prose = document.querySelector('.prose');
-    if (!prose) return;
-
-    const elements = prose.querySelectorAll('h2, h3');
-    const items: TocItem[] = [];
-
-    elements.forEach((el) => {
-      if (!el.id) {
-        el.id = el.textContent
-          ?.toLowerCase()
-          .replace(/[^a-z0-9]+/g, '-')
-          .replace(/(^-|-$)/g, '') || '';
-      }
-      items.push({
-        id: el.id,
-        text: el.textContent || '',
-        level: el.tagName === 'H2' ? 2 : 3,
-      });
-    });
-
-    setHeadings(items);
-  }, []);
-
   useEffect(() => {
     if (headings.length === 0) return;
 
@@ -58,7 +33,7 @@ export default function TableOfContents() {
   if (headings.length < 3) return null;
 
   return (
-    <nav className="hidden xl:block fixed right-[max(1rem,calc((100vw-768px)/2-280px))] top-24 w-56 max-h-[calc(100vh-8rem)] overflow-y-auto">
+    <nav aria-label="Table of contents" className="hidden xl:block fixed right-[max(1rem,calc((100vw-768px)/2-280px))] top-24 w-56 max-h-[calc(100vh-8rem)] overflow-y-auto">
       <p className="text-xs font-semibold text-gray-400 dark:text-gray-500 uppercase tracking-wider mb-3">
         On this page
       </p>
@@ -70,6 +45,7 @@ export default function TableOfContents() {
               onClick={(e) => {
                 e.preventDefault();
                 document.getElementById(id)?.scrollIntoView({ behavior: 'smooth' });
+                window.history.replaceState(window.history.state, '', `#${id}`);
               }}
               className={`block text-xs leading-relaxed py-1 transition-colors duration-200 border-l-2 -ml-px ${
                 level === 3 ? 'pl-5' : 'pl-3'
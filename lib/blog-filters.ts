@@ -0,0 +1,152 @@
+import type { PostMetadata } from './posts';
+
+// Blog index filters, sorting and page, kept in the URL query string so
+// filtered views can be shared, bookmarked and restored on reload.
+
+export type TagMatch = 'any' | 'all';
+export type ReadingLength = 'short' | 'medium' | 'long';
+export type SortOrder = 'relevance' | 'newest' | 'oldest' | 'longest' | 'featured';
+
+export interface BlogFilters {
+  q: string;
+  // Lowercased tag names
+  tags: string[];
+  match: TagMatch;
+  year: number | null;
+  length: ReadingLength | null;
+  // null picks the default: relevance while searching, newest otherwise
+  sort: SortOrder | null;
+  page: number;
+}
+
+export const DEFAULT_FILTERS: BlogFilters = {
+  q: '',
+  tags: [],
+  match: 'any',
+  year: null,
+  length: null,
+  sort: null,
+  page: 1,
+};
+
+export const LENGTH_OPTIONS: { value: ReadingLength; label: string; min: number; max: number }[] = [
+  { value: 'short', label: 'Quick reads (≤ 5 min)', min: 0, max: 5 },
+  { value: 'medium', label: '6–10 min', min: 6, max: 10 },
+  { value: 'long', label: 'Long reads (> 10 min)', min: 11, max: Infinity },
+];
+
+export const SORT_OPTIONS: { value: SortOrder; label: string }[] = [
+  { value: 'relevance', label: 'Best match' },
+  { value: 'newest', label: 'Newest' },
+  { value: 'oldest', label: 'Oldest' },
+  { value: 'longest', label: 'Longest' },
+  { value: 'featured', label: 'Featured first' },
+];
+
+export function getPostYear(post: PostMetadata): number {
+  return new Date(post.date).getUTCFullYear();
+}
+
+// "7 min read" -> 7
+export function getReadingMinutes(post: PostMetadata): number {
+  return parseInt(post.readingTime, 10) || 0;
+}
+
+export function getReadingLength(post: PostMetadata): ReadingLength {
+  const minutes = getReadingMinutes(post);
+  return LENGTH_OPTIONS.find(option => minutes >= option.min && minutes <= option.max)?.value || 'long';
+}
+
+export function getSortOrder(filters: BlogFilters): SortOrder {
+  const searching = filters.q.trim() !== '';
+  if (!filters.sort || (filters.sort === 'relevance' && !searching)) {
+    return searching ? 'relevance' : 'newest';
+  }
+  return filters.sort;
+}
+
+export function parseFilters(search: string): BlogFilters {
+  const params = new URLSearchParams(search);
+  const year = parseInt(params.get('year') || '', 10);
+  const page = parseInt(params.get('page') || '', 10);
+  const length = params.get('length');
+  const sort = params.get('sort');
+
+  return {
+    q: params.get('q') || '',
+    tags: [...new Set(params.getAll('tag').map(tag => tag.toLowerCase()).filter(Boolean))],
+    match: params.get('match') === 'all' ? 'all' : 'any',
+    year: Number.isFinite(year) ? year : null,
+    length: LENGTH_OPTIONS.some(option => option.value === length) ? (length as ReadingLength) : null,
+    sort: SORT_OPTIONS.some(option => option.value === sort) ? (sort as SortOrder) : null,
+    page: Number.isFinite(page) && page > 1 ? page : 1,
+  };
+}
+
+// Query string for the filters, leaving out defaults ('' when everything is default)
+export function serializeFilters(filters: BlogFilters): string {
+  const params = new URLSearchParams();
+  if (filters.q.trim()) params.set('q', filters.q);
+  filters.tags.forEach(tag => params.append('tag', tag));
+  if (filters.tags.length > 1 && filters.match === 'all') params.set('match', 'all');
+  if (filters.year !== null) params.set('year', String(filters.year));
+  if (filters.length) params.set('length', filters.length);
+  if (filters.sort) params.set('sort', filters.sort);
+  if (filters.page > 1) params.set('page', String(filters.page));
+
+  const query = params.toString();
+  return query ? `?${query}` : '';
+}
+
+// Apply the tag, year and reading time filters; search matching happens before this
+export function filterPosts(posts: PostMetadata[], filters: BlogFilters): PostMetadata[] {
+  return posts.filter(post => {
+    if (filters.tags.length > 0) {
+      const postTags = new Set(post.tags.map(tag => tag.toLowerCase()));
+      const tagMatch = filters.match === 'all'
+        ? filters.tags.every(tag => postTags.has(tag))
+        : filters.tags.some(tag => postTags.has(tag));
+      if (!tagMatch) return false;
+    }
+    if (filters.year !== null && getPostYear(post) !== filters.year) return false;
+    if (filters.length && getReadingLength(post) !== filters.length) return false;
+    return true;
+  });
+}
+
+const byNewest = (a: PostMetadata, b: PostMetadata) =>
+  new Date(b.date).getTime() - new Date(a.date).getTime();
+
+// Relevance keeps the order the posts came in (ranked search results)
+export function sortPosts(posts: PostMetadata[], order: SortOrder): PostMetadata[] {
+  const sorted = [...posts];
+  switch (order) {
+    case 'newest':
+      return sorted.sort(byNewest);
+    case 'oldest':
+      return sorted.sort((a, b) => byNewest(b, a));
+    case 'longest':
+      return sorted.sort((a, b) => getReadingMinutes(b) - getReadingMinutes(a) || byNewest(a, b));
+    case 'featured':
+      return sorted.sort((a, b) => Number(!!b.featured) - Number(!!a.featured) || byNewest(a, b));
+    default:
+      return sorted;
+  }
+}
+
+// How many posts each value of a facet would leave, given the other filters
+export function countFacet<T>(
+  posts: PostMetadata[],
+  filters: BlogFilters,
+  facet: 'tags' | 'year' | 'length',
+  valuesOf: (post: PostMetadata) => T[]
+): Map<T, number> {
+  const others: BlogFilters = facet === 'tags'
+    ? { ...filters, tags: filters.match === 'all' ? filters.tags : [] }
+    : { ...filters, [facet]: null };
+  const counts = new Map<T, number>();
+  filterPosts(posts, others).forEach(post => {
+    new Set(valuesOf(post)).forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+  });
+  return counts;
+}
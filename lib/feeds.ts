@@ -0,0 +1,216 @@
+import { getAllPosts, getPostBySlug, getPostsByTag, getTagSlug, type PostMetadata } from './posts';
+import { markdownToHtml } from './markdown';
+import { siteConfig } from './seo-config';
+
+export type FeedFormat = 'rss' | 'atom' | 'json';
+
+export const FEED_FILES: Record<FeedFormat, string> = {
+  rss: 'feed.xml',
+  atom: 'atom.xml',
+  json: 'feed.json',
+};
+
+export const FEED_CONTENT_TYPES: Record<FeedFormat, string> = {
+  rss: 'application/rss+xml',
+  atom: 'application/atom+xml',
+  json: 'application/feed+json',
+};
+
+interface FeedItem {
+  post: PostMetadata;
+  url: string;
+  published: Date;
+  updated: Date;
+  // Rendered post body, when feed.fullContent is on
+  html?: string;
+}
+
+interface Feed {
+  title: string;
+  description: string;
+  // Page the feed belongs to (the site, or a tag page)
+  homeUrl: string;
+  // Path prefix of the feed files ('' for the site, /blog/tags/<tag> for a tag)
+  basePath: string;
+  // Newest post date or update across all of the feed's posts, so the feed only changes when a post does
+  updated: Date;
+  items: FeedItem[];
+}
+
+function escapeXml(unsafe: string): string {
+  return unsafe
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function cdata(text: string): string {
+  return `<![CDATA[${text.replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+}
+
+function getFeedBasePath(tag?: string): string {
+  return tag ? `/blog/tags/${encodeURIComponent(getTagSlug(tag))}` : '';
+}
+
+// Path of a feed file, e.g. /feed.xml or /blog/tags/rust/atom.xml
+export function getFeedPath(format: FeedFormat, tag?: string): string {
+  return `${getFeedBasePath(tag)}/${FEED_FILES[format]}`;
+}
+
+// Feed links for a page's metadata.alternates.types
+export function getFeedAlternates(tag?: string): Record<string, string> {
+  return Object.fromEntries(
+    (Object.keys(FEED_FILES) as FeedFormat[]).map(format => [FEED_CONTENT_TYPES[format], getFeedPath(format, tag)])
+  );
+}
+
+// Rendered once per post per process; the site and tag feeds share it
+const renderedPosts = new Map<string, Promise<string>>();
+
+function renderPost(slug: string): Promise<string> {
+  if (!renderedPosts.has(slug)) {
+    renderedPosts.set(
+      slug,
+      // Feed readers don't know the site, so root-relative links need the domain
+      markdownToHtml(getPostBySlug(slug).content, { headingAnchors: false }).then(html =>
+        html.replace(/(href|src)="\/(?!\/)/g, `$1="${siteConfig.url}/`)
+      )
+    );
+  }
+  return renderedPosts.get(slug)!;
+}
+
+// The site feed, or a tag's feed (tag given as its name or slug); null for an unknown tag
+export async function getFeed(tag?: string): Promise<Feed | null> {
+  const posts = tag ? getPostsByTag(tag) : getAllPosts();
+  if (tag && posts.length === 0) return null;
+
+  const basePath = getFeedBasePath(tag);
+  const tagName = tag && posts.flatMap(post => post.tags).find(t => getTagSlug(t) === getTagSlug(tag));
+  // Over every post, not just the listed ones: a refreshed older post bumps the feed too
+  const updated = Math.max(0, ...posts.map(post => new Date(post.updated || post.date).getTime()));
+  const items = await Promise.all(
+    posts.slice(0, siteConfig.feed.limit).map(async post => ({
+      post,
+      url: `${siteConfig.url}/blog/${post.slug}`,
+      published: new Date(post.date),
+      updated: new Date(post.updated || post.date),
+      html: siteConfig.feed.fullContent ? await renderPost(post.slug) : undefined,
+    }))
+  );
+
+  return {
+    title: tagName ? `${siteConfig.name} — ${tagName}` : siteConfig.title,
+    description: tagName ? `Posts tagged "${tagName}" by ${siteConfig.author.name}` : siteConfig.description,
+    homeUrl: `${siteConfig.url}${basePath}`,
+    basePath,
+    updated: new Date(updated),
+    items,
+  };
+}
+
+export function renderRss(feed: Feed): string {
+  const items = feed.items
+    .map(({ post, url, published, html }) => `
+    <item>
+      <title>${escapeXml(post.title)}</title>
+      <link>${url}</link>
+      <guid isPermaLink="true">${url}</guid>
+      <description>${escapeXml(post.excerpt)}</description>${html ? `
+      <content:encoded>${cdata(html)}</content:encoded>` : ''}
+      <pubDate>${published.toUTCString()}</pubDate>
+      ${post.tags.map(tag => `<category>${escapeXml(tag)}</category>`).join('\n      ')}
+      <author>${siteConfig.author.email} (${siteConfig.author.name})</author>
+    </item>`)
+    .join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/">
+  <channel>
+    <title>${escapeXml(feed.title)}</title>
+    <link>${feed.homeUrl}</link>
+    <description>${escapeXml(feed.description)}</description>
+    <language>en</language>
+    <lastBuildDate>${feed.updated.toUTCString()}</lastBuildDate>
+    <atom:link href="${siteConfig.url}${feed.basePath}/${FEED_FILES.rss}" rel="self" type="${FEED_CONTENT_TYPES.rss}"/>
+    ${items}
+  </channel>
+</rss>`;
+}
+
+export function renderAtom(feed: Feed): string {
+  const entries = feed.items
+    .map(({ post, url, published, updated, html }) => `
+  <entry>
+    <id>${url}</id>
+    <title>${escapeXml(post.title)}</title>
+    <link rel="alternate" type="text/html" href="${url}"/>
+    <published>${published.toISOString()}</published>
+    <updated>${updated.toISOString()}</updated>
+    <summary>${escapeXml(post.excerpt)}</summary>${html ? `
+    <content type="html">${escapeXml(html)}</content>` : ''}
+    ${post.tags.map(tag => `<category term="${escapeXml(tag)}"/>`).join('\n    ')}
+  </entry>`)
+    .join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="en">
+  <id>${feed.homeUrl}/</id>
+  <title>${escapeXml(feed.title)}</title>
+  <subtitle>${escapeXml(feed.description)}</subtitle>
+  <link rel="self" type="${FEED_CONTENT_TYPES.atom}" href="${siteConfig.url}${feed.basePath}/${FEED_FILES.atom}"/>
+  <link rel="alternate" type="text/html" href="${feed.homeUrl}"/>
+  <updated>${feed.updated.toISOString()}</updated>
+  <author>
+    <name>${escapeXml(siteConfig.author.name)}</name>
+    <uri>${siteConfig.author.url}</uri>
+  </author>
+  ${entries}
+</feed>`;
+}
+
+// JSON Feed 1.1: https://jsonfeed.org/version/1.1
+export function renderJsonFeed(feed: Feed): string {
+  return JSON.stringify({
+    version: 'https://jsonfeed.org/version/1.1',
+    title: feed.title,
+    home_page_url: feed.homeUrl,
+    feed_url: `${siteConfig.url}${feed.basePath}/${FEED_FILES.json}`,
+    description: feed.description,
+    language: 'en',
+    authors: [{ name: siteConfig.author.name, url: siteConfig.author.url }],
+    items: feed.items.map(({ post, url, published, updated, html }) => ({
+      id: url,
+      url,
+      title: post.title,
+      summary: post.excerpt,
+      // An item needs one of content_html or content_text
+      ...(html ? { content_html: html } : { content_text: post.excerpt }),
+      ...(post.coverImage ? { image: new URL(post.coverImage, siteConfig.url).href } : {}),
+      date_published: published.toISOString(),
+      date_modified: updated.toISOString(),
+      tags: post.tags,
+    })),
+  }, null, 2);
+}
+
+const renderers: Record<FeedFormat, (feed: Feed) => string> = {
+  rss: renderRss,
+  atom: renderAtom,
+  json: renderJsonFeed,
+};
+
+// Route handler body for a feed; 404 for a tag without posts
+export async function feedResponse(format: FeedFormat, tag?: string): Promise<Response> {
+  const feed = await getFeed(tag);
+  if (!feed) {
+    return new Response('Not found', { status: 404 });
+  }
+  return new Response(renderers[format](feed), {
+    headers: {
+      'Content-Type': `${format === 'json' ? 'application/feed+json' : 'application/xml'}; charset=utf-8`,
+    },
+  });
+}
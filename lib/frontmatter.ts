@@ -0,0 +1,130 @@
+import type { PostMetadata } from './posts';
+
+// Frontmatter schema for posts. lib/posts checks every post against it at build
+// time; `npm run validate-schema` runs the same check before committing.
+// scripts/validate-frontmatter.js repairs the formatting problems it can.
+
+export type FrontmatterMode = 'warn' | 'fail';
+
+export interface FrontmatterIssue {
+  field: string;
+  reason: string;
+}
+
+export interface InvalidPost {
+  file: string;
+  issues: FrontmatterIssue[];
+}
+
+// Every PostMetadata field that comes from frontmatter
+type FrontmatterFields = Omit<PostMetadata, 'slug' | 'readingTime'>;
+
+interface FieldRule {
+  required?: boolean;
+  // Reason the value is invalid, or null when it is fine
+  check: (value: unknown) => string | null;
+}
+
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})(?:T[\d:.]+(?:Z|[+-]\d{2}:?\d{2})?)?$/;
+
+// YYYY-MM-DD for a valid date (gray-matter turns unquoted dates into Date objects), else null
+export function normalizeDate(value: unknown): string | null {
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime()) ? null : value.toISOString().split('T')[0];
+  }
+  if (typeof value !== 'string') return null;
+
+  const match = value.trim().match(DATE_PATTERN);
+  if (!match) return null;
+  const [, year, month, day] = match;
+  const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+  // Reject dates that roll over, like 2026-02-30
+  return date.getUTCMonth() === Number(month) - 1 && date.getUTCDate() === Number(day)
+    ? `${year}-${month}-${day}`
+    : null;
+}
+
+const text = (value: unknown) =>
+  typeof value === 'string' && value.trim() ? null : 'must be a non-empty string';
+const date = (value: unknown) =>
+  normalizeDate(value) ? null : `"${String(value)}" is not a valid YYYY-MM-DD date`;
+const boolean = (value: unknown) =>
+  typeof value === 'boolean' ? null : `must be true or false, got ${JSON.stringify(value)}`;
+
+export const FRONTMATTER_SCHEMA: { [K in keyof FrontmatterFields]-?: FieldRule } = {
+  title: { required: true, check: text },
+  date: { required: true, check: date },
+  updated: { check: date },
+  excerpt: { required: true, check: text },
+  tags: {
+    required: true,
+    check: value => {
+      if (!Array.isArray(value)) return `must be a list of tags, got ${JSON.stringify(value)}`;
+      const bad = value.find(tag => typeof tag !== 'string' || !tag.trim());
+      return bad === undefined ? null : `${JSON.stringify(bad)} is not a tag name`;
+    },
+  },
+  featured: { check: boolean },
+  draft: { check: boolean },
+  coverImage: { check: value => (typeof value === 'string' ? null : 'must be a path or URL') },
+  series: { check: text },
+  seriesPart: {
+    check: value =>
+      Number.isInteger(value) && (value as number) > 0 ? null : `"${String(value)}" is not a positive whole number`,
+  },
+};
+
+export function validateFrontmatter(data: Record<string, unknown>): FrontmatterIssue[] {
+  const schema: Record<string, FieldRule> = FRONTMATTER_SCHEMA;
+  const issues: FrontmatterIssue[] = [];
+
+  Object.keys(data)
+    .filter(field => !(field in schema))
+    .forEach(field => issues.push({ field, reason: 'unknown field' }));
+
+  Object.entries(schema).forEach(([field, rule]) => {
+    const value = data[field];
+    if (value === undefined || value === null) {
+      if (rule.required) issues.push({ field, reason: 'missing' });
+      return;
+    }
+    const reason = rule.check(value);
+    if (reason) issues.push({ field, reason });
+  });
+
+  const published = normalizeDate(data.date);
+  const updated = normalizeDate(data.updated);
+  if (published && updated && updated < published) {
+    issues.push({ field: 'updated', reason: `${updated} is before the post date ${published}` });
+  }
+  if ((data.series == null) !== (data.seriesPart == null)) {
+    issues.push({ field: data.series == null ? 'series' : 'seriesPart', reason: 'series and seriesPart go together' });
+  }
+
+  return issues;
+}
+
+// BLOG_FRONTMATTER_MODE=warn|fail; production builds fail by default, dev only warns
+export function getFrontmatterMode(): FrontmatterMode {
+  const mode = process.env.BLOG_FRONTMATTER_MODE;
+  if (mode === 'warn' || mode === 'fail') return mode;
+  return process.env.NODE_ENV === 'production' ? 'fail' : 'warn';
+}
+
+export function formatFrontmatterReport(invalid: InvalidPost[]): string {
+  const lines = invalid.flatMap(({ file, issues }) => [
+    file,
+    ...issues.map(({ field, reason }) => `  ${field}: ${reason}`),
+  ]);
+  return `Invalid frontmatter in ${invalid.length} post(s):\n${lines.join('\n')}`;
+}
+
+export class FrontmatterError extends Error {
+  invalid: InvalidPost[];
+
+  constructor(invalid: InvalidPost[]) {
+    super(formatFrontmatterReport(invalid));
+    this.name = 'FrontmatterError';
+    this.invalid = invalid;
+  }
+}
@@ -2,17 +2,69 @@ import { unified } from 'unified';
 import remarkParse from 'remark-parse';
 import remarkGfm from 'remark-gfm';
 import remarkRehype from 'remark-rehype';
+import rehypeSlug from 'rehype-slug';
+import rehypeAutolinkHeadings from 'rehype-autolink-headings';
 import rehypeHighlight from 'rehype-highlight';
 import rehypeStringify from 'rehype-stringify';
+import { toString } from 'hast-util-to-string';
+import { visit } from 'unist-util-visit';
+import type { Root } from 'hast';
 
-export async function markdownToHtml(markdown: string): Promise<string> {
-  const result = await unified()
+export interface TocItem {
+  id: string;
+  text: string;
+  level: number;
+}
+
+export interface RenderedMarkdown {
+  html: string;
+  // h2 and h3 headings, in document order
+  toc: TocItem[];
+}
+
+export interface MarkdownOptions {
+  // Add a "#" link to each heading (off for feeds, where it only adds noise)
+  headingAnchors?: boolean;
+}
+
+// Collect h2/h3 headings after rehype-slug has given them ids
+function rehypeToc(toc: TocItem[]) {
+  return () => (tree: Root) => {
+    visit(tree, 'element', node => {
+      const id = node.properties?.id;
+      if ((node.tagName === 'h2' || node.tagName === 'h3') && typeof id === 'string') {
+        toc.push({ id, text: toString(node).trim(), level: node.tagName === 'h2' ? 2 : 3 });
+      }
+    });
+  };
+}
+
+// Headings get GitHub-style ids ("Why it Breaks" -> "why-it-breaks", repeats get -1, -2, ...)
+export async function renderMarkdown(markdown: string, { headingAnchors = true }: MarkdownOptions = {}): Promise<RenderedMarkdown> {
+  const toc: TocItem[] = [];
+  const processor = unified()
     .use(remarkParse)
     .use(remarkGfm)
     .use(remarkRehype)
+    .use(rehypeSlug)
+    .use(rehypeToc(toc));
+
+  if (headingAnchors) {
+    processor.use(rehypeAutolinkHeadings, {
+      behavior: 'append',
+      properties: { className: ['heading-anchor'], ariaHidden: 'true', tabIndex: -1 },
+      content: { type: 'text', value: '#' },
+    });
+  }
+
+  const result = await processor
     .use(rehypeHighlight)
     .use(rehypeStringify)
     .process(markdown);
 
-  return result.toString();
+  return { html: result.toString(), toc };
+}
+
+export async function markdownToHtml(markdown: string, options?: MarkdownOptions): Promise<string> {
+  return (await renderMarkdown(markdown, options)).html;
 }
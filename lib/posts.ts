@@ -3,9 +3,22 @@ import path from 'path';
 import matter from 'gray-matter';
 import { format } from 'date-fns';
 import readingTime from 'reading-time';
+import {
+  FrontmatterError,
+  formatFrontmatterReport,
+  getFrontmatterMode,
+  normalizeDate,
+  validateFrontmatter,
+  type FrontmatterIssue,
+  type InvalidPost,
+} from './frontmatter';
 
 const postsDirectory = path.join(process.cwd(), 'content/posts');
 
+// Drafts are visible in `next dev` for review, but never in production builds
+const includeDrafts =
+  process.env.NODE_ENV !== 'production' || process.env.BLOG_INCLUDE_DRAFTS === 'true';
+
 export interface PostMetadata {
   slug: string;
   title: string;
@@ -14,7 +27,10 @@ export interface PostMetadata {
   excerpt: string;
   tags: string[];
   featured?: boolean;
+  draft?: boolean;
   coverImage?: string;
+  series?: string;
+  seriesPart?: number;
   readingTime: string;
 }
 
@@ -22,75 +38,233 @@ export interface Post extends PostMetadata {
   content: string;
 }
 
-export function getAllPostSlugs(): string[] {
-  try {
-    if (!fs.existsSync(postsDirectory)) {
-      return [];
-    }
-    const fileNames = fs.readdirSync(postsDirectory);
-    return fileNames
-      .filter(fileName => fileName.endsWith('.md') || fileName.endsWith('.mdx'))
-      .map(fileName => fileName.replace(/\.(md|mdx)$/, ''));
-  } catch (error) {
-    console.error('Error reading posts directory:', error);
-    return [];
-  }
+export interface Series {
+  name: string;
+  slug: string;
+  posts: PostMetadata[];
 }
 
-export function getPostBySlug(slug: string): Post {
-  const fullPath = path.join(postsDirectory, `${slug}.md`);
-  let fileContents: string;
-
-  try {
-    fileContents = fs.readFileSync(fullPath, 'utf8');
-  } catch {
-    // Try .mdx extension
-    const mdxPath = path.join(postsDirectory, `${slug}.mdx`);
-    fileContents = fs.readFileSync(mdxPath, 'utf8');
+export interface SeriesNavigation {
+  series: Series;
+  // Part number of each post in series.posts: its seriesPart, or its position when that is missing
+  parts: number[];
+  // Position of the current post in series.posts
+  index: number;
+  part: number;
+  previous: PostMetadata | null;
+  next: PostMetadata | null;
+}
+
+interface ContentFile {
+  fileName: string;
+  mtimeMs: number;
+  post: Post;
+  issues: FrontmatterIssue[];
+  reported: boolean;
+}
+
+// Everything the query functions need, parsed once
+interface ContentIndex {
+  // Every post file, drafts included, by slug
+  files: Map<string, ContentFile>;
+  // Visible posts, newest first
+  posts: PostMetadata[];
+  postsBySlug: Map<string, Post>;
+  postsByTag: Map<string, PostMetadata[]>;
+  tags: string[];
+  series: Series[];
+  invalid: ContentFile[];
+}
+
+// Production builds read the archive once per process; in dev, files whose
+// mtime changed are re-read on the next call
+const reuseContentIndex = process.env.NODE_ENV === 'production';
+let contentIndex: ContentIndex | null = null;
+
+function getPostFileNames(): string[] {
+  if (!fs.existsSync(postsDirectory)) {
+    return [];
   }
+  return fs.readdirSync(postsDirectory).filter(fileName => fileName.endsWith('.md') || fileName.endsWith('.mdx'));
+}
 
-  const { data, content } = matter(fileContents);
+function readPostFile(fileName: string, mtimeMs: number): ContentFile {
+  const slug = fileName.replace(/\.(md|mdx)$/, '');
+  const { data, content } = matter(fs.readFileSync(path.join(postsDirectory, fileName), 'utf8'));
   const stats = readingTime(content);
 
-  return {
+  // Fallbacks only apply in warn mode; the post is reported as invalid
+  const post: Post = {
     slug,
     title: data.title || 'Untitled',
-    date: data.date || new Date().toISOString(),
-    updated: data.updated || undefined,
+    date: normalizeDate(data.date) || new Date().toISOString(),
+    updated: normalizeDate(data.updated) || undefined,
     excerpt: data.excerpt || '',
-    tags: data.tags || [],
+    tags: Array.isArray(data.tags) ? data.tags.map(String) : [],
     featured: data.featured || false,
+    draft: data.draft === true,
     coverImage: data.coverImage || '',
+    series: typeof data.series === 'string' && data.series.trim() ? data.series.trim() : undefined,
+    seriesPart: Number.isInteger(data.seriesPart) ? data.seriesPart : undefined,
     readingTime: stats.text,
     content,
   };
+
+  return { fileName, mtimeMs, post, issues: validateFrontmatter(data), reported: false };
 }
 
-export function getAllPosts(): PostMetadata[] {
-  const slugs = getAllPostSlugs();
-  const posts = slugs
-    .map(slug => {
-      const post = getPostBySlug(slug);
-      const { content, ...metadata } = post;
-      return metadata;
-    })
-    .sort((a, b) => {
-      return new Date(b.date).getTime() - new Date(a.date).getTime();
+function toMetadata(post: Post): PostMetadata {
+  const { content, ...metadata } = post;
+  return metadata;
+}
+
+export function getSeriesSlug(name: string): string {
+  return name.toLowerCase().replace(/[^\w\s-]/g, '').trim().replace(/\s+/g, '-');
+}
+
+function buildContentIndex(files: Map<string, ContentFile>): ContentIndex {
+  const visible = Array.from(files.values()).filter(file => includeDrafts || !file.post.draft);
+  const posts = visible
+    .map(file => toMetadata(file.post))
+    .sort((a, b) => new Date(b.date).getTime() - new Date(a.date).getTime());
+
+  const postsByTag = new Map<string, PostMetadata[]>();
+  const tags = new Set<string>();
+  const seriesBySlug = new Map<string, Series>();
+  posts.forEach(post => {
+    post.tags.forEach(tag => {
+      tags.add(tag);
+      const slug = getTagSlug(tag);
+      const tagged = postsByTag.get(slug) || [];
+      if (!tagged.includes(post)) tagged.push(post);
+      postsByTag.set(slug, tagged);
     });
 
-  return posts;
+    if (post.series) {
+      const slug = getSeriesSlug(post.series);
+      if (!seriesBySlug.has(slug)) {
+        seriesBySlug.set(slug, { name: post.series, slug, posts: [] });
+      }
+      seriesBySlug.get(slug)!.posts.push(post);
+    }
+  });
+
+  // Series parts in order (by seriesPart, then date)
+  const series = Array.from(seriesBySlug.values())
+    .map(s => ({
+      ...s,
+      posts: s.posts.sort((a, b) =>
+        (a.seriesPart ?? 0) - (b.seriesPart ?? 0) ||
+        new Date(a.date).getTime() - new Date(b.date).getTime()
+      ),
+    }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  return {
+    files,
+    posts,
+    postsBySlug: new Map(visible.map(file => [file.post.slug, file.post])),
+    postsByTag,
+    tags: Array.from(tags).sort(),
+    series,
+    invalid: visible.filter(file => file.issues.length > 0),
+  };
 }
 
+// Build the index, or bring it up to date with the files on disk
+function loadContentIndex(): ContentIndex {
+  if (contentIndex && reuseContentIndex) return contentIndex;
+
+  const previous = contentIndex?.files;
+  const files = new Map<string, ContentFile>();
+  let changed = !previous;
+
+  getPostFileNames().forEach(fileName => {
+    const slug = fileName.replace(/\.(md|mdx)$/, '');
+    const { mtimeMs } = fs.statSync(path.join(postsDirectory, fileName));
+    const cached = previous?.get(slug);
+    if (cached && cached.fileName === fileName && cached.mtimeMs === mtimeMs) {
+      files.set(slug, cached);
+    } else {
+      files.set(slug, readPostFile(fileName, mtimeMs));
+      changed = true;
+    }
+  });
+
+  if (contentIndex && !changed && files.size === contentIndex.files.size) {
+    return contentIndex;
+  }
+  contentIndex = buildContentIndex(files);
+  return contentIndex;
+}
+
+function toInvalidPost(file: ContentFile): InvalidPost {
+  return { file: path.join('content/posts', file.fileName), issues: file.issues };
+}
+
+// The index for the query functions. Invalid frontmatter fails the build in
+// fail mode; in warn mode each invalid file is reported once per change.
+function getContentIndex(): ContentIndex {
+  const index = loadContentIndex();
+  if (index.invalid.length === 0) return index;
+
+  if (getFrontmatterMode() === 'fail') {
+    throw new FrontmatterError(index.invalid.map(toInvalidPost));
+  }
+
+  const unreported = index.invalid.filter(file => !file.reported);
+  if (unreported.length > 0) {
+    console.warn(formatFrontmatterReport(unreported.map(toInvalidPost)));
+    unreported.forEach(file => {
+      file.reported = true;
+    });
+  }
+  return index;
+}
+
+// Check every post's frontmatter against the schema. `drafts: false` skips
+// drafts, which never ship in production builds.
+export function validatePosts({ drafts = true } = {}): InvalidPost[] {
+  return Array.from(loadContentIndex().files.values())
+    .filter(file => file.issues.length > 0 && (drafts || !file.post.draft))
+    .map(toInvalidPost);
+}
+
+export function getAllPostSlugs(): string[] {
+  return getContentIndex().posts.map(post => post.slug);
+}
+
+export function getPostBySlug(slug: string): Post {
+  const index = getContentIndex();
+  const post = index.postsBySlug.get(slug);
+  if (!post) {
+    throw new Error(index.files.has(slug) ? `Post "${slug}" is a draft` : `Post "${slug}" not found`);
+  }
+  return post;
+}
+
+export function getAllPosts(): PostMetadata[] {
+  return [...getContentIndex().posts];
+}
+
+// URL segment of a tag page: /blog/tags/<slug>
+export function getTagSlug(tag: string): string {
+  return tag.toLowerCase().replace(/\s+/g, '-');
+}
+
+// One slug per tag; tags that differ only in case or spacing share it
+export function getAllTagSlugs(): string[] {
+  return Array.from(getContentIndex().postsByTag.keys());
+}
+
+// Posts with a tag, given as the tag itself or its slug
 export function getPostsByTag(tag: string): PostMetadata[] {
-  const allPosts = getAllPosts();
-  return allPosts.filter(post =>
-    post.tags.some(t => t.toLowerCase() === tag.toLowerCase())
-  );
+  return [...(getContentIndex().postsByTag.get(getTagSlug(tag)) || [])];
 }
 
 export function getRelatedPosts(slug: string, limit = 3): PostMetadata[] {
-  const all = getAllPosts();
-  const current = all.find(p => p.slug === slug);
+  const { posts: all, postsBySlug } = getContentIndex();
+  const current = postsBySlug.get(slug);
   if (!current) return [];
   const currentTags = new Set(current.tags.map(t => t.toLowerCase()));
 
@@ -109,15 +283,34 @@ export function getRelatedPosts(slug: string, limit = 3): PostMetadata[] {
     .map(x => x.post);
 }
 
-export function getAllTags(): string[] {
-  const posts = getAllPosts();
-  const tagsSet = new Set<string>();
+// Every series with its parts in order (by seriesPart, then date)
+export function getAllSeries(): Series[] {
+  return getContentIndex().series.map(series => ({ ...series, posts: [...series.posts] }));
+}
 
-  posts.forEach(post => {
-    post.tags.forEach(tag => tagsSet.add(tag));
-  });
+export function getSeriesBySlug(slug: string): Series | null {
+  return getAllSeries().find(series => series.slug === slug) ?? null;
+}
 
-  return Array.from(tagsSet).sort();
+// Where a post sits in its series, or null for standalone posts and one-part series
+export function getSeriesNavigation(slug: string): SeriesNavigation | null {
+  const series = getAllSeries().find(s => s.posts.some(p => p.slug === slug));
+  if (!series || series.posts.length < 2) return null;
+
+  const index = series.posts.findIndex(p => p.slug === slug);
+  const parts = series.posts.map((p, i) => p.seriesPart ?? i + 1);
+  return {
+    series,
+    parts,
+    index,
+    part: parts[index],
+    previous: series.posts[index - 1] ?? null,
+    next: series.posts[index + 1] ?? null,
+  };
+}
+
+export function getAllTags(): string[] {
+  return [...getContentIndex().tags];
 }
 
 export function formatDate(dateString: string): string {
@@ -0,0 +1,353 @@
+// Full-text search. The index is built once at build time (app/search-index.json)
+// and queried in the browser by the blog list.
+
+import { normalize, stem, tokenize } from './tokenize';
+
+export { stem, tokenize };
+
+export const SEARCH_INDEX_PATH = '/search-index.json';
+export const SEARCH_INDEX_VERSION = 2;
+
+// How much one occurrence in each field counts towards a term's weight
+const FIELD_WEIGHTS = { title: 8, tags: 6, headings: 4, excerpt: 3 };
+// Body-only terms kept per post, picked by tf-idf; title, tag, heading and excerpt terms are always kept
+const MAX_BODY_TERMS = 12;
+const MAX_BODY_TF = 10;
+// Weights are stored as levels 1..WEIGHT_LEVELS on a square-root scale, one digit each
+const MAX_WEIGHT = FIELD_WEIGHTS.title + FIELD_WEIGHTS.tags + FIELD_WEIGHTS.headings + FIELD_WEIGHTS.excerpt + MAX_BODY_TF;
+const WEIGHT_LEVELS = 9;
+// Headings and short passages kept per post for result snippets
+const MAX_HEADINGS = 4;
+const HEADING_LENGTH = 60;
+const MAX_PASSAGES = 1;
+const PASSAGE_LENGTH = 120;
+
+export interface SearchDocument {
+  slug: string;
+  headings: string[];
+  passages: string[];
+}
+
+export interface SearchIndex {
+  version: number;
+  docs: SearchDocument[];
+  // term -> flat postings list: [docGap, level, docGap, level, ...], where each
+  // docGap is the distance from the previous posting's doc index (or from 0)
+  // and level is the quantised weight (see quantizeWeight)
+  terms: Record<string, number[]>;
+}
+
+export interface SearchInput {
+  slug: string;
+  title: string;
+  excerpt: string;
+  tags: string[];
+  content: string;
+}
+
+export interface SearchResult {
+  slug: string;
+  score: number;
+  // Index terms the query matched, for highlighting
+  terms: string[];
+  snippet: string;
+}
+
+export interface HighlightSegment {
+  text: string;
+  match: boolean;
+}
+
+function quantizeWeight(weight: number): number {
+  return Math.max(1, Math.round(Math.sqrt(Math.min(weight, MAX_WEIGHT) / MAX_WEIGHT) * WEIGHT_LEVELS));
+}
+
+function dequantizeWeight(level: number): number {
+  return (level / WEIGHT_LEVELS) ** 2 * MAX_WEIGHT;
+}
+
+// Markdown inline syntax down to readable text
+function stripInline(text: string): string {
+  return text
+    .replace(/!\[[^\]]*\]\([^)]*\)/g, ' ')
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/`([^`]*)`/g, '$1')
+    .replace(/(\*\*|__|\*|~~)/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Split a post body into headings and prose, dropping code blocks and tables
+function parseBody(content: string): { headings: string[]; sentences: string[] } {
+  const headings: string[] = [];
+  const prose: string[] = [];
+  let inFence = false;
+
+  for (const line of content.split('\n')) {
+    if (/^\s*(```|~~~)/.test(line)) {
+      inFence = !inFence;
+      continue;
+    }
+    if (inFence || /^\s*\|/.test(line)) continue;
+
+    const heading = line.match(/^(#{1,6})\s+(.+?)\s*#*\s*$/);
+    if (heading) {
+      // The H1 repeats the title, which the result card shows already
+      if (heading[1].length > 1) headings.push(stripInline(heading[2]));
+      prose.push('');
+      continue;
+    }
+    prose.push(line.replace(/^\s*(>\s*)+/, '').replace(/^\s*([-*+]|\d+\.)\s+/, ''));
+  }
+
+  const sentences = prose
+    .join('\n')
+    .replace(/([.!?])[ \t]+(?=[A-Z0-9"'(])/g, '$1\n\n')
+    .split(/\n\s*\n|\n(?=\S)/)
+    .map(stripInline)
+    .filter(sentence => sentence.split(' ').length >= 4);
+
+  return { headings: headings.filter(Boolean), sentences };
+}
+
+function truncate(text: string, length: number): string {
+  if (text.length <= length) return text;
+  const cut = text.slice(0, length);
+  return cut.slice(0, cut.lastIndexOf(' ') > 0 ? cut.lastIndexOf(' ') : length) + '…';
+}
+
+function countTerms(terms: string[]): Map<string, number> {
+  const counts = new Map<string, number>();
+  terms.forEach(term => counts.set(term, (counts.get(term) || 0) + 1));
+  return counts;
+}
+
+export function buildSearchIndex(posts: SearchInput[]): SearchIndex {
+  const parsed = posts.map(post => {
+    const { headings, sentences } = parseBody(post.content);
+    const fieldTerms: Record<keyof typeof FIELD_WEIGHTS, Set<string>> = {
+      title: new Set(tokenize(post.title)),
+      tags: new Set(post.tags.flatMap(tag => tokenize(tag))),
+      headings: new Set(headings.flatMap(heading => tokenize(heading))),
+      excerpt: new Set(tokenize(post.excerpt)),
+    };
+    return { post, headings, sentences, fieldTerms, body: countTerms(sentences.flatMap(tokenize)) };
+  });
+
+  const documentFrequency = new Map<string, number>();
+  parsed.forEach(({ body }) => body.forEach((_, term) => {
+    documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+  }));
+  const idf = (term: string) => Math.log(1 + posts.length / (documentFrequency.get(term) || 1));
+
+  const terms: Record<string, number[]> = {};
+  const lastDoc = new Map<string, number>();
+  const docs = parsed.map(({ post, headings, sentences, fieldTerms, body }, docIndex) => {
+    const weights = new Map<string, number>();
+    (Object.keys(FIELD_WEIGHTS) as (keyof typeof FIELD_WEIGHTS)[]).forEach(field => {
+      fieldTerms[field].forEach(term => {
+        weights.set(term, (weights.get(term) || 0) + FIELD_WEIGHTS[field]);
+      });
+    });
+
+    const bodyTerms = [...body.entries()]
+      .sort((a, b) => b[1] * idf(b[0]) - a[1] * idf(a[0]))
+      .filter(([term], rank) => rank < MAX_BODY_TERMS || weights.has(term));
+    bodyTerms.forEach(([term, count]) => {
+      weights.set(term, (weights.get(term) || 0) + Math.min(count, MAX_BODY_TF));
+    });
+
+    weights.forEach((weight, term) => {
+      if (!Object.prototype.hasOwnProperty.call(terms, term)) {
+        terms[term] = [];
+        lastDoc.set(term, 0);
+      }
+      terms[term].push(docIndex - lastDoc.get(term)!, quantizeWeight(weight));
+      lastDoc.set(term, docIndex);
+    });
+
+    // Pick the sentences that cover the most indexed body terms, so body matches get a snippet
+    const uncovered = new Set(bodyTerms.map(([term]) => term));
+    const candidates = sentences.map((text, position) => ({ text, position, terms: new Set(tokenize(text)) }));
+    const picked: typeof candidates = [];
+    while (picked.length < MAX_PASSAGES && uncovered.size > 0) {
+      let best = null;
+      let bestGain = 0;
+      for (const candidate of candidates) {
+        let gain = 0;
+        candidate.terms.forEach(term => { if (uncovered.has(term)) gain++; });
+        if (gain > bestGain) {
+          best = candidate;
+          bestGain = gain;
+        }
+      }
+      if (!best) break;
+      best.terms.forEach(term => uncovered.delete(term));
+      picked.push(best);
+    }
+
+    return {
+      slug: post.slug,
+      headings: headings.slice(0, MAX_HEADINGS).map(heading => truncate(heading, HEADING_LENGTH)),
+      passages: picked
+        .sort((a, b) => a.position - b.position)
+        .map(({ text }) => truncate(text, PASSAGE_LENGTH)),
+    };
+  });
+
+  return { version: SEARCH_INDEX_VERSION, docs, terms };
+}
+
+// Optimal string alignment distance, giving up once it exceeds `max`
+function editDistance(a: string, b: string, max: number): number {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let previous2: number[] = [];
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], previous2[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previous2 = previous;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// Index terms a query term should match, with how strongly each one counts.
+// Typo matches are only tried when the term isn't in the index as typed.
+function expandTerm(term: string, vocabulary: string[]): Map<string, number> {
+  const matches = new Map<string, number>();
+  const typos = new Map<string, number>();
+  const maxEdits = term.length >= 8 ? 2 : term.length >= 4 ? 1 : 0;
+  let exact = false;
+
+  for (const candidate of vocabulary) {
+    if (candidate === term) {
+      matches.set(candidate, 1);
+      exact = true;
+    } else if (term.length >= 2 && candidate.startsWith(term)) {
+      matches.set(candidate, 0.7);
+    } else if (maxEdits > 0) {
+      const distance = editDistance(term, candidate, maxEdits);
+      if (distance <= maxEdits) typos.set(candidate, distance === 1 ? 0.5 : 0.3);
+    }
+  }
+  if (!exact) typos.forEach((strength, candidate) => matches.set(candidate, strength));
+  return matches;
+}
+
+const vocabularies = new WeakMap<SearchIndex, string[]>();
+
+export function searchIndex(index: SearchIndex, query: string, limit = Infinity): SearchResult[] {
+  const queryTerms = [...new Set(tokenize(query))];
+  if (queryTerms.length === 0) return [];
+
+  if (!vocabularies.has(index)) vocabularies.set(index, Object.keys(index.terms));
+  const vocabulary = vocabularies.get(index)!;
+  const docCount = index.docs.length;
+
+  const scores = new Map<number, { score: number; matched: number; terms: Set<string> }>();
+  queryTerms.forEach(queryTerm => {
+    // Best match of this query term per document
+    const best = new Map<number, { score: number; term: string }>();
+    expandTerm(queryTerm, vocabulary).forEach((strength, term) => {
+      const postings = index.terms[term];
+      const idf = Math.log(1 + docCount / (postings.length / 2));
+      let docIndex = 0;
+      for (let i = 0; i < postings.length; i += 2) {
+        docIndex += postings[i];
+        const weight = dequantizeWeight(postings[i + 1]);
+        const score = strength * idf * (weight / (weight + 2));
+        if (score > (best.get(docIndex)?.score || 0)) best.set(docIndex, { score, term });
+      }
+    });
+
+    best.forEach(({ score, term }, docIndex) => {
+      const entry = scores.get(docIndex) || { score: 0, matched: 0, terms: new Set<string>() };
+      entry.score += score;
+      entry.matched++;
+      entry.terms.add(term);
+      scores.set(docIndex, entry);
+    });
+  });
+
+  // Posts matching every query term win; fall back to partial matches only when none do
+  const entries = [...scores.entries()];
+  const complete = entries.filter(([, entry]) => entry.matched === queryTerms.length);
+
+  return (complete.length > 0 ? complete : entries)
+    .map(([docIndex, entry]) => {
+      const doc = index.docs[docIndex];
+      const coverage = entry.matched / queryTerms.length;
+      return {
+        slug: doc.slug,
+        score: entry.score * coverage * coverage,
+        terms: [...entry.terms],
+        snippet: pickSnippet(doc, entry.terms),
+      };
+    })
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+// The heading or passage containing the most matched terms
+function pickSnippet(doc: SearchDocument, terms: Set<string>): string {
+  let snippet = '';
+  let bestCount = 0;
+  [...doc.headings, ...doc.passages].forEach(text => {
+    const count = new Set(tokenize(text).filter(term => terms.has(term))).size;
+    if (count > bestCount) {
+      snippet = text;
+      bestCount = count;
+    }
+  });
+  return snippet;
+}
+
+// Split text into plain and matched segments for rendering
+export function highlight(text: string, terms: string[]): HighlightSegment[] {
+  const matches = new Set(terms);
+  const segments: HighlightSegment[] = [];
+  let last = 0;
+
+  for (const word of text.matchAll(/[A-Za-z0-9\u00C0-\u024F][A-Za-z0-9\u00C0-\u024F+#]*/g)) {
+    if (!matches.has(stem(normalize(word[0])))) continue;
+    const start = word.index || 0;
+    if (start > last) segments.push({ text: text.slice(last, start), match: false });
+    segments.push({ text: word[0], match: true });
+    last = start + word[0].length;
+  }
+  if (last < text.length) segments.push({ text: text.slice(last), match: false });
+  return segments;
+}
+
+let indexRequest: Promise<SearchIndex> | null = null;
+
+export function loadSearchIndex(): Promise<SearchIndex> {
+  if (!indexRequest) {
+    indexRequest = fetch(SEARCH_INDEX_PATH)
+      .then(response => {
+        if (!response.ok) throw new Error(`Search index request failed: ${response.status}`);
+        return response.json();
+      })
+      .then((index: SearchIndex) => {
+        if (index.version !== SEARCH_INDEX_VERSION) throw new Error('Search index version mismatch');
+        return index;
+      })
+      .catch(error => {
+        // Let a later search try again
+        indexRequest = null;
+        throw error;
+      });
+  }
+  return indexRequest;
+}
@@ -18,4 +18,10 @@ export const siteConfig = {
   },
   locale: "en_US",
   ogImage: "/og/og-default.png",
+  feed: {
+    // Newest posts in each feed (site and per-tag)
+    limit: 50,
+    // Include each post's rendered HTML, not just the excerpt
+    fullContent: false,
+  },
 };
@@ -0,0 +1,40 @@
+// Word tokenizer shared by site search (lib/search.ts) and duplicate detection
+// (scripts/similarity.js), so both agree on what a term is. CommonJS so the
+// generation scripts can require it without a build step.
+
+const STOPWORDS = new Set(`
+  a about above after again against all am an and any are as at be because been before being below
+  between both but by can could did do does doing down during each few for from further had has have
+  having he her here hers herself him himself his how i if in into is it its itself just let me more
+  most my myself no nor not now of off on once only or other our ours ourselves out over own same she
+  should so some such than that the their theirs them themselves then there these they this those
+  through to too under until up very was we were what when where which while who whom why will with
+  would you your yours yourself yourselves also get got like make made really thing things way want
+  dont doesnt isnt youre thats heres whats lets stop actually every one two new use using used
+`.split(/\s+/).filter(Boolean));
+
+// Light stemming so "contributions" and "contribution" count as the same term
+/** @param {string} word @returns {string} */
+function stem(word) {
+  if (word.length > 5 && word.endsWith('ies')) return word.slice(0, -3) + 'y';
+  if (word.length > 5 && word.endsWith('ing')) return word.slice(0, -3);
+  if (word.length > 4 && word.endsWith('ed')) return word.slice(0, -2);
+  if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+  return word;
+}
+
+// Lowercase and drop accents ("Café" -> "cafe")
+/** @param {string} text @returns {string} */
+function normalize(text) {
+  return text.toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '');
+}
+
+// Stemmed terms of a piece of text; "c++" and "c#" stay whole, "don't" is "dont"
+/** @param {string} text @returns {string[]} */
+function tokenize(text) {
+  return (normalize(text || '').replace(/['’]/g, '').match(/[a-z0-9][a-z0-9+#]*/g) || [])
+    .filter(word => word.length > 1 && !STOPWORDS.has(word))
+    .map(stem);
+}
+
+module.exports = { STOPWORDS, stem, normalize, tokenize };
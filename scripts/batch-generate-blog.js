@@ -2,208 +2,437 @@
 
 /**
  * Batch Blog Generator - Generate multiple blog posts in one run
- * Usage: node batch-generate-blog.js [count] [topic-category]
+ * Usage: node batch-generate-blog.js [count] [topic-category] [--concurrency N] [--dry-run] [--resume <manifest>] [--offline] [--quiet | --verbose]
  * Examples:
- *   node batch-generate-blog.js 3        # Generate 3 posts from random categories
- *   node batch-generate-blog.js 2 security  # Generate 2 security posts
+ *   node batch-generate-blog.js 3                    # Generate 3 posts from scheduled categories
+ *   node batch-generate-blog.js 2 security           # Generate 2 security posts
+ *   node batch-generate-blog.js 6 --concurrency 3    # Three posts in flight at a time
+ *   node batch-generate-blog.js 5 --dry-run          # Plan topics without generating anything
+ *   node batch-generate-blog.js --resume .cache/runs/2026-10-19T09-00-00-000Z.json
+ *
+ * Every run writes a JSON manifest (generation.batch.manifestDir) recording each attempt:
+ * category, topic, status, error, output file and timings. It is rewritten after every
+ * change, so a run that dies can be resumed: saved posts are kept, their topics are not
+ * retried, and the run continues until the original count is reached.
  */
 
 const fs = require('fs');
 const path = require('path');
-const { generateBlogPost, saveBlogPost } = require('./generate-blog');
-const { fetchTopicTrends, TOPIC_CONFIG } = require('./fetch-topic-trends');
-const { fetchAllTrends } = require('./fetch-trends');
+const { generateLintedPost, acceptsLintFailure, saveBlogPost, generateSlug } = require('./generate-blog');
+const { fetchTopicTrends } = require('./fetch-topic-trends');
+const { isFatalError } = require('./retry');
+const { formatReport } = require('./validate-frontmatter');
+const { formatLintReport } = require('./lint-post');
+const { checkSimilarity, formatNearest, resetSimilarityIndex } = require('./similarity');
+const { resetLinkIndex } = require('./check-links');
+const { pickCategory, pickTopic, recordTopic, loadHistory } = require('./topic-scheduler');
+const { resolveCategory } = require('./taxonomy');
+const { logger } = require('./logger');
+const { assertWithinBudget, assignUsageFile } = require('./usage-ledger');
+
+const ROOT_DIR = path.join(__dirname, '..');
 
 // Load config
-const configPath = path.join(__dirname, '..', 'blog-config.json');
+const configPath = path.join(ROOT_DIR, 'blog-config.json');
 const config = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
 
-// Parse command line arguments
-const args = process.argv.slice(2);
-const postsToGenerate = parseInt(args[0]) || config.generation.postsPerDay || 2;
-const categoryFilter = args[1] || null;
+const DEFAULT_BATCH_CONFIG = {
+  concurrency: 1,
+  delayMs: 2000,
+  manifestDir: '.cache/runs'
+};
 
-// Get available categories
-function getCategories() {
-  return Object.keys(config.topics);
+// Each post gets this many tries (duplicate topics, rejected drafts) before the run gives up
+const ATTEMPTS_PER_POST = 3;
+
+function getBatchConfig() {
+  return { ...DEFAULT_BATCH_CONFIG, ...((config.generation || {}).batch || {}) };
 }
 
-// Get random category
-function getRandomCategory() {
-  const categories = getCategories();
-  return categories[Math.floor(Math.random() * categories.length)];
+// Parse command line arguments (--offline / --refresh are read by trend-cache.js, --quiet / --verbose by logger.js)
+function parseArgs(argv = process.argv.slice(2)) {
+  const option = name => {
+    const index = argv.indexOf(name);
+    return index !== -1 ? argv[index + 1] : null;
+  };
+  const optionValues = ['--concurrency', '--resume'].map(option).filter(Boolean);
+  const positional = argv.filter(arg => !arg.startsWith('--') && !optionValues.includes(arg));
+
+  return {
+    count: parseInt(positional[0]) || null,
+    category: positional[1] || null,
+    concurrency: parseInt(option('--concurrency')) || null,
+    dryRun: argv.includes('--dry-run'),
+    resume: option('--resume')
+  };
 }
 
-// Get random topic from category
-function getTopicFromCategory(category) {
-  const topics = config.topics[category];
-  if (!topics || topics.length === 0) {
-    return null;
-  }
-  return topics[Math.floor(Math.random() * topics.length)];
+function today() {
+  return new Date().toISOString().split('T')[0];
 }
 
-// Check for duplicate topics to avoid repeats
-function checkTopicUsedToday(topic) {
-  const postsDir = path.join(__dirname, '..', 'content', 'posts');
-  if (!fs.existsSync(postsDir)) {
-    return false;
+/**
+ * Run manifest - one JSON file per batch run.
+ * { id, status, startedAt, finishedAt, options, attempts: [{ id, category, focus, topic, status,
+ *   error, file, title, startedAt, finishedAt, durationMs, timings: { trends, generate, checks } }] }
+ * Attempt status: running -> saved | skipped | failed (interrupted when the process died mid-attempt)
+ */
+function createManifest(options) {
+  const startedAt = new Date().toISOString();
+  const id = startedAt.replace(/[:.]/g, '-');
+  return {
+    file: path.join(ROOT_DIR, getBatchConfig().manifestDir, `${id}.json`),
+    data: { id, status: 'running', startedAt, finishedAt: null, options, attempts: [] }
+  };
+}
+
+function loadManifest(file) {
+  const filepath = path.resolve(file);
+  if (!fs.existsSync(filepath)) {
+    throw new Error(`Run manifest not found: ${file}`);
+  }
+
+  const data = JSON.parse(fs.readFileSync(filepath, 'utf-8'));
+  if (!data || !Array.isArray(data.attempts) || !data.options) {
+    throw new Error(`Not a batch run manifest: ${file}`);
   }
 
-  const today = new Date().toISOString().split('T')[0];
-  const files = fs.readdirSync(postsDir)
-    .filter(f => f.startsWith(today) && f.endsWith('.md'));
+  // Attempts still marked running were cut off when the process died
+  data.attempts
+    .filter(attempt => attempt.status === 'running')
+    .forEach(attempt => {
+      attempt.status = 'interrupted';
+      attempt.error = 'Process exited before the attempt finished';
+    });
+  data.status = 'running';
+  data.finishedAt = null;
+  data.resumedAt = [...(data.resumedAt || []), new Date().toISOString()];
+
+  return { file: filepath, data };
+}
 
-  const normalizeText = (text) => text.toLowerCase().replace(/[^\w\s]/g, '').replace(/\s+/g, ' ').trim();
-  const normalizedTopic = normalizeText(topic);
+function saveManifest(manifest) {
+  fs.mkdirSync(path.dirname(manifest.file), { recursive: true });
+  const tmpPath = `${manifest.file}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(manifest.data, null, 2) + '\n', 'utf-8');
+  fs.renameSync(tmpPath, manifest.file);
+}
 
-  for (const file of files) {
-    const filepath = path.join(postsDir, file);
-    const content = fs.readFileSync(filepath, 'utf-8');
-    const titleMatch = content.match(/title:\s*"(.+?)"/);
+// Milliseconds spent in fn, stored under timings[name]
+async function timed(timings, name, fn) {
+  const start = Date.now();
+  try {
+    return await fn();
+  } finally {
+    timings[name] = Date.now() - start;
+  }
+}
 
-    if (titleMatch) {
-      const existingTitle = normalizeText(titleMatch[1]);
-      if (existingTitle.includes(normalizedTopic) || normalizedTopic.includes(existingTitle.split(' ')[0])) {
-        return true;
+/**
+ * Shared state for one run. Topic and category picks are made synchronously against
+ * history plus everything claimed in this run, so concurrent workers never pick the same topic.
+ */
+function createRunState({ count, category, manifest }) {
+  const attempts = manifest ? manifest.data.attempts : [];
+  const trendsByCategory = new Map();
+
+  return {
+    count,
+    category,
+    manifest,
+    fatalError: null,
+    inFlight: 0,
+    // Claimed topics behave like history for the scheduler but are never written to it
+    planned: [],
+    // Topics a dry run would generate
+    plan: [],
+    triedTopics: attempts.map(attempt => attempt.topic).filter(Boolean),
+    saved: attempts.filter(attempt => attempt.status === 'saved').length,
+    attemptCount: attempts.length,
+    maxAttempts: attempts.length + (count - attempts.filter(attempt => attempt.status === 'saved').length) * ATTEMPTS_PER_POST,
+
+    history() {
+      return loadHistory().concat(this.planned);
+    },
+
+    // Trends are fetched once per category per run
+    trends(categoryKey, log) {
+      if (!trendsByCategory.has(categoryKey)) {
+        trendsByCategory.set(categoryKey, fetchTopicTrends(categoryKey, { log }));
       }
+      return trendsByCategory.get(categoryKey);
+    },
+
+    // Whether another attempt may start (counting attempts already in flight)
+    wantsMore() {
+      return !this.fatalError && this.saved + this.inFlight < this.count && this.attemptCount < this.maxAttempts;
     }
+  };
+}
+
+// Claim a category and topic for the next attempt; pick is null when the category has no untried topics.
+// The category is reserved before trends are awaited so parallel workers spread across categories.
+async function claimTopic(state, log) {
+  const category = state.category || pickCategory({ history: state.history() });
+  const claim = { date: today(), category, focus: null, topic: null, file: null };
+  state.planned.push(claim);
+
+  const trends = await state.trends(category, log);
+  const pick = pickTopic({ category, trends, exclude: state.triedTopics, history: state.history().filter(entry => entry !== claim) });
+  if (!pick) {
+    releaseClaim(state, claim);
+    return { category, trends, pick: null, claim: null };
   }
 
-  return false;
+  state.triedTopics.push(pick.topic);
+  Object.assign(claim, { focus: pick.focus, topic: pick.topic });
+  return { category, trends, pick, claim };
 }
 
-// Generate single blog post with error handling
-async function generateSinglePost(index, topic, category) {
-  try {
-    console.log(`\n[${'█'.repeat(index + 1)}${'░'.repeat(postsToGenerate - index - 1)}] Post ${index + 1}/${postsToGenerate}`);
-    console.log(`📚 Category: ${category} | Topic: ${topic}`);
+// Forget a claim that didn't produce a post, so the scheduler can offer its category again
+function releaseClaim(state, claim) {
+  state.planned = state.planned.filter(entry => entry !== claim);
+}
 
-    // Check for duplicates first
-    if (checkTopicUsedToday(topic)) {
-      console.log(`⚠️  Topic already covered today, trying alternative...`);
-      return null;
-    }
+// Generate, check and save one post, recording everything on `attempt`
+async function runAttempt(state, attempt, { trends, log }) {
+  const date = today();
 
-    // For topic-specific posts, fetch recent trends for that category
-    let trends;
-    if (TOPIC_CONFIG[category]) {
-      console.log(`🔍 Fetching trends for ${category}...`);
-      // Suppress console output from fetchTopicTrends
-      const originalLog = console.log;
-      console.log = () => {};
-      trends = await fetchTopicTrends(category);
-      console.log = originalLog;
-    } else {
-      console.log(`📡 Fetching general tech trends...`);
-      trends = await fetchAllTrends();
-    }
+  // Throws (fatal, so the run stops) once a usage budget is reached
+  assertWithinBudget();
+
+  const { validation, lint, generation } = await timed(attempt.timings, 'generate', () =>
+    generateLintedPost(trends, attempt.topic, { date, category: attempt.category, log })
+  );
 
-    // Generate the post
-    const content = await generateBlogPost(trends, topic);
+  const checkStart = Date.now();
+  try {
+    if (!validation.valid) {
+      log.warn(formatReport('Generated post rejected', validation));
+      return { status: 'failed', error: `Frontmatter: ${validation.errors.join('; ')}` };
+    }
+    if (validation.repairs.length > 0 || validation.warnings.length > 0) {
+      log.debug(formatReport('Checked generated frontmatter', validation));
+    }
+    if (!lint.passed && !acceptsLintFailure()) {
+      log.warn(formatLintReport('Generated post rejected by the style guide', lint));
+      return { status: 'failed', error: `Style guide: ${lint.errors.join('; ')}` };
+    }
+    if (!lint.passed) {
+      log.info(formatLintReport('Style guide', lint));
+    }
 
-    // Extract title
-    const titleMatch = content.match(/title:\s*"(.+?)"/);
-    const title = titleMatch ? titleMatch[1] : 'auto-generated-post';
+    const content = validation.content;
+    const title = validation.data.title;
 
-    // Generate filename
-    const date = new Date().toISOString().split('T')[0];
-    const slug = generateSlug(title);
-    const filename = `${date}-${slug}.md`;
+    // Compare the generated body against every existing post (including ones saved earlier in this run)
+    const contentCheck = checkSimilarity({ content });
+    if (contentCheck.isDuplicate) {
+      log.warn('⚠️  Generated post is too similar to existing content, skipping:');
+      log.warn(formatNearest(contentCheck));
+      return { status: 'skipped', error: `Too similar to ${contentCheck.nearest[0].file}`, title };
+    }
 
-    // Save
-    const filepath = saveBlogPost(content, filename);
+    const filename = path.basename(saveBlogPost(content, `${date}-${generateSlug(title, attempt.topic)}.md`, { log }));
 
-    console.log(`✅ Post saved: ${filename}`);
-    return { filename, title, filepath };
+    // Make the new post visible to duplicate and link checks for the rest of this batch
+    resetSimilarityIndex();
+    resetLinkIndex();
+    recordTopic({ category: attempt.category, focus: attempt.focus, topic: attempt.topic, file: filename });
+    assignUsageFile(generation, filename);
 
-  } catch (error) {
-    console.error(`❌ Post ${index + 1} failed:`, error.message);
-    return null;
+    return { status: 'saved', file: filename, title };
+  } finally {
+    attempt.timings.checks = Date.now() - checkStart;
   }
 }
 
-// Generate slug from title
-function generateSlug(title) {
-  return title
-    .toLowerCase()
-    .replace(/[^\w\s-]/g, '')
-    .replace(/\s+/g, '-')
-    .replace(/-+/g, '-')
-    .substring(0, 60);
-}
-
-// Main batch generation
-async function batchGenerate() {
-  try {
-    console.log('\n🚀 Starting batch blog generation...');
-    console.log(`📊 Generating ${postsToGenerate} posts`);
-    if (categoryFilter) {
-      console.log(`🏷️  Category filter: ${categoryFilter}`);
+// One worker: keeps claiming topics and generating posts until the run has enough
+async function worker(state, { delayMs, dryRun }) {
+  while (state.wantsMore()) {
+    state.attemptCount++;
+    state.inFlight++;
+    const number = state.attemptCount;
+    const log = logger.child({ prefix: `[${number}]` });
+
+    const attempt = {
+      id: number,
+      category: null,
+      focus: null,
+      topic: null,
+      status: 'running',
+      error: null,
+      file: null,
+      title: null,
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      durationMs: null,
+      timings: {}
+    };
+    if (state.manifest) {
+      state.manifest.data.attempts.push(attempt);
     }
-    console.log('─'.repeat(50));
-
-    const results = [];
-    const maxAttempts = postsToGenerate * 3; // Allow retries
-    let generated = 0;
-    let attempts = 0;
-
-    while (generated < postsToGenerate && attempts < maxAttempts) {
-      let category, topic;
-
-      if (categoryFilter && config.topics[categoryFilter]) {
-        category = categoryFilter;
-        topic = getTopicFromCategory(category);
-      } else {
-        category = getRandomCategory();
-        topic = getTopicFromCategory(category);
-      }
 
-      if (!topic) {
-        attempts++;
+    let claim = null;
+    try {
+      const claimed = await timed(attempt.timings, 'trends', () => claimTopic(state, log));
+      const { category, trends, pick } = claimed;
+      claim = claimed.claim;
+      attempt.category = category;
+
+      if (!pick) {
+        Object.assign(attempt, { status: 'skipped', error: `No untried topics left in ${category}` });
+        log.warn(`⚠️  No untried topics left in ${category}`);
+        continue;
+      }
+      Object.assign(attempt, { focus: pick.focus, topic: pick.topic });
+      log.info(`📚 ${category}${pick.focus ? ` (${pick.focus})` : ''} | ${pick.topic}`);
+
+      // Cheap topic check before spending a generation on it
+      const topicCheck = checkSimilarity({ topic: pick.topic });
+      if (topicCheck.isDuplicate) {
+        Object.assign(attempt, { status: 'skipped', error: `Topic already covered by ${topicCheck.nearest[0].file}` });
+        log.info('⚠️  Topic already covered, trying another...');
+        log.debug(formatNearest(topicCheck));
         continue;
       }
 
-      const result = await generateSinglePost(generated, topic, category);
-      if (result) {
-        results.push(result);
-        generated++;
+      if (dryRun) {
+        // Planned topics count towards the run like saved posts
+        attempt.status = 'planned';
+        state.plan.push(claim);
+        state.saved++;
+        continue;
       }
 
-      attempts++;
+      const result = await runAttempt(state, attempt, { trends, log });
+      Object.assign(attempt, result);
+      if (result.status === 'saved') {
+        state.saved++;
+        log.info(`✅ Post saved: ${result.file}`);
+      }
+    } catch (error) {
+      Object.assign(attempt, { status: 'failed', error: error.message });
+      log.error(`❌ Attempt failed: ${error.message}`);
 
-      // Add small delay between API calls to avoid rate limiting
-      await new Promise(resolve => setTimeout(resolve, 2000));
+      // Auth errors, bad requests and exhausted retries won't fix themselves - stop the run
+      if (isFatalError(error)) {
+        state.fatalError = error;
+      }
+    } finally {
+      if (claim && !['saved', 'planned'].includes(attempt.status)) {
+        releaseClaim(state, claim);
+      }
+      state.inFlight--;
+      attempt.finishedAt = new Date().toISOString();
+      attempt.durationMs = new Date(attempt.finishedAt) - new Date(attempt.startedAt);
+      if (state.manifest) saveManifest(state.manifest);
     }
 
-    // Summary
-    console.log('\n' + '─'.repeat(50));
-    console.log(`\n✨ Batch generation complete!`);
-    console.log(`📝 Posts generated: ${results.length}/${postsToGenerate}`);
-
-    if (results.length > 0) {
-      console.log('\n📚 Generated posts:');
-      results.forEach((r, i) => {
-        console.log(`  ${i + 1}. ${r.title}`);
-        console.log(`     📄 ${r.filename}`);
-      });
+    // Small delay between API calls to avoid rate limiting
+    if (!dryRun && state.wantsMore()) {
+      await new Promise(resolve => setTimeout(resolve, delayMs));
     }
+  }
+}
 
+/**
+ * Run a batch. Resolves to { status, count, generated, results, attempts, manifest, error }
+ * where status is completed | incomplete | aborted, or planned for a dry run (with `planned`).
+ * Bad options (unknown category, missing manifest) are thrown.
+ */
+async function batchGenerate(options = parseArgs()) {
+  const settings = getBatchConfig();
+  const manifest = options.resume ? loadManifest(options.resume) : null;
+  // A resumed run keeps its original count and category
+  const count = manifest ? manifest.data.options.count : options.count || config.generation.postsPerDay || 2;
+  const categoryName = manifest ? manifest.data.options.category : options.category;
+  // Accepts aliases ("rust" -> languages); unknown categories stop the run here
+  const category = categoryName ? resolveCategory(categoryName) : null;
+  const concurrency = Math.max(1, Math.min(options.concurrency || settings.concurrency, count));
+
+  const run = manifest || (options.dryRun ? null : createManifest({ count, category, concurrency }));
+  const state = createRunState({ count, category, manifest: run });
+
+  logger.info(`\n🚀 ${options.dryRun ? 'Planning' : manifest ? 'Resuming' : 'Starting'} batch blog generation...`);
+  logger.info(`📊 ${state.saved > 0 ? `${state.saved}/${count} posts already saved, ` : ''}${count} posts, ${concurrency} at a time`);
+  if (category) logger.info(`🏷️  Category filter: ${category}`);
+  if (run) logger.info(`🧾 Manifest: ${path.relative(process.cwd(), run.file)}`);
+  logger.info('─'.repeat(50));
+
+  if (run) saveManifest(run);
+
+  await Promise.all(Array.from({ length: concurrency }, () =>
+    worker(state, { delayMs: settings.delayMs, dryRun: options.dryRun })
+  ));
+
+  if (state.fatalError) {
+    logger.error(`\n🛑 Aborted batch: ${state.fatalError.message}`);
+  }
+
+  // Summary
+  logger.info('\n' + '─'.repeat(50));
+  if (options.dryRun) {
+    logger.info(`\n🗓️  Planned ${state.plan.length}/${count} topics (nothing generated):`);
+    state.plan.forEach((entry, i) => {
+      logger.info(`  ${i + 1}. [${entry.category}${entry.focus ? ` › ${entry.focus}` : ''}] ${entry.topic}`);
+    });
     return {
-      success: generated === postsToGenerate,
-      generated: results.length,
-      results
+      status: 'planned',
+      count,
+      planned: state.plan.map(({ category: key, focus, topic }) => ({ category: key, focus, topic })),
+      error: state.fatalError ? state.fatalError.message : null
     };
+  }
 
+  run.data.status = state.fatalError ? 'aborted' : state.saved >= count ? 'completed' : 'incomplete';
+  run.data.finishedAt = new Date().toISOString();
+  saveManifest(run);
+
+  const attempts = run.data.attempts;
+  const results = attempts.filter(attempt => attempt.status === 'saved');
+  logger.info(`\n✨ Batch generation ${run.data.status}!`);
+  logger.info(`📝 Posts generated: ${results.length}/${count} (${attempts.length} attempts)`);
+
+  if (results.length > 0) {
+    logger.info('\n📚 Generated posts:');
+    results.forEach((r, i) => {
+      logger.info(`  ${i + 1}. ${r.title}`);
+      logger.info(`     📄 ${r.file}`);
+    });
+  }
+  if (run.data.status !== 'completed') {
+    logger.info(`\n🔁 Resume with: npm run blog -- batch --resume ${path.relative(process.cwd(), run.file)}`);
+  }
+
+  return {
+    status: run.data.status,
+    count,
+    generated: results.length,
+    results: results.map(({ category: key, focus, topic, file, title }) => ({ category: key, focus, topic, file, title })),
+    attempts: attempts.length,
+    manifest: path.relative(ROOT_DIR, run.file),
+    error: state.fatalError ? state.fatalError.message : null
+  };
+}
+
+// Main function
+async function main() {
+  try {
+    const result = await batchGenerate();
+    if (result.status === 'aborted') {
+      process.exitCode = 1;
+    }
+    return result;
   } catch (error) {
-    console.error('❌ Error in batch generation:', error.message);
+    logger.error('❌ Error in batch generation:', error.message);
     process.exit(1);
   }
 }
 
 // Run if called directly
 if (require.main === module) {
-  batchGenerate();
+  main();
 }
 
-module.exports = { batchGenerate };
+module.exports = { batchGenerate, loadManifest, getBatchConfig, main };
@@ -0,0 +1,705 @@
+#!/usr/bin/env node
+
+/**
+ * Blog CLI - One entry point for trends, generation, review and planning
+ * Usage: node blog.js <command> [options]
+ * Examples:
+ *   node blog.js generate --category rust                  # Generate one post
+ *   node blog.js batch 3 --concurrency 2                   # Generate three posts
+ *   node blog.js plan --next --category security --json    # Today's security topic as JSON
+ *   node blog.js list --drafts                             # Drafts waiting for review
+ *   node blog.js help batch                                # Options for one command
+ *
+ * Commands: trends, generate, batch, list, validate, links, publish, refresh, plan, usage
+ *
+ * Every command takes --json. stdout then carries exactly one JSON document and all
+ * progress output goes to stderr:
+ *   { "command": "generate", "ok": true, "exitCode": 0, "result": { ... } }
+ *   { "command": "generate", "ok": false, "exitCode": 2, "error": "Unknown category ..." }
+ *
+ * Exit codes:
+ *   0  success
+ *   1  failure (rejected post, invalid frontmatter, broken links, failed publish, aborted batch,
+ *      API error, usage budget reached)
+ *   2  usage error (unknown command, option or category, bad value)
+ *   3  did less than asked (duplicate topic skipped, batch short of its count, refresh
+ *      proposed but not written)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { fetchAllTrends } = require('./fetch-trends');
+const { fetchTopicTrends, printTopicTrends } = require('./fetch-topic-trends');
+const { generatePost } = require('./generate-blog');
+const { batchGenerate } = require('./batch-generate-blog');
+const { validateFiles, listPostFiles, formatReport } = require('./validate-frontmatter');
+const { lintPost, getStyleRules, formatLintReport } = require('./lint-post');
+const { checkPostLinks, formatLinkReport } = require('./check-links');
+const { publishPost, listPosts, listDrafts, generateOGImage } = require('./publish-post');
+const { proposeRefresh, applyRefresh, askToConfirm } = require('./refresh-post');
+const { pickTopic, planSchedule, formatPlan, recordTopic } = require('./topic-scheduler');
+const { resolveCategory } = require('./taxonomy');
+const { getSourceLabel } = require('./trend-sources');
+const { buildReport, formatUsageReport } = require('./usage-ledger');
+const { setTrendMode } = require('./trend-cache');
+const { createLogger, configureLogger } = require('./logger');
+
+const ROOT_DIR = path.join(__dirname, '..');
+
+const EXIT_OK = 0;
+const EXIT_FAILED = 1;
+const EXIT_USAGE = 2;
+const EXIT_INCOMPLETE = 3;
+
+// Bad command lines; reported with a pointer to --help and exit code 2
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+// Results are printed regardless of --quiet, which only silences progress output
+const output = createLogger({ level: 'info' });
+
+const COMMON_OPTIONS = {
+  json: { type: 'boolean', description: 'Print the result as JSON on stdout (progress goes to stderr)' },
+  quiet: { type: 'boolean', description: 'Only print warnings and errors' },
+  verbose: { type: 'boolean', description: 'Print debug output too' },
+  help: { type: 'boolean', short: 'h', description: 'Show help' }
+};
+
+// Passed to trend-cache.js by main()
+const TREND_OPTIONS = {
+  offline: { type: 'boolean', description: 'Replay recorded trend fixtures, never touch the network' },
+  refresh: { type: 'boolean', description: 'Ignore cached trend responses' },
+  record: { type: 'boolean', description: 'Fetch live trends and save them as fixtures' }
+};
+
+const CATEGORY_OPTION = {
+  category: { type: 'string', value: 'name', description: 'Category key or alias from blog-config.json topics' }
+};
+
+// Category key for a command line value; unknown names are usage errors
+function categoryArg(name) {
+  try {
+    return resolveCategory(name);
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+}
+
+function positiveIntArg(value, name, { allowZero = false } = {}) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < (allowZero ? 0 : 1)) {
+    throw new UsageError(`${name} must be a ${allowZero ? 'non-negative' : 'positive'} whole number, got "${value}"`);
+  }
+  return number;
+}
+
+/**
+ * Commands. run() resolves to { result, exitCode, print } - result is what --json prints,
+ * print() writes the human-readable version (progress output is logged while running).
+ */
+const COMMANDS = {
+  trends: {
+    summary: 'Fetch trending topics for a category, or from every source',
+    usage: 'trends [category]',
+    maxPositionals: 1,
+    options: TREND_OPTIONS,
+    examples: [
+      'trends                  # Everything the enabled sources return',
+      'trends security         # Security trends, keywords and topic suggestions',
+      'trends rust --offline   # From recorded fixtures'
+    ],
+    async run({ positionals: [name] }) {
+      if (name) {
+        const data = await fetchTopicTrends(categoryArg(name));
+        return { result: data, print: () => printTopicTrends(data, { log: output }) };
+      }
+
+      const trends = await fetchAllTrends();
+      return {
+        result: trends,
+        print: () => Object.entries(trends)
+          .filter(([, items]) => Array.isArray(items))
+          .forEach(([source, items]) => {
+            output.info(`\n📦 ${getSourceLabel(source)} (${items.length} items):`);
+            items.forEach((item, i) => output.info(`   ${i + 1}. ${item.title.slice(0, 70)}${item.score ? ` ⬆️${item.score}` : ''}`));
+          })
+      };
+    }
+  },
+
+  generate: {
+    summary: 'Generate one post (topic from the scheduler unless --topic is given)',
+    usage: 'generate [--category name] [--topic text [--focus text]] [--show-prompt]',
+    maxPositionals: 0,
+    options: {
+      ...CATEGORY_OPTION,
+      topic: { type: 'string', value: 'text', description: 'Write about this topic instead of asking the scheduler' },
+      focus: { type: 'string', value: 'text', description: 'Sub-category recorded with --topic' },
+      'show-prompt': { type: 'boolean', description: 'Print the rendered prompt without calling the model' },
+      ...TREND_OPTIONS
+    },
+    examples: [
+      'generate',
+      'generate --category security',
+      'generate --category rust --topic "Pin and Unpin without the pain"',
+      'generate --show-prompt --offline'
+    ],
+    async run({ values }) {
+      // Same environment variables as generate-blog.js, for the GitHub workflow
+      const categoryName = values.category || process.env.BLOG_CATEGORY;
+      const topic = values.topic || process.env.BLOG_TOPIC || null;
+      if (values.focus && !topic) {
+        throw new UsageError('--focus needs --topic');
+      }
+
+      const result = await generatePost({
+        category: categoryName ? categoryArg(categoryName) : null,
+        topic,
+        focus: values.focus || process.env.BLOG_SUB_CATEGORY || null,
+        showPrompt: values['show-prompt']
+      });
+
+      const exitCodes = { saved: EXIT_OK, prompt: EXIT_OK, skipped: EXIT_INCOMPLETE, rejected: EXIT_FAILED };
+      return {
+        result,
+        exitCode: exitCodes[result.status],
+        print: () => {
+          if (result.status === 'prompt') output.info(result.prompt);
+          if (result.status === 'skipped') output.info(`⏭️  Skipped: ${result.reason}`);
+          if (result.status === 'rejected') output.info(`❌ Rejected: ${result.reason}`);
+        }
+      };
+    }
+  },
+
+  batch: {
+    summary: 'Generate several posts, optionally in parallel, with a resumable run manifest',
+    usage: 'batch [count] [--category name] [--concurrency n] [--dry-run] [--resume manifest]',
+    maxPositionals: 1,
+    options: {
+      ...CATEGORY_OPTION,
+      concurrency: { type: 'string', value: 'n', description: 'Posts in flight at a time (default generation.batch.concurrency)' },
+      'dry-run': { type: 'boolean', description: 'Pick topics without generating anything' },
+      resume: { type: 'string', value: 'manifest', description: 'Continue the run recorded in this manifest' },
+      ...TREND_OPTIONS
+    },
+    examples: [
+      'batch 3',
+      'batch 2 --category security',
+      'batch 6 --concurrency 3',
+      'batch 5 --dry-run',
+      'batch --resume .cache/runs/2026-10-19T09-00-00-000Z.json'
+    ],
+    async run({ positionals: [count], values }) {
+      if (values.resume && (count || values.category)) {
+        throw new UsageError('--resume continues a run with its original count and category; drop them');
+      }
+
+      const result = await batchGenerate({
+        count: count ? positiveIntArg(count, 'count') : null,
+        category: values.category ? categoryArg(values.category) : null,
+        concurrency: values.concurrency ? positiveIntArg(values.concurrency, '--concurrency') : null,
+        dryRun: Boolean(values['dry-run']),
+        resume: values.resume || null
+      });
+
+      const exitCodes = { completed: EXIT_OK, incomplete: EXIT_INCOMPLETE, aborted: EXIT_FAILED };
+      const exitCode = result.status === 'planned'
+        ? (result.error ? EXIT_FAILED : result.planned.length < result.count ? EXIT_INCOMPLETE : EXIT_OK)
+        : exitCodes[result.status];
+      // The batch prints its own summary
+      return { result, exitCode };
+    }
+  },
+
+  list: {
+    summary: 'List posts, newest first',
+    usage: 'list [--drafts] [--tag tag] [--series name] [--limit n]',
+    maxPositionals: 0,
+    options: {
+      drafts: { type: 'boolean', description: 'Only drafts waiting for review' },
+      tag: { type: 'string', value: 'tag', description: 'Only posts with this tag' },
+      series: { type: 'string', value: 'name', description: 'Only parts of this series' },
+      limit: { type: 'string', value: 'n', description: 'Show at most n posts (default 20, 0 for all)' }
+    },
+    examples: [
+      'list',
+      'list --drafts',
+      'list --tag security --limit 0',
+      'list --series "Rust Error Handling"'
+    ],
+    async run({ values }) {
+      const limit = values.limit !== undefined ? positiveIntArg(values.limit, '--limit', { allowZero: true }) : 20;
+      const tag = values.tag && values.tag.toLowerCase();
+
+      const matching = listPosts()
+        .filter(post => !values.drafts || post.draft)
+        .filter(post => !tag || post.tags.some(t => String(t).toLowerCase() === tag))
+        .filter(post => !values.series || post.series === values.series)
+        .sort((a, b) => String(b.date).localeCompare(String(a.date)) || b.file.localeCompare(a.file));
+      const posts = limit > 0 ? matching.slice(0, limit) : matching;
+
+      return {
+        result: { total: matching.length, posts },
+        print: () => {
+          posts.forEach(post => {
+            const flags = [
+              post.draft ? '📝 draft' : null,
+              post.series ? `📚 ${post.series} #${post.seriesPart}` : null
+            ].filter(Boolean);
+            output.info(`${post.date}  ${post.slug}${flags.length > 0 ? `  ${flags.join('  ')}` : ''}`);
+            output.info(`            ${post.title}`);
+          });
+          output.info(`\n${posts.length === matching.length ? `${matching.length}` : `Showing ${posts.length} of ${matching.length}`} post(s)`);
+        }
+      };
+    }
+  },
+
+  validate: {
+    summary: 'Check post frontmatter (and optionally the style guide)',
+    usage: 'validate [file...] [--fix] [--lint]',
+    maxPositionals: Infinity,
+    options: {
+      fix: { type: 'boolean', description: 'Write frontmatter repairs back to the files' },
+      lint: { type: 'boolean', description: 'Also lint against the style guide (see lint-post.js)' }
+    },
+    examples: [
+      'validate',
+      'validate --fix',
+      'validate content/posts/2026-10-19-my-post.md --lint'
+    ],
+    async run({ positionals: files, values }) {
+      const targets = files.length > 0 ? files.map(f => path.resolve(f)) : listPostFiles();
+      const missing = targets.filter(f => !fs.existsSync(f));
+      if (missing.length > 0) {
+        throw new UsageError(`File not found: ${missing.map(f => path.relative(process.cwd(), f)).join(', ')}`);
+      }
+
+      const rules = values.lint ? getStyleRules() : null;
+      const posts = validateFiles(targets, { fix: values.fix }).map((result, i) => ({
+        ...result,
+        lint: rules && result.valid ? lintPost(fs.readFileSync(targets[i], 'utf-8'), rules) : null
+      }));
+
+      const invalid = posts.filter(p => !p.valid).length;
+      const lintFailed = posts.filter(p => p.lint && !p.lint.passed).length;
+      const repairable = posts.filter(p => p.valid && !p.fixed && p.repairs.length > 0).length;
+      const fixed = posts.filter(p => p.fixed).length;
+      const findings = posts.filter(p => !p.valid || p.repairs.length > 0 || p.warnings.length > 0 || (p.lint && (!p.lint.passed || p.lint.warnings.length > 0)));
+
+      return {
+        // Only posts with something to report; the counts cover all of them
+        result: { total: posts.length, invalid, repairable, fixed, lintFailed: rules ? lintFailed : null, posts: findings },
+        exitCode: invalid > 0 || lintFailed > 0 ? EXIT_FAILED : EXIT_OK,
+        print: () => {
+          findings.forEach(p => {
+            if (!p.valid || p.repairs.length > 0 || p.warnings.length > 0) output.info(formatReport(p.file, p));
+            if (p.lint && !p.lint.passed) output.info(formatLintReport(p.file, p.lint));
+          });
+          if (fixed > 0) output.info(`\n📝 Repaired frontmatter in ${fixed} file(s)`);
+          if (repairable > 0) output.info(`\n🔧 ${repairable} post(s) can be repaired with --fix`);
+          output.info(`${invalid === 0 ? '✅' : '❌'} ${posts.length - invalid}/${posts.length} post(s) valid`);
+          if (rules) output.info(`${lintFailed === 0 ? '✅' : '❌'} ${posts.length - invalid - lintFailed}/${posts.length - invalid} valid post(s) pass the style guide`);
+        }
+      };
+    }
+  },
+
+  links: {
+    summary: 'Check that links in posts resolve (internal always, external with --external)',
+    usage: 'links [file...] [--external] [--stub file]',
+    maxPositionals: Infinity,
+    options: {
+      external: { type: 'boolean', description: 'Also fetch external URLs' },
+      stub: { type: 'string', value: 'file', description: 'Answer external URLs from this stub file instead of the network' }
+    },
+    examples: [
+      'links',
+      'links --external',
+      'links --stub scripts/fixtures/links.json',
+      'links content/posts/2026-10-19-my-post.md --json'
+    ],
+    async run({ positionals: files, values }) {
+      const targets = files.length > 0 ? files.map(f => path.resolve(f)) : listPostFiles();
+      const missing = targets.filter(f => !fs.existsSync(f));
+      if (missing.length > 0) {
+        throw new UsageError(`File not found: ${missing.map(f => path.relative(process.cwd(), f)).join(', ')}`);
+      }
+      if (values.stub && !fs.existsSync(values.stub)) {
+        throw new UsageError(`Stub file not found: ${values.stub}`);
+      }
+
+      const posts = await checkPostLinks(targets, { external: values.external || Boolean(values.stub), stub: values.stub });
+      const failed = posts.filter(p => !p.passed);
+      const broken = failed.reduce((sum, p) => sum + p.broken.length, 0);
+
+      return {
+        // Only posts with broken links; the counts cover all of them
+        result: { total: posts.length, failed: failed.length, broken, posts: failed },
+        exitCode: failed.length > 0 ? EXIT_FAILED : EXIT_OK,
+        print: () => {
+          failed.forEach(p => output.info(formatLinkReport(p.file, p)));
+          output.info(`${failed.length === 0 ? '✅' : '❌'} ${posts.length - failed.length}/${posts.length} post(s) have no broken links`);
+        }
+      };
+    }
+  },
+
+  publish: {
+    summary: 'Publish reviewed drafts (lists drafts when no slug is given)',
+    usage: 'publish [slug...]',
+    maxPositionals: Infinity,
+    options: {},
+    examples: [
+      'publish',
+      'publish 2026-10-19-my-draft-post'
+    ],
+    async run({ positionals, values }) {
+      if (positionals.length === 0) {
+        const drafts = listDrafts();
+        return {
+          result: { drafts },
+          print: () => {
+            if (drafts.length === 0) {
+              output.info('✅ No drafts waiting for review');
+              return;
+            }
+            output.info(`📝 ${drafts.length} draft(s) waiting for review:\n`);
+            drafts.forEach(d => output.info(`  - ${d.slug}\n    ${d.title}`));
+            output.info('\nPublish with: npm run blog -- publish <slug>');
+          }
+        };
+      }
+
+      const published = [];
+      const failed = [];
+      for (const slug of positionals.map(s => path.basename(s).replace(/\.(md|mdx)$/, ''))) {
+        try {
+          const post = publishPost(slug);
+          // Keep the OG script's output off stdout when it carries JSON
+          const ogImage = generateOGImage(post.slug, { output: values.json ? 'stderr' : 'inherit' });
+          published.push({ slug: post.slug, previousSlug: post.previousSlug, file: path.relative(ROOT_DIR, post.filepath), title: post.title, ogImage });
+        } catch (error) {
+          failed.push({ slug, error: error.message });
+        }
+      }
+
+      return {
+        result: { published, failed },
+        exitCode: failed.length > 0 ? EXIT_FAILED : EXIT_OK,
+        print: () => {
+          published.forEach(p => {
+            output.info(`✅ Published: ${p.title}`);
+            output.info(`   📄 ${p.file}`);
+            if (!p.ogImage) output.info(`⚠️  OG image generation failed for ${p.slug} (it will be regenerated on the next build)`);
+          });
+          failed.forEach(f => output.info(`❌ ${f.error}`));
+        }
+      };
+    }
+  },
+
+  refresh: {
+    summary: 'Update an existing post with current trends, keeping its slug and date',
+    usage: 'refresh <slug> [--yes | --dry-run | --apply] [--retitle]',
+    maxPositionals: 1,
+    options: {
+      yes: { type: 'boolean', short: 'y', description: 'Overwrite the post without asking' },
+      'dry-run': { type: 'boolean', description: 'Only show the diff (the proposal is kept for --apply)' },
+      apply: { type: 'boolean', description: 'Use the proposal saved by the last run instead of calling the model' },
+      retitle: { type: 'boolean', description: "Take the model's title instead of keeping the original" },
+      ...TREND_OPTIONS
+    },
+    examples: [
+      'refresh 2026-01-21-eloquent-relationships-done-right',
+      'refresh 2026-01-21-eloquent-relationships-done-right --dry-run',
+      'refresh 2026-01-21-eloquent-relationships-done-right --apply --yes',
+      'refresh 2026-01-21-eloquent-relationships-done-right --yes --json'
+    ],
+    async run({ positionals: [slug], values }) {
+      if (!slug) {
+        throw new UsageError('refresh needs the slug of a post');
+      }
+      if (values['dry-run'] && (values.yes || values.apply)) {
+        throw new UsageError('--dry-run only shows the diff; drop --yes and --apply');
+      }
+
+      const proposal = await proposeRefresh(path.basename(slug).replace(/\.(md|mdx)$/, ''), {
+        apply: values.apply,
+        retitle: values.retitle,
+        color: !values.json && process.stdout.isTTY
+      });
+      const { proposal: markdown, previousTitle, ...summary } = proposal;
+
+      if (proposal.status === 'rejected') {
+        return { result: summary, exitCode: EXIT_FAILED, print: () => output.info(`❌ Rejected: ${proposal.reason}`) };
+      }
+      if (proposal.status === 'unchanged') {
+        return { result: summary, print: () => output.info('✅ Nothing to update') };
+      }
+
+      // The diff has to be seen before the question; with --json only --yes writes
+      if (!values.json) {
+        output.info(`\n${proposal.diff}\n`);
+        output.info(`📝 ${proposal.added} line(s) added, ${proposal.removed} removed`);
+      }
+      const confirmed = !values['dry-run'] && (values.yes ||
+        (!values.json && process.stdin.isTTY && await askToConfirm(`Overwrite content/posts/${proposal.file}?`)));
+
+      if (!confirmed) {
+        return {
+          result: summary,
+          exitCode: values['dry-run'] ? EXIT_OK : EXIT_INCOMPLETE,
+          print: () => output.info(`⏸️  Not written. Proposal saved to ${proposal.proposalFile}; write it with: npm run blog -- refresh ${proposal.slug} --apply --yes`)
+        };
+      }
+
+      const { ogImage } = applyRefresh(proposal, { ogOutput: values.json ? 'stderr' : 'inherit' });
+      const { proposalFile, ...updated } = summary;
+      return {
+        result: { ...updated, status: 'updated', ogImage },
+        print: () => {
+          output.info(`✅ Refreshed: content/posts/${proposal.file}`);
+          if (ogImage === false) output.info(`⚠️  OG image generation failed for ${proposal.slug} (it will be regenerated on the next build)`);
+        }
+      };
+    }
+  },
+
+  plan: {
+    summary: 'Preview upcoming topics, pick the next one, or record a written post',
+    usage: 'plan [days] [--per-day n] [--category name]  |  plan --next [--category name]  |  plan --record --category name --topic text [--focus text] [--file path]',
+    maxPositionals: 1,
+    options: {
+      ...CATEGORY_OPTION,
+      'per-day': { type: 'string', value: 'n', description: 'Topics per day (default generation.postsPerDay)' },
+      next: { type: 'boolean', description: 'Pick the next topic only' },
+      record: { type: 'boolean', description: 'Record a post that was written in the topic history (with --next: the pick)' },
+      topic: { type: 'string', value: 'text', description: 'Topic of the post to --record' },
+      focus: { type: 'string', value: 'text', description: 'Sub-category of the post to --record' },
+      file: { type: 'string', value: 'path', description: 'File of the post to --record (must exist in content/posts)' }
+    },
+    examples: [
+      'plan',
+      'plan 14 --category devops',
+      'plan --next --category security --json',
+      'plan --record --category security --focus "Web application vulnerabilities" --topic "CSP nonces" --file content/posts/2026-10-19-csp-nonces.md'
+    ],
+    async run({ positionals: [days], values }) {
+      const category = values.category ? categoryArg(values.category) : null;
+      const describesPost = Boolean(values.topic || values.focus || values.file);
+
+      // Recorded once the post exists, so a failed generation doesn't use up the topic
+      if (values.record && !values.next) {
+        if (days || values['per-day']) {
+          throw new UsageError('--record writes one history entry; drop days and --per-day');
+        }
+        if (!category || !values.topic) {
+          throw new UsageError('--record needs the --category and --topic of the post that was written');
+        }
+        const file = values.file ? path.basename(values.file) : null;
+        if (file && !fs.existsSync(path.join(ROOT_DIR, 'content', 'posts', file))) {
+          throw new Error(`Post not found: ${values.file}`);
+        }
+        const entry = { date: new Date().toISOString().split('T')[0], category, focus: values.focus || null, topic: values.topic, file };
+        recordTopic(entry);
+        return { result: entry, print: () => output.info(`📝 Recorded: ${entry.topic}${file ? ` (${file})` : ''}`) };
+      }
+      if (describesPost) {
+        throw new UsageError('--topic, --focus and --file describe a written post for --record (without --next)');
+      }
+
+      if (values.next) {
+        if (days || values['per-day']) {
+          throw new UsageError('--next picks a single topic; drop days and --per-day');
+        }
+        const pick = pickTopic({ category });
+        if (!pick) {
+          throw new Error(`No topics configured for ${category}`);
+        }
+        if (values.record) {
+          recordTopic(pick);
+        }
+        return {
+          result: pick,
+          print: () => {
+            output.info(`📚 Category: ${pick.category}${pick.focus ? ` (${pick.focus})` : ''}`);
+            output.info(`📝 Topic: ${pick.topic}${pick.repeated ? ' (every topic in this pool was covered recently)' : ''}`);
+          }
+        };
+      }
+
+      const dayCount = days ? positiveIntArg(days, 'days') : 7;
+      const perDay = values['per-day'] ? positiveIntArg(values['per-day'], '--per-day') : undefined;
+      const plan = planSchedule(dayCount, { perDay, category });
+      return { result: plan, print: () => output.info(formatPlan(plan, dayCount)) };
+    }
+  },
+
+  usage: {
+    summary: 'Report token usage and cost per month and category, and the budget status',
+    usage: 'usage [--month YYYY-MM]',
+    maxPositionals: 0,
+    options: {
+      month: { type: 'string', value: 'YYYY-MM', description: 'Only this month' }
+    },
+    examples: [
+      'usage',
+      'usage --month 2026-10 --json'
+    ],
+    async run({ values }) {
+      if (values.month !== undefined && !/^\d{4}-\d{2}$/.test(values.month)) {
+        throw new UsageError(`--month expects YYYY-MM, got "${values.month}"`);
+      }
+      const report = buildReport({ month: values.month || null });
+      return { result: report, print: () => output.info(formatUsageReport(report)) };
+    }
+  }
+};
+
+function formatOptions(options) {
+  const rows = Object.entries({ ...options, ...COMMON_OPTIONS }).map(([name, option]) => [
+    `${option.short ? `-${option.short}, ` : '    '}--${name}${option.type === 'string' ? ` <${option.value}>` : ''}`,
+    option.description
+  ]);
+  const width = Math.max(...rows.map(([flags]) => flags.length));
+  return rows.map(([flags, description]) => `  ${flags.padEnd(width)}  ${description}`).join('\n');
+}
+
+function formatHelp(name) {
+  if (!name) {
+    const width = Math.max(...Object.keys(COMMANDS).map(n => n.length));
+    return [
+      'Usage: npm run blog -- <command> [options]',
+      '',
+      'Commands:',
+      ...Object.entries(COMMANDS).map(([n, command]) => `  ${n.padEnd(width)}  ${command.summary}`),
+      '',
+      'Every command takes --json, --quiet, --verbose and --help.',
+      'Run "npm run blog -- help <command>" for its options.',
+      '',
+      'Exit codes: 0 success, 1 failure, 2 usage error, 3 did less than asked (e.g. duplicate skipped)'
+    ].join('\n');
+  }
+
+  const command = COMMANDS[name];
+  return [
+    `Usage: npm run blog -- ${command.usage}`,
+    '',
+    command.summary,
+    '',
+    'Options:',
+    formatOptions(command.options),
+    '',
+    'Examples:',
+    ...command.examples.map(example => `  npm run blog -- ${example}`)
+  ].join('\n');
+}
+
+// Parse argv for a command; returns { name, values, positionals } or { help } for help requests
+function parseCommandLine(argv) {
+  const [name, ...rest] = argv;
+
+  if (!name || name === '--help' || name === '-h') {
+    return { help: true, name: null, usage: !name };
+  }
+  if (name === 'help') {
+    if (rest[0] && !COMMANDS[rest[0]]) {
+      throw new UsageError(`Unknown command "${rest[0]}". Commands: ${Object.keys(COMMANDS).join(', ')}`);
+    }
+    return { help: true, name: rest[0] || null };
+  }
+
+  const command = COMMANDS[name];
+  if (!command) {
+    throw new UsageError(`Unknown command "${name}". Commands: ${Object.keys(COMMANDS).join(', ')}`);
+  }
+
+  const options = Object.fromEntries(Object.entries({ ...command.options, ...COMMON_OPTIONS })
+    .map(([option, { type, short }]) => [option, short ? { type, short } : { type }]));
+
+  let parsed;
+  try {
+    parsed = parseArgs({ args: rest, options, allowPositionals: true, strict: true });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  if (parsed.values.help) {
+    return { help: true, name };
+  }
+  if (parsed.positionals.length > command.maxPositionals) {
+    throw new UsageError(`Unexpected argument "${parsed.positionals[command.maxPositionals]}" (usage: ${command.usage})`);
+  }
+  if (parsed.values.quiet && parsed.values.verbose) {
+    throw new UsageError('--quiet and --verbose cannot be combined');
+  }
+
+  return { name, values: parsed.values, positionals: parsed.positionals };
+}
+
+// Run the CLI; resolves to the exit code
+async function main(argv = process.argv.slice(2)) {
+  // --json is honoured even when the command line is otherwise unusable
+  const json = argv.includes('--json');
+  configureLogger({ json });
+  const report = (command, exitCode, body) => {
+    if (json) {
+      console.log(JSON.stringify({ command, ok: exitCode === EXIT_OK, exitCode, ...body }, null, 2));
+    }
+    return exitCode;
+  };
+
+  let parsed;
+  try {
+    parsed = parseCommandLine(argv);
+  } catch (error) {
+    const name = COMMANDS[argv[0]] ? argv[0] : null;
+    console.error(`❌ ${error.message}`);
+    console.error(`Run "npm run blog -- ${name ? `${name} ` : ''}--help" for usage.`);
+    return report(name, EXIT_USAGE, { error: error.message });
+  }
+
+  if (parsed.help) {
+    // A bare `blog` is a usage error; asking for help is not
+    (parsed.usage ? console.error : console.log)(formatHelp(parsed.name));
+    return parsed.usage ? EXIT_USAGE : EXIT_OK;
+  }
+
+  // The logger and trend cache take their flags from this command line, not process.argv
+  const { values } = parsed;
+  configureLogger({ json, quiet: values.quiet, verbose: values.verbose });
+  // plan has a --record of its own
+  const trendFlags = COMMANDS[parsed.name].options.offline === TREND_OPTIONS.offline;
+  setTrendMode(trendFlags ? Object.keys(TREND_OPTIONS).find(mode => values[mode]) : null);
+
+  try {
+    const { result, exitCode = EXIT_OK, print } = await COMMANDS[parsed.name].run(parsed);
+    if (!json && print) {
+      print();
+    }
+    return report(parsed.name, exitCode, { result });
+  } catch (error) {
+    const usage = error instanceof UsageError;
+    console.error(`❌ ${error.message}`);
+    if (usage) {
+      console.error(`Run "npm run blog -- ${parsed.name} --help" for usage.`);
+    }
+    return report(parsed.name, usage ? EXIT_USAGE : EXIT_FAILED, { error: error.message });
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  main().then(code => {
+    process.exitCode = code;
+  });
+}
+
+module.exports = { main, COMMANDS };
@@ -0,0 +1,437 @@
+#!/usr/bin/env node
+
+/**
+ * Code Block Checker - Syntax-checks the fenced code blocks in posts
+ * Runs on generated posts through lint-post.js, and as an audit over content/posts
+ * Usage: node check-code-blocks.js [--json] [--quiet] [file...]
+ * Examples:
+ *   node check-code-blocks.js                  # Audit every post in content/posts
+ *   node check-code-blocks.js --quiet          # Only list posts with broken blocks
+ *   node check-code-blocks.js post.md          # Check a single file
+ *
+ * Blocks are checked by the language on their fence:
+ *   - JavaScript / TypeScript (js, jsx, ts, tsx, ...) are parsed with the TypeScript parser
+ *   - JSON is parsed (// and /* *\/ comments are allowed, as in tsconfig.json)
+ *   - YAML is parsed with js-yaml (templated YAML with {{ }} is skipped)
+ *   - PHP, Rust, Python, shell, SQL, HCL, ... get a bracket balance check that
+ *     knows the language's strings and comments
+ *   - anything else (markdown, dockerfile, text, ...) is skipped
+ * Errors carry the line in the post file, so they can be found without counting.
+ * A `...` line or `{ ... }` placeholder is not an error.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+const postsDir = path.join(__dirname, '..', 'content', 'posts');
+
+// Fence language -> checker
+const PARSED_LANGUAGES = {
+  javascript: 'javascript',
+  js: 'javascript',
+  jsx: 'javascript',
+  mjs: 'javascript',
+  cjs: 'javascript',
+  node: 'javascript',
+  typescript: 'typescript',
+  ts: 'typescript',
+  tsx: 'tsx',
+  json: 'json',
+  jsonc: 'json',
+  yaml: 'yaml',
+  yml: 'yaml'
+};
+
+// Strings and comments per language family, for the bracket balance check.
+// Quotes: [open, close, { multiline, escape }]
+const C_QUOTES = [['"', '"', {}], ["'", "'", {}]];
+const C_COMMENTS = { line: ['//'], block: [['/*', '*/']] };
+
+const SYNTAX = {
+  c: { ...C_COMMENTS, quotes: C_QUOTES },
+  // #[Route] is an attribute, not a comment
+  php: { line: ['//', '#'], block: [['/*', '*/']], quotes: C_QUOTES, hashAttributes: true },
+  rust: { ...C_COMMENTS, quotes: [['"', '"', { multiline: true }]], charLiterals: true },
+  go: { ...C_COMMENTS, quotes: [...C_QUOTES, ['`', '`', { multiline: true, escape: false }]] },
+  python: {
+    line: ['#'],
+    block: [],
+    quotes: [['"""', '"""', { multiline: true }], ["'''", "'''", { multiline: true }], ...C_QUOTES]
+  },
+  shell: {
+    line: ['#'],
+    block: [],
+    quotes: [['"', '"', { multiline: true }], ["'", "'", { multiline: true, escape: false }]],
+    heredocs: true,
+    // `$#` and `${#list[@]}` are not comments
+    wordComments: true,
+    // `case` patterns close parentheses they never opened
+    brackets: '{}[]'
+  },
+  sql: { line: ['--'], block: [['/*', '*/']], quotes: C_QUOTES },
+  hcl: { line: ['#', '//'], block: [['/*', '*/']], quotes: [['"', '"', {}]], heredocs: true },
+  hash: { line: ['#'], block: [], quotes: C_QUOTES },
+  graphql: { line: ['#'], block: [], quotes: [['"""', '"""', { multiline: true }], ['"', '"', {}]] },
+  css: { ...C_COMMENTS, quotes: C_QUOTES }
+};
+
+const BALANCED_LANGUAGES = {
+  php: 'php',
+  rust: 'rust',
+  rs: 'rust',
+  go: 'go',
+  golang: 'go',
+  java: 'c',
+  c: 'c',
+  cpp: 'c',
+  'c++': 'c',
+  csharp: 'c',
+  cs: 'c',
+  kotlin: 'c',
+  swift: 'c',
+  scala: 'c',
+  dart: 'c',
+  protobuf: 'c',
+  proto: 'c',
+  prisma: 'c',
+  groovy: 'c',
+  python: 'python',
+  py: 'python',
+  bash: 'shell',
+  sh: 'shell',
+  shell: 'shell',
+  zsh: 'shell',
+  sql: 'sql',
+  hcl: 'hcl',
+  terraform: 'hcl',
+  tf: 'hcl',
+  nginx: 'hash',
+  promql: 'hash',
+  ruby: 'hash',
+  rb: 'hash',
+  graphql: 'graphql',
+  gql: 'graphql',
+  css: 'css',
+  scss: 'css',
+  less: 'css'
+};
+
+const BRACKETS = { '(': ')', '[': ']', '{': '}' };
+const CLOSERS = { ')': '(', ']': '[', '}': '{' };
+
+// Language key from a fence info string ("js title=app.js" -> "js")
+function fenceLanguage(info) {
+  const match = info.trim().toLowerCase().match(/^[\w+#-]+/);
+  return match ? match[0] : '';
+}
+
+/**
+ * Fenced code blocks of a post: [{ lang, line, code }]
+ * `line` is the line of the first code line in the file (frontmatter included).
+ */
+function extractCodeBlocks(markdown) {
+  const blocks = [];
+  let current = null;
+
+  markdown.split('\n').forEach((line, i) => {
+    if (!current) {
+      const open = line.match(/^(\s*)(```+|~~~+)(.*)$/);
+      if (open) {
+        current = { indent: open[1].length, fence: open[2], lang: fenceLanguage(open[3]), line: i + 2, lines: [] };
+      }
+      return;
+    }
+
+    const close = line.match(/^\s*(```+|~~~+)\s*$/);
+    if (close && close[1][0] === current.fence[0] && close[1].length >= current.fence.length) {
+      blocks.push({ lang: current.lang, line: current.line, code: current.lines.join('\n') });
+      current = null;
+      return;
+    }
+    // Code inside a list item is indented with it
+    current.lines.push(line.slice(Math.min(current.indent, line.length - line.trimStart().length)));
+  });
+
+  return blocks;
+}
+
+// Which checker handles a language: { kind: 'parse' | 'balance', name } or null
+function getChecker(lang) {
+  if (PARSED_LANGUAGES[lang]) return { kind: 'parse', name: PARSED_LANGUAGES[lang] };
+  if (BALANCED_LANGUAGES[lang]) return { kind: 'balance', name: BALANCED_LANGUAGES[lang] };
+  return null;
+}
+
+// `...` placeholders ("// rest of the handler", "{ ... }") become blank, keeping offsets
+function blankPlaceholders(code) {
+  return code.replace(/(?:\.\.\.|…)(?=\s*(?:[)}\],;]|$))/gm, match => ' '.repeat(match.length));
+}
+
+// 1-based line of a character offset
+function lineAt(code, offset) {
+  return code.slice(0, offset).split('\n').length;
+}
+
+let ts = null;
+
+// Syntax errors from the TypeScript parser (JavaScript is parsed as JSX-flavoured JS)
+function parseScript(code, name) {
+  // Loaded on first use: the audit over hundreds of posts should only pay for it once
+  ts = ts || require('typescript');
+  const fileName = { javascript: 'snippet.jsx', typescript: 'snippet.ts', tsx: 'snippet.tsx' }[name];
+  const { diagnostics } = ts.transpileModule(blankPlaceholders(code), {
+    fileName,
+    reportDiagnostics: true,
+    compilerOptions: { target: ts.ScriptTarget.ESNext, jsx: ts.JsxEmit.Preserve, allowJs: true }
+  });
+
+  return diagnostics
+    .filter(d => d.category === ts.DiagnosticCategory.Error && d.file && d.start !== undefined)
+    .map(d => ({
+      line: d.file.getLineAndCharacterOfPosition(d.start).line + 1,
+      message: ts.flattenDiagnosticMessageText(d.messageText, ' ')
+    }));
+}
+
+// JSON with comments blanked out (offsets are kept for line numbers)
+function stripJsonComments(code) {
+  return code.replace(/("(?:\\.|[^"\\])*")|\/\/[^\n]*|\/\*[\s\S]*?\*\//g, (match, string) =>
+    string || match.replace(/[^\n]/g, ' '));
+}
+
+function parseJson(code) {
+  const text = blankPlaceholders(stripJsonComments(code));
+  if (text.trim() === '') return [];
+  try {
+    JSON.parse(text);
+    return [];
+  } catch (error) {
+    const position = error.message.match(/at position (\d+)/);
+    const message = error.message.replace(/\s*in JSON at position \d+.*$/, '');
+    return [{ line: position ? lineAt(text, Number(position[1])) : lineAt(text, text.length), message }];
+  }
+}
+
+function parseYaml(code) {
+  // Local tags (CloudFormation's !Ref, !Sub, ...) mean something to the tool reading the file, not to YAML
+  const untagged = code.replace(/(^|[\s[{,:-])(![A-Za-z][\w.:]*)(?=\s|$)/gm, (match, before, tag) => before + ' '.repeat(tag.length));
+  try {
+    yaml.safeLoadAll(untagged, () => {});
+    return [];
+  } catch (error) {
+    return [{ line: error.mark ? error.mark.line + 1 : 1, message: error.reason || error.message }];
+  }
+}
+
+// Bracket balance, skipping strings, comments and heredocs
+function checkBalance(code, syntax) {
+  const brackets = syntax.brackets || '()[]{}';
+  const stack = [];
+  const lines = code.split('\n');
+  let quote = null;
+  let block = null;
+  let heredoc = null;
+
+  for (let n = 0; n < lines.length; n++) {
+    const line = lines[n];
+    const lineNumber = n + 1;
+
+    if (heredoc) {
+      if (line.trim() === heredoc) heredoc = null;
+      continue;
+    }
+
+    let i = 0;
+    while (i < line.length) {
+      const rest = line.slice(i);
+
+      if (block) {
+        const end = rest.indexOf(block[1]);
+        if (end === -1) break;
+        i += end + block[1].length;
+        block = null;
+        continue;
+      }
+
+      if (quote) {
+        const [, close, { escape = true }] = quote.spec;
+        if (escape && line[i] === '\\') {
+          i += 2;
+        } else if (rest.startsWith(close)) {
+          i += close.length;
+          quote = null;
+        } else {
+          i++;
+        }
+        continue;
+      }
+
+      const lineComment = syntax.line.find(marker => rest.startsWith(marker));
+      if (lineComment &&
+          !(syntax.hashAttributes && rest.startsWith('#[')) &&
+          !(syntax.wordComments && i > 0 && !/[\s;]/.test(line[i - 1]))) {
+        break;
+      }
+
+      const blockComment = syntax.block.find(([open]) => rest.startsWith(open));
+      if (blockComment) {
+        block = blockComment;
+        i += blockComment[0].length;
+        continue;
+      }
+
+      if (syntax.heredocs) {
+        const start = rest.match(/^<<[-~]?\s*(['"]?)([A-Za-z_]\w*)\1/);
+        if (start && line[i + 2] !== '<') {
+          heredoc = start[2];
+          i += start[0].length;
+          continue;
+        }
+      }
+
+      // Rust: 'a' is a char, 'a on its own is a lifetime
+      if (syntax.charLiterals && line[i] === "'") {
+        const char = rest.match(/^'(?:\\(?:u\{[0-9a-fA-F]+\}|.)|[^\\'])'/);
+        i += char ? char[0].length : 1;
+        continue;
+      }
+
+      const spec = syntax.quotes.find(([open]) => rest.startsWith(open));
+      if (spec) {
+        quote = { spec, line: lineNumber };
+        i += spec[0].length;
+        continue;
+      }
+
+      const ch = line[i];
+      if (BRACKETS[ch] && brackets.includes(ch)) {
+        stack.push({ ch, line: lineNumber });
+      } else if (CLOSERS[ch] && brackets.includes(ch)) {
+        const open = stack.pop();
+        if (!open) {
+          return [{ line: lineNumber, message: `unmatched "${ch}"` }];
+        }
+        if (open.ch !== CLOSERS[ch]) {
+          return [{ line: lineNumber, message: `"${ch}" closes "${open.ch}" from line ${open.line}` }];
+        }
+      }
+      i++;
+    }
+
+    // Single-line strings end with their line
+    if (quote && !quote.spec[2].multiline) quote = null;
+  }
+
+  if (quote) return [{ line: quote.line, message: `${quote.spec[0]} string is never closed` }];
+  if (block) return [{ line: lines.length, message: `${block[0]} comment is never closed` }];
+  if (stack.length > 0) {
+    const open = stack[stack.length - 1];
+    return [{ line: open.line, message: `"${open.ch}" is never closed` }];
+  }
+  return [];
+}
+
+// Errors for one block, with lines relative to the block
+function checkBlock(block) {
+  const checker = getChecker(block.lang);
+  if (!checker) return null;
+
+  if (checker.kind === 'balance') {
+    return checkBalance(block.code, SYNTAX[checker.name]);
+  }
+  if (checker.name === 'json') return parseJson(block.code);
+  if (checker.name === 'yaml') {
+    // Helm and Jinja templates aren't YAML until they are rendered
+    return /\{\{/.test(block.code.replace(/\$\{\{/g, '')) ? null : parseYaml(block.code);
+  }
+  return parseScript(block.code, checker.name);
+}
+
+/**
+ * Check every fenced code block of a post.
+ * Returns { passed, errors: [{ line, lang, message }], checked, skipped }.
+ * Only the first error of a block is reported - the rest are usually its echoes.
+ */
+function checkCodeBlocks(markdown) {
+  const errors = [];
+  let checked = 0;
+  let skipped = 0;
+
+  extractCodeBlocks(markdown).forEach(block => {
+    const blockErrors = checkBlock(block);
+    if (blockErrors === null) {
+      skipped++;
+      return;
+    }
+    checked++;
+    if (blockErrors.length > 0) {
+      // Parsers that run off the end point one line past the block
+      const line = Math.min(blockErrors[0].line, block.code.split('\n').length);
+      errors.push({ line: block.line + line - 1, lang: block.lang, message: blockErrors[0].message });
+    }
+  });
+
+  return { passed: errors.length === 0, errors, checked, skipped };
+}
+
+// One error as a line of text ("line 42 (php): unmatched "}"")
+function formatCodeError(error) {
+  return `line ${error.line} (${error.lang}): ${error.message}`;
+}
+
+// Human-readable report for one post
+function formatCodeReport(name, result) {
+  const lines = [`${result.passed ? '✅' : '❌'} ${name}`];
+  result.errors.forEach(e => lines.push(`   ✗ ${formatCodeError(e)}`));
+  return lines.join('\n');
+}
+
+// CLI execution
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const json = args.includes('--json');
+  const quiet = args.includes('--quiet');
+  const files = args.filter(a => !a.startsWith('--'));
+
+  const targets = files.length > 0
+    ? files.map(f => path.resolve(f))
+    : fs.readdirSync(postsDir)
+      .filter(f => f.endsWith('.md') || f.endsWith('.mdx'))
+      .map(f => path.join(postsDir, f));
+
+  const results = targets.map(file => ({
+    file: path.basename(file),
+    ...checkCodeBlocks(fs.readFileSync(file, 'utf-8'))
+  }));
+  const failed = results.filter(r => !r.passed);
+
+  if (json) {
+    console.log(JSON.stringify(results, null, 2));
+  } else {
+    results
+      .filter(r => !r.passed || (!quiet && files.length > 0))
+      .forEach(r => console.log(formatCodeReport(r.file, r)));
+
+    // Which languages break most often
+    const counts = {};
+    failed.forEach(r => r.errors.forEach(e => {
+      counts[e.lang] = (counts[e.lang] || 0) + 1;
+    }));
+    if (Object.keys(counts).length > 0) {
+      console.log(`\n📊 Broken blocks by language: ${Object.entries(counts).sort((a, b) => b[1] - a[1]).map(([lang, n]) => `${lang} ${n}`).join(', ')}`);
+    }
+
+    const checked = results.reduce((sum, r) => sum + r.checked, 0);
+    const skipped = results.reduce((sum, r) => sum + r.skipped, 0);
+    const broken = results.reduce((sum, r) => sum + r.errors.length, 0);
+    console.log(`🔎 ${checked - broken}/${checked} checked code block(s) parse (${skipped} in languages without a checker)`);
+    console.log(`${failed.length === 0 ? '✅' : '❌'} ${results.length - failed.length}/${results.length} post(s) have clean code blocks`);
+  }
+
+  if (failed.length > 0) {
+    process.exit(1);
+  }
+}
+
+module.exports = { checkCodeBlocks, extractCodeBlocks, formatCodeError, formatCodeReport };
@@ -0,0 +1,380 @@
+#!/usr/bin/env node
+
+/**
+ * Link Checker - Finds broken links in posts
+ * Internal links are resolved against the content index; external URLs are fetched on request
+ * Usage: node check-links.js [--external] [--stub file] [--json] [--quiet] [file...]
+ * Examples:
+ *   node check-links.js                                   # Internal links of every post (offline)
+ *   node check-links.js --external                        # Also fetch every external URL
+ *   node check-links.js --stub scripts/fixtures/links.json  # External URLs answered from a stub file
+ *   node check-links.js content/posts/my-post.md          # One post
+ *
+ * Internal links (/blog/<slug>, /blog/tags/<tag>, pages under app/, files under public/,
+ * and absolute links to links.siteUrl) must resolve the way the site builds them:
+ *   - /blog/<slug>      a post in content/posts that is not a draft (unless BLOG_INCLUDE_DRAFTS=true)
+ *   - /blog/tags/<tag>  a tag of a published post, slugged like getTagSlug in lib/posts.ts
+ * Relative links ("other-post") resolve against /blog/, like they do on a post page.
+ *
+ * External URLs get a HEAD request (GET when HEAD is refused). 4xx/5xx answers and
+ * unreachable hosts are broken; hosts in links.external.ignore (which block checkers) are skipped.
+ * A stub file ({ "<url>": status, "<prefix>*": status }, or BLOG_LINKS_STUB) answers instead of
+ * the network; URLs it doesn't cover are reported as unverified.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const matter = require('gray-matter');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const postsDir = path.join(ROOT_DIR, 'content', 'posts');
+const appDir = path.join(ROOT_DIR, 'app');
+const publicDir = path.join(ROOT_DIR, 'public');
+
+// Load config
+const configPath = path.join(ROOT_DIR, 'blog-config.json');
+const config = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+
+const DEFAULT_LINKS_CONFIG = {
+  siteUrl: 'https://iamanuragh.in',
+  external: {
+    timeoutMs: 10000,
+    concurrency: 8,
+    // Hosts that answer checkers with errors (LinkedIn sends 999, X wants a login) are not checked
+    ignore: ['linkedin.com', 'twitter.com', 'x.com']
+  },
+  stubFile: null
+};
+
+// HEAD answers that mean "ask with GET instead"
+const HEAD_REFUSED = [403, 405, 501];
+
+function getLinksConfig() {
+  const settings = config.links || {};
+  return {
+    ...DEFAULT_LINKS_CONFIG,
+    ...settings,
+    external: { ...DEFAULT_LINKS_CONFIG.external, ...(settings.external || {}) }
+  };
+}
+
+// Same as getTagSlug in lib/posts.ts
+function getTagSlug(tag) {
+  return String(tag).toLowerCase().replace(/\s+/g, '-');
+}
+
+// Routes under app/ without dynamic segments: page.tsx directories, route handlers, sitemap and robots
+function listStaticRoutes(dir = appDir, route = '') {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    if (entry.isDirectory()) {
+      return entry.name.startsWith('[') ? [] : listStaticRoutes(path.join(dir, entry.name), `${route}/${entry.name}`);
+    }
+    if (/^(page|route)\.(tsx?|jsx?)$/.test(entry.name)) return [route || '/'];
+    if (/^sitemap\.(ts|js)$/.test(entry.name)) return [`${route}/sitemap.xml`];
+    if (/^robots\.(ts|js)$/.test(entry.name)) return [`${route}/robots.txt`];
+    return [];
+  });
+}
+
+let cachedIndex = null;
+
+/**
+ * What internal links can point at, read from content/posts like lib/posts.ts does:
+ * { posts: Set<slug>, drafts: Set<slug>, tags: Set<tagSlug>, routes: Set<path> }
+ */
+function getLinkIndex() {
+  if (cachedIndex) return cachedIndex;
+
+  const includeDrafts = process.env.BLOG_INCLUDE_DRAFTS === 'true';
+  const posts = new Set();
+  const drafts = new Set();
+  const tags = new Set();
+
+  const files = fs.existsSync(postsDir)
+    ? fs.readdirSync(postsDir).filter(f => f.endsWith('.md') || f.endsWith('.mdx'))
+    : [];
+  files.forEach(file => {
+    const slug = file.replace(/\.(md|mdx)$/, '');
+    let data;
+    try {
+      ({ data } = matter(fs.readFileSync(path.join(postsDir, file), 'utf-8')));
+    } catch {
+      // Broken frontmatter is validate-frontmatter.js's to report
+      return;
+    }
+    if (data.draft === true && !includeDrafts) {
+      drafts.add(slug);
+      return;
+    }
+    posts.add(slug);
+    (Array.isArray(data.tags) ? data.tags : []).forEach(tag => tags.add(getTagSlug(String(tag))));
+  });
+
+  cachedIndex = { posts, drafts, tags, routes: new Set(listStaticRoutes()) };
+  return cachedIndex;
+}
+
+// Call after saving a post so later checks in the same run see it
+function resetLinkIndex() {
+  cachedIndex = null;
+}
+
+/**
+ * Links in a post's markdown: [{ url, line }] with `line` counted in the file.
+ * Inline links and images, <autolinks>, reference definitions and bare URLs;
+ * code blocks and inline code are ignored.
+ */
+function extractLinks(markdown) {
+  const links = [];
+  let fence = null;
+
+  markdown.split('\n').forEach((rawLine, i) => {
+    const marker = rawLine.match(/^\s*(```|~~~)/);
+    if (marker) {
+      if (!fence) fence = marker[1];
+      else if (marker[1] === fence) fence = null;
+      return;
+    }
+    if (fence) return;
+
+    let line = rawLine.replace(/`[^`]*`/g, match => ' '.repeat(match.length));
+    const found = [];
+    const take = (pattern, group) => {
+      line = line.replace(pattern, (match, ...groups) => {
+        found.push(groups[group - 1]);
+        return ' '.repeat(match.length);
+      });
+    };
+
+    take(/^\s{0,3}\[[^\]]+\]:\s*<?(\S+?)>?(?:\s+["'(].*)?$/, 1);
+    take(/\]\(\s*<?([^)\s>]+)>?(?:\s+["'][^"']*["'])?\s*\)/g, 1);
+    take(/<((?:https?:\/\/|mailto:)[^>\s]+)>/g, 1);
+    take(/(https?:\/\/[^\s<>"'`)\]]+[^\s<>"'`)\].,;:!?*_])/g, 1);
+
+    found.forEach(url => links.push({ url, line: i + 1 }));
+  });
+
+  return links;
+}
+
+// 'internal' (with the site path), 'external', or null for links that aren't checked (anchors, mailto:)
+function classifyLink(url) {
+  const { siteUrl } = getLinksConfig();
+  if (url.startsWith('#') || /^(mailto|tel|data|javascript):/i.test(url)) return null;
+  if (siteUrl && url.toLowerCase().startsWith(siteUrl.toLowerCase())) {
+    return { type: 'internal', path: url.slice(siteUrl.length) || '/' };
+  }
+  if (/^https?:\/\//i.test(url) || url.startsWith('//')) return { type: 'external', url };
+  if (/^[a-z][a-z0-9+.-]*:/i.test(url)) return null;
+  return { type: 'internal', path: url.startsWith('/') ? url : `/blog/${url.replace(/^\.\//, '')}` };
+}
+
+// Why an internal path does not resolve, or null when it does
+function resolveInternal(pathname, index = getLinkIndex()) {
+  let clean = pathname.split(/[?#]/)[0].replace(/\/+$/, '') || '/';
+  try {
+    clean = decodeURIComponent(clean);
+  } catch {
+    return 'malformed URL';
+  }
+
+  if (index.routes.has(clean)) return null;
+  if (fs.existsSync(path.join(publicDir, clean)) && clean !== '/') return null;
+
+  const post = clean.match(/^\/blog\/([^/]+)$/);
+  if (post) {
+    if (index.posts.has(post[1])) return null;
+    return index.drafts.has(post[1]) ? 'post is a draft' : 'no such post';
+  }
+  const tag = clean.match(/^\/blog\/tags\/([^/]+)$/);
+  if (tag) {
+    return index.tags.has(getTagSlug(tag[1])) ? null : 'no such tag';
+  }
+  return 'no such page';
+}
+
+/**
+ * Broken internal links of a post: [{ url, line, reason }]
+ * Offline and synchronous, so the style lint can run it on every generated post.
+ */
+function checkInternalLinks(markdown) {
+  const index = getLinkIndex();
+  return extractLinks(markdown)
+    .map(link => ({ ...link, target: classifyLink(link.url) }))
+    .filter(link => link.target && link.target.type === 'internal')
+    .map(link => ({ url: link.url, line: link.line, reason: resolveInternal(link.target.path, index) }))
+    .filter(link => link.reason);
+}
+
+function loadStub(file) {
+  const stub = JSON.parse(fs.readFileSync(path.resolve(ROOT_DIR, file), 'utf-8'));
+  return url => {
+    if (Object.prototype.hasOwnProperty.call(stub, url)) return stub[url];
+    const prefix = Object.keys(stub)
+      .filter(key => key.endsWith('*') && url.startsWith(key.slice(0, -1)))
+      .sort((a, b) => b.length - a.length)[0];
+    return prefix ? stub[prefix] : null;
+  };
+}
+
+// { status, ok, unverified?, error? } for one URL from the network
+async function fetchStatus(url, timeoutMs) {
+  const request = method => fetch(url, {
+    method,
+    redirect: 'follow',
+    signal: AbortSignal.timeout(timeoutMs),
+    headers: { 'User-Agent': 'Mozilla/5.0 (compatible; blog-link-checker)' }
+  });
+
+  try {
+    let response = await request('HEAD');
+    if (HEAD_REFUSED.includes(response.status)) {
+      response = await request('GET');
+    }
+    return { status: response.status, ok: response.status < 400 };
+  } catch (error) {
+    return { status: null, ok: false, error: error.name === 'TimeoutError' ? `no answer in ${timeoutMs}ms` : (error.cause || error).message };
+  }
+}
+
+/**
+ * Check external URLs once each. Resolves to Map<url, { status, ok, unverified, skipped, error }>.
+ * `stub` is a stub file path (falls back to BLOG_LINKS_STUB, then links.stubFile); with a stub
+ * nothing is fetched.
+ */
+async function checkExternalUrls(urls, { stub = process.env.BLOG_LINKS_STUB || getLinksConfig().stubFile } = {}) {
+  const settings = getLinksConfig().external;
+  const lookupStub = stub ? loadStub(stub) : null;
+  const results = new Map();
+  const queue = [...new Set(urls)];
+
+  const ignored = url => {
+    try {
+      const host = new URL(url.startsWith('//') ? `https:${url}` : url).hostname;
+      return settings.ignore.some(domain => host === domain || host.endsWith(`.${domain}`));
+    } catch {
+      return false;
+    }
+  };
+
+  const worker = async () => {
+    while (queue.length > 0) {
+      const url = queue.shift();
+      if (ignored(url)) {
+        results.set(url, { status: null, ok: true, skipped: true });
+      } else if (lookupStub) {
+        const status = lookupStub(url);
+        results.set(url, status === null ? { status: null, ok: true, unverified: true } : { status, ok: status < 400 });
+      } else {
+        results.set(url, await fetchStatus(url.startsWith('//') ? `https:${url}` : url, settings.timeoutMs));
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: Math.max(1, settings.concurrency) }, worker));
+  return results;
+}
+
+/**
+ * Check posts. Resolves to [{ file, passed, broken: [{ url, line, reason }], links, external, unverified }].
+ * With `external`, external URLs are checked too (see checkExternalUrls).
+ */
+async function checkPostLinks(files, { external = false, stub } = {}) {
+  const posts = files.map(file => {
+    const markdown = fs.readFileSync(file, 'utf-8');
+    const links = extractLinks(markdown).map(link => ({ ...link, target: classifyLink(link.url) }));
+    return { file: path.basename(file), links, broken: checkInternalLinks(markdown), unverified: 0 };
+  });
+
+  if (external) {
+    const externalLinks = posts.flatMap(post => post.links.filter(l => l.target && l.target.type === 'external'));
+    const statuses = await checkExternalUrls(externalLinks.map(l => l.url), { stub });
+    posts.forEach(post => post.links
+      .filter(l => l.target && l.target.type === 'external')
+      .forEach(l => {
+        const result = statuses.get(l.url);
+        if (result.unverified) post.unverified++;
+        if (!result.ok) {
+          post.broken.push({ url: l.url, line: l.line, reason: result.status ? `HTTP ${result.status}` : result.error });
+        }
+      }));
+  }
+
+  return posts.map(post => ({
+    file: post.file,
+    passed: post.broken.length === 0,
+    broken: post.broken.sort((a, b) => a.line - b.line),
+    links: post.links.filter(l => l.target).length,
+    external: post.links.filter(l => l.target && l.target.type === 'external').length,
+    unverified: post.unverified
+  }));
+}
+
+// One broken link as a line of text ("line 42: /blog/foo (no such post)")
+function formatBrokenLink(link) {
+  return `line ${link.line}: ${link.url} (${link.reason})`;
+}
+
+// Human-readable report for one post
+function formatLinkReport(name, result) {
+  const lines = [`${result.passed ? '✅' : '❌'} ${name}`];
+  result.broken.forEach(link => lines.push(`   ✗ ${formatBrokenLink(link)}`));
+  return lines.join('\n');
+}
+
+// CLI execution
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const json = args.includes('--json');
+  const quiet = args.includes('--quiet');
+  const stubIndex = args.indexOf('--stub');
+  const stub = stubIndex !== -1 ? args[stubIndex + 1] : undefined;
+  const files = args.filter((a, i) => !a.startsWith('--') && i !== stubIndex + 1);
+
+  if (stubIndex !== -1 && !stub) {
+    console.error('❌ --stub expects a JSON file');
+    process.exit(1);
+  }
+
+  const targets = files.length > 0
+    ? files.map(f => path.resolve(f))
+    : fs.readdirSync(postsDir)
+      .filter(f => f.endsWith('.md') || f.endsWith('.mdx'))
+      .map(f => path.join(postsDir, f));
+
+  checkPostLinks(targets, { external: args.includes('--external') || stub !== undefined, stub }).then(results => {
+    const failed = results.filter(r => !r.passed);
+
+    if (json) {
+      console.log(JSON.stringify(results, null, 2));
+    } else {
+      results
+        .filter(r => !r.passed || (!quiet && files.length > 0))
+        .forEach(r => console.log(formatLinkReport(r.file, r)));
+
+      const links = results.reduce((sum, r) => sum + r.links, 0);
+      const broken = results.reduce((sum, r) => sum + r.broken.length, 0);
+      const unverified = results.reduce((sum, r) => sum + r.unverified, 0);
+      console.log(`\n🔗 ${links - broken}/${links} link(s) resolve${unverified > 0 ? ` (${unverified} external link(s) not in the stub)` : ''}`);
+      console.log(`${failed.length === 0 ? '✅' : '❌'} ${results.length - failed.length}/${results.length} post(s) have no broken links`);
+    }
+
+    if (failed.length > 0) {
+      process.exit(1);
+    }
+  }).catch(error => {
+    console.error('❌ Error checking links:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  extractLinks,
+  checkInternalLinks,
+  checkExternalUrls,
+  checkPostLinks,
+  resetLinkIndex,
+  getTagSlug,
+  formatBrokenLink,
+  formatLinkReport
+};
@@ -0,0 +1,150 @@
+#!/usr/bin/env node
+
+/**
+ * Feed Parser - Minimal RSS 2.0 / Atom parser for the feeds trend source
+ * Usage: node feed-parser.js <feed.xml>
+ * Example:
+ *   node feed-parser.js scripts/fixtures/trends/feeds/blog.rust-lang.org-feed.xml
+ *
+ * Returns entries as { title, url, description, categories, publishedAt }.
+ * Only the elements the trend pipeline needs are read; anything else is ignored.
+ */
+
+const fs = require('fs');
+
+const NAMED_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' '
+};
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return Number.isNaN(code) ? match : String.fromCodePoint(code);
+    }
+    const named = NAMED_ENTITIES[entity.toLowerCase()];
+    return named !== undefined ? named : match;
+  });
+}
+
+// Element text with CDATA unwrapped, entities decoded and any HTML stripped
+function textContent(raw) {
+  if (!raw) return '';
+
+  const unwrapped = raw.replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, (_, cdata) => cdata.replace(/&/g, '&amp;'));
+  return decodeEntities(decodeEntities(unwrapped).replace(/<[^>]*>/g, ' '))
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Inner XML of every <tag>...</tag> (namespaced prefixes like <dc:date> need the full name)
+function elements(xml, tag) {
+  const pattern = new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`, 'gi');
+  return [...xml.matchAll(pattern)].map(match => match[1]);
+}
+
+function firstElement(xml, ...tags) {
+  for (const tag of tags) {
+    const [inner] = elements(xml, tag);
+    if (inner !== undefined) return inner;
+  }
+  return '';
+}
+
+// Attribute values of every self-closing or empty <tag ...> element
+function attributes(xml, tag) {
+  const pattern = new RegExp(`<${tag}(\\s[^>]*?)/?>`, 'gi');
+  return [...xml.matchAll(pattern)].map(match => {
+    const attrs = {};
+    for (const [, name, value] of match[1].matchAll(/([\w:-]+)\s*=\s*"([^"]*)"/g)) {
+      attrs[name] = decodeEntities(value);
+    }
+    return attrs;
+  });
+}
+
+function toISODate(value) {
+  const date = new Date(textContent(value));
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+function parseRssItem(item) {
+  return {
+    title: textContent(firstElement(item, 'title')),
+    url: textContent(firstElement(item, 'link', 'guid')),
+    description: textContent(firstElement(item, 'description', 'content:encoded')),
+    categories: elements(item, 'category').map(textContent).filter(Boolean),
+    publishedAt: toISODate(firstElement(item, 'pubDate', 'dc:date'))
+  };
+}
+
+function parseAtomEntry(entry) {
+  const links = attributes(entry, 'link');
+  const link = links.find(l => !l.rel || l.rel === 'alternate') || links[0] || {};
+
+  return {
+    title: textContent(firstElement(entry, 'title')),
+    url: link.href || '',
+    description: textContent(firstElement(entry, 'summary', 'content')),
+    categories: attributes(entry, 'category').map(c => c.label || c.term).filter(Boolean),
+    publishedAt: toISODate(firstElement(entry, 'published', 'updated'))
+  };
+}
+
+/**
+ * Parse an RSS 2.0 or Atom document.
+ * Returns { format, title, entries } - throws when the document is neither.
+ */
+function parseFeed(xml) {
+  const body = xml.replace(/<!--[\s\S]*?-->/g, '');
+
+  if (/<feed[\s>]/i.test(body)) {
+    const head = body.split(/<entry[\s>]/i)[0];
+    return {
+      format: 'atom',
+      title: textContent(firstElement(head, 'title')),
+      entries: elements(body, 'entry').map(parseAtomEntry)
+    };
+  }
+
+  if (/<rss[\s>]/i.test(body) || /<rdf:RDF[\s>]/i.test(body)) {
+    const head = body.split(/<item[\s>]/i)[0];
+    return {
+      format: 'rss',
+      title: textContent(firstElement(head, 'title')),
+      entries: elements(body, 'item').map(parseRssItem)
+    };
+  }
+
+  throw new Error('Not an RSS or Atom feed');
+}
+
+// CLI execution
+if (require.main === module) {
+  const file = process.argv[2];
+
+  if (!file) {
+    console.log('Usage: node feed-parser.js <feed.xml>');
+    process.exit(0);
+  }
+
+  try {
+    const feed = parseFeed(fs.readFileSync(file, 'utf-8'));
+    console.log(`📰 ${feed.title || file} (${feed.format}, ${feed.entries.length} entries)\n`);
+    feed.entries.forEach((entry, i) => {
+      console.log(`  ${i + 1}. ${entry.title}`);
+      console.log(`     ${entry.publishedAt || 'no date'} | ${entry.url}`);
+      if (entry.categories.length > 0) console.log(`     🏷️  ${entry.categories.join(', ')}`);
+    });
+  } catch (error) {
+    console.error(`❌ ${file}: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = { parseFeed };
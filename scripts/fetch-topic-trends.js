@@ -3,192 +3,13 @@
 /**
  * Topic-Specific Trend Fetcher
  * Fetches trending topics for specific blog categories
- * Usage: node fetch-topic-trends.js <topic>
- * Topics: security, laravel, rust, opensource, aws, nodejs, architecture, devops, rf-sdr
+ * Usage: node fetch-topic-trends.js <category> [--offline | --refresh | --record]
+ * Categories (and their search terms) come from `topics` in blog-config.json - see taxonomy.js
  */
 
-const https = require('https');
-
-// Topic configurations with search keywords and filters
-const TOPIC_CONFIG = {
-  security: {
-    name: 'Cybersecurity',
-    github: ['security', 'cybersecurity', 'vulnerability', 'pentest', 'infosec'],
-    devto: ['security', 'cybersecurity', 'hacking', 'infosec'],
-    subreddit: 'netsec',
-    keywords: ['OWASP', 'CVE', 'vulnerability', 'exploit', 'authentication', 'encryption']
-  },
-  laravel: {
-    name: 'Laravel/PHP',
-    github: ['laravel', 'php', 'eloquent'],
-    devto: ['laravel', 'php'],
-    subreddit: 'laravel',
-    keywords: ['Laravel 11', 'Eloquent', 'Livewire', 'Filament', 'API', 'testing']
-  },
-  rust: {
-    name: 'Rust',
-    github: ['rust', 'rustlang', 'cargo'],
-    devto: ['rust', 'rustlang'],
-    subreddit: 'rust',
-    keywords: ['async', 'ownership', 'borrowing', 'WebAssembly', 'Tokio', 'Actix']
-  },
-  opensource: {
-    name: 'Open Source',
-    github: ['opensource', 'hacktoberfest', 'good-first-issue'],
-    devto: ['opensource', 'github', 'contributing'],
-    subreddit: 'opensource',
-    keywords: ['contributing', 'maintainer', 'community', 'license', 'fork']
-  },
-  aws: {
-    name: 'AWS/Cloud',
-    github: ['aws', 'serverless', 'lambda', 'terraform'],
-    devto: ['aws', 'serverless', 'cloud'],
-    subreddit: 'aws',
-    keywords: ['Lambda', 'S3', 'EC2', 'CloudFormation', 'serverless', 'cost']
-  },
-  nodejs: {
-    name: 'Node.js',
-    github: ['nodejs', 'express', 'nestjs', 'fastify'],
-    devto: ['node', 'javascript', 'express'],
-    subreddit: 'node',
-    keywords: ['Express', 'NestJS', 'async', 'npm', 'API', 'performance']
-  },
-  architecture: {
-    name: 'Architecture',
-    github: ['microservices', 'system-design', 'architecture'],
-    devto: ['architecture', 'microservices', 'systemdesign'],
-    subreddit: 'softwarearchitecture',
-    keywords: ['microservices', 'monolith', 'scaling', 'caching', 'event-driven', 'DDD']
-  },
-  devops: {
-    name: 'DevOps',
-    github: ['devops', 'docker', 'kubernetes', 'cicd'],
-    devto: ['devops', 'docker', 'kubernetes', 'cicd'],
-    subreddit: 'devops',
-    keywords: ['Docker', 'Kubernetes', 'CI/CD', 'GitOps', 'monitoring', 'Terraform']
-  },
-  'rf-sdr': {
-    name: 'RF/SDR',
-    github: ['sdr', 'rtl-sdr', 'gnuradio', 'radio'],
-    devto: ['radio', 'hardware', 'iot'],
-    subreddit: 'RTLSDR',
-    keywords: ['RTL-SDR', 'GNU Radio', 'spectrum', 'antenna', 'signal', 'wireless']
-  }
-};
-
-// Get date string for last week
-function getLastWeekDate() {
-  const date = new Date();
-  date.setDate(date.getDate() - 7);
-  return date.toISOString().split('T')[0];
-}
-
-// Fetch GitHub repositories for specific topic
-async function fetchGitHubForTopic(topic) {
-  const config = TOPIC_CONFIG[topic];
-  if (!config) return [];
-
-  const queries = config.github.map(q => `topic:${q}`).join('+');
-  const since = getLastWeekDate();
-
-  return new Promise((resolve) => {
-    const options = {
-      hostname: 'api.github.com',
-      path: `/search/repositories?q=${queries}+pushed:>${since}&sort=stars&order=desc&per_page=10`,
-      headers: { 'User-Agent': 'TrendFetcher/1.0' }
-    };
-
-    https.get(options, (res) => {
-      let data = '';
-      res.on('data', (chunk) => data += chunk);
-      res.on('end', () => {
-        try {
-          const repos = JSON.parse(data).items || [];
-          const trending = repos.slice(0, 5).map(repo => ({
-            source: 'GitHub',
-            title: repo.full_name,
-            description: repo.description?.slice(0, 100),
-            url: repo.html_url,
-            stars: repo.stargazers_count,
-            language: repo.language,
-            topics: repo.topics?.slice(0, 5)
-          }));
-          resolve(trending);
-        } catch (e) {
-          resolve([]);
-        }
-      });
-    }).on('error', () => resolve([]));
-  });
-}
-
-// Fetch Dev.to articles for specific topic
-async function fetchDevToForTopic(topic) {
-  const config = TOPIC_CONFIG[topic];
-  if (!config) return [];
-
-  const tag = config.devto[0];
-
-  return new Promise((resolve) => {
-    https.get(`https://dev.to/api/articles?tag=${tag}&top=7&per_page=10`, (res) => {
-      let data = '';
-      res.on('data', (chunk) => data += chunk);
-      res.on('end', () => {
-        try {
-          const articles = JSON.parse(data);
-          const trending = articles.slice(0, 5).map(article => ({
-            source: 'Dev.to',
-            title: article.title,
-            description: article.description?.slice(0, 100),
-            url: article.url,
-            reactions: article.public_reactions_count,
-            tags: article.tag_list
-          }));
-          resolve(trending);
-        } catch (e) {
-          resolve([]);
-        }
-      });
-    }).on('error', () => resolve([]));
-  });
-}
-
-// Fetch Reddit posts for specific topic
-async function fetchRedditForTopic(topic) {
-  const config = TOPIC_CONFIG[topic];
-  if (!config) return [];
-
-  return new Promise((resolve) => {
-    const options = {
-      hostname: 'www.reddit.com',
-      path: `/r/${config.subreddit}/hot.json?limit=10`,
-      headers: { 'User-Agent': 'TrendFetcher/1.0' }
-    };
-
-    https.get(options, (res) => {
-      let data = '';
-      res.on('data', (chunk) => data += chunk);
-      res.on('end', () => {
-        try {
-          const posts = JSON.parse(data).data?.children || [];
-          const trending = posts
-            .filter(p => !p.data.stickied)
-            .slice(0, 5)
-            .map(p => ({
-              source: 'Reddit',
-              title: p.data.title,
-              url: `https://reddit.com${p.data.permalink}`,
-              upvotes: p.data.ups,
-              comments: p.data.num_comments
-            }));
-          resolve(trending);
-        } catch (e) {
-          resolve([]);
-        }
-      });
-    }).on('error', () => resolve([]));
-  });
-}
+const { fetchTrends, getSourceLabel } = require('./trend-sources');
+const { getCategory, getCategoryKeys, resolveCategory } = require('./taxonomy');
+const { logger } = require('./logger');
 
 // Extract trending keywords from all sources
 function extractTrendingKeywords(trends, topicConfig) {
@@ -204,10 +25,9 @@ function generateTopicSuggestions(trends, topicConfig) {
   const suggestions = [];
 
   // Based on GitHub repos
-  const githubTrends = trends.filter(t => t.source === 'GitHub');
+  const githubTrends = trends.filter(t => t.source === 'github');
   if (githubTrends.length > 0) {
-    const languages = [...new Set(githubTrends.map(t => t.language).filter(Boolean))];
-    const topics = [...new Set(githubTrends.flatMap(t => t.topics || []))];
+    const topics = [...new Set(githubTrends.flatMap(t => t.tags))];
 
     if (topics.length > 0) {
       suggestions.push(`Trending ${topicConfig.name} topics: ${topics.slice(0, 3).join(', ')}`);
@@ -215,16 +35,16 @@ function generateTopicSuggestions(trends, topicConfig) {
   }
 
   // Based on Dev.to articles
-  const devtoTrends = trends.filter(t => t.source === 'Dev.to');
+  const devtoTrends = trends.filter(t => t.source === 'devTo');
   if (devtoTrends.length > 0) {
-    const tags = [...new Set(devtoTrends.flatMap(t => t.tags || []))];
+    const tags = [...new Set(devtoTrends.flatMap(t => t.tags))];
     if (tags.length > 0) {
       suggestions.push(`Popular Dev.to tags: ${tags.slice(0, 5).join(', ')}`);
     }
   }
 
   // Based on Reddit discussions
-  const redditTrends = trends.filter(t => t.source === 'Reddit');
+  const redditTrends = trends.filter(t => t.source === 'reddit');
   if (redditTrends.length > 0) {
     suggestions.push(`Hot Reddit discussions: ${redditTrends.slice(0, 2).map(t => t.title.slice(0, 50)).join('; ')}`);
   }
@@ -232,66 +52,20 @@ function generateTopicSuggestions(trends, topicConfig) {
   return suggestions;
 }
 
-// Main function
-async function fetchTopicTrends(topic) {
-  const config = TOPIC_CONFIG[topic];
-
-  if (!config) {
-    console.error(`❌ Unknown topic: ${topic}`);
-    console.log('\nAvailable topics:');
-    Object.keys(TOPIC_CONFIG).forEach(t => {
-      console.log(`  - ${t}: ${TOPIC_CONFIG[t].name}`);
-    });
-    process.exit(1);
-  }
-
-  console.log(`\n🔍 Fetching trends for: ${config.name}\n`);
-  console.log('─'.repeat(50));
-
-  const [github, devto, reddit] = await Promise.all([
-    fetchGitHubForTopic(topic),
-    fetchDevToForTopic(topic),
-    fetchRedditForTopic(topic)
-  ]);
-
-  const allTrends = [...github, ...devto, ...reddit];
+// Fetch trends for a category; only a debug line is logged (printTopicTrends shows the full report)
+async function fetchTopicTrends(topic, { log = logger } = {}) {
+  // Accepts a category key or alias; throws for unknown categories
+  const category = resolveCategory(topic);
+  const config = getCategory(category);
 
-  // Display results
-  console.log(`\n📦 GitHub Trending (${github.length} repos):`);
-  github.forEach((item, i) => {
-    console.log(`   ${i + 1}. ${item.title} ⭐${item.stars}`);
-    if (item.description) console.log(`      ${item.description}`);
-  });
-
-  console.log(`\n📝 Dev.to Articles (${devto.length} articles):`);
-  devto.forEach((item, i) => {
-    console.log(`   ${i + 1}. ${item.title} ❤️${item.reactions}`);
-  });
+  log.debug(`🔍 Fetching trends for: ${config.name}`);
 
-  console.log(`\n💬 Reddit Discussions (${reddit.length} posts):`);
-  reddit.forEach((item, i) => {
-    console.log(`   ${i + 1}. ${item.title.slice(0, 60)}... ⬆️${item.upvotes}`);
-  });
+  // Every enabled source in blog-config.json, queried for this topic
+  const { items: allTrends } = await fetchTrends({ category, topic: config });
 
-  // Generate suggestions
   const trendingKeywords = extractTrendingKeywords(allTrends, config);
   const suggestions = generateTopicSuggestions(allTrends, config);
 
-  console.log('\n─'.repeat(50));
-  console.log('\n💡 BLOG TOPIC SUGGESTIONS:');
-  console.log('─'.repeat(50));
-
-  if (trendingKeywords.length > 0) {
-    console.log(`\n🔥 Trending Keywords: ${trendingKeywords.join(', ')}`);
-  }
-
-  suggestions.forEach(s => console.log(`\n📌 ${s}`));
-
-  console.log('\n🎯 Recommended blog topics for today:');
-  config.keywords.forEach((kw, i) => {
-    if (i < 5) console.log(`   ${i + 1}. ${kw}`);
-  });
-
   // Return structured data for AI to use
   return {
     topic: config.name,
@@ -303,27 +77,61 @@ async function fetchTopicTrends(topic) {
   };
 }
 
+// Print the trend report for one category
+function printTopicTrends(data, { log = logger } = {}) {
+  log.info(`\n🔍 Trends for: ${data.topic}\n`);
+  log.info('─'.repeat(50));
+
+  // Group by source, in the order sources are configured
+  const bySource = {};
+  data.trends.forEach(item => {
+    (bySource[item.source] = bySource[item.source] || []).push(item);
+  });
+  Object.entries(bySource).forEach(([source, items]) => {
+    log.info(`\n📦 ${getSourceLabel(source)} (${items.length} items):`);
+    items.forEach((item, i) => {
+      log.info(`   ${i + 1}. ${item.title.slice(0, 70)}${item.score ? ` ⬆️${item.score}` : ''}`);
+      if (item.description) log.info(`      ${item.description}`);
+    });
+  });
+
+  log.info('\n─'.repeat(50));
+  log.info('\n💡 BLOG TOPIC SUGGESTIONS:');
+  log.info('─'.repeat(50));
+
+  if (data.trendingKeywords.length > 0) {
+    log.info(`\n🔥 Trending Keywords: ${data.trendingKeywords.join(', ')}`);
+  }
+
+  data.suggestions.forEach(s => log.info(`\n📌 ${s}`));
+
+  log.info('\n🎯 Recommended blog topics for today:');
+  data.recommendedTopics.slice(0, 5).forEach((kw, i) => log.info(`   ${i + 1}. ${kw}`));
+}
+
 // CLI execution
 if (require.main === module) {
-  const topic = process.argv[2];
+  const topic = process.argv.slice(2).find(arg => !arg.startsWith('--'));
 
   if (!topic) {
-    console.log('Usage: node fetch-topic-trends.js <topic>\n');
-    console.log('Available topics:');
-    Object.keys(TOPIC_CONFIG).forEach(t => {
-      console.log(`  - ${t}: ${TOPIC_CONFIG[t].name}`);
+    console.log('Usage: node fetch-topic-trends.js <category> [--offline | --refresh | --record]\n');
+    console.log('Available categories:');
+    getCategoryKeys().forEach(key => {
+      const { name, aliases } = getCategory(key);
+      console.log(`  - ${key}: ${name}${aliases.length > 0 ? ` (also: ${aliases.join(', ')})` : ''}`);
     });
     process.exit(0);
   }
 
   fetchTopicTrends(topic).then(data => {
+    printTopicTrends(data);
     console.log('\n─'.repeat(50));
     console.log('\n✅ Trend analysis complete!');
     console.log(`📊 Total items analyzed: ${data.trends.length}`);
   }).catch(err => {
-    console.error('Error:', err.message);
+    console.error('❌', err.message);
     process.exit(1);
   });
 }
 
-module.exports = { fetchTopicTrends, TOPIC_CONFIG };
+module.exports = { fetchTopicTrends, printTopicTrends };
@@ -2,352 +2,328 @@
 
 /**
  * Blog Generator - Uses Claude API to generate blog posts from trending topics
- * Requires ANTHROPIC_API_KEY environment variable
+ * Requires ANTHROPIC_API_KEY environment variable, unless the mock provider is selected
+ * (set "llm.provider": "mock" in blog-config.json or BLOG_LLM_PROVIDER=mock to run offline)
+ * Usage: node generate-blog.js [--show-prompt] [--offline]
+ *   --show-prompt  Print the rendered prompt and its template files without calling the model
  */
 
 const fs = require('fs');
 const path = require('path');
-const https = require('https');
+const crypto = require('crypto');
 const { fetchAllTrends } = require('./fetch-trends');
+const { createProvider, resolveLLMConfig } = require('./llm-providers');
+const { withRetry, createRetryBudget } = require('./retry');
+const { validatePost, formatReport } = require('./validate-frontmatter');
+const { markAsDraft, isReviewRequired } = require('./publish-post');
+const { checkSimilarity, findRelatedPosts, formatNearest } = require('./similarity');
+const { pickTopic, recordTopic } = require('./topic-scheduler');
+const { resolveCategory, getCategoryTerms } = require('./taxonomy');
+const { lintPost, getStyleRules, formatLintReport, formatLintFeedback } = require('./lint-post');
+const { renderPrompt } = require('./prompt-templates');
+const { recordUsage, assignUsageFile, createGenerationId, assertWithinBudget } = require('./usage-ledger');
+const { logger } = require('./logger');
 
 // Load config
 const configPath = path.join(__dirname, '..', 'blog-config.json');
 const config = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
 
-const ANTHROPIC_API_KEY = process.env.ANTHROPIC_API_KEY;
-const ANTHROPIC_API_URL = 'api.anthropic.com';
+// LLM provider (anthropic or mock) configured via the "llm" section of blog-config.json
+let provider = null;
+const llmConfig = resolveLLMConfig(config);
 
-// Call Claude API
-async function callClaudeAPI(prompt) {
-  if (!ANTHROPIC_API_KEY) {
-    throw new Error('ANTHROPIC_API_KEY environment variable is required!');
-  }
-
-  const requestData = JSON.stringify({
-    model: 'claude-sonnet-4-20250514',
-    max_tokens: 4000,
-    messages: [{
-      role: 'user',
-      content: prompt
-    }]
-  });
+// Shared across every call in this process so a batch run can't retry forever
+const retryBudget = createRetryBudget(llmConfig.retry.maxRetriesPerRun, llmConfig.retry.maxWaitMsPerRun);
 
-  return new Promise((resolve, reject) => {
-    const options = {
-      hostname: ANTHROPIC_API_URL,
-      path: '/v1/messages',
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': ANTHROPIC_API_KEY,
-        'anthropic-version': '2023-06-01',
-        'Content-Length': Buffer.byteLength(requestData)
-      }
-    };
-
-    const req = https.request(options, (res) => {
-      let data = '';
-      res.on('data', (chunk) => data += chunk);
-      res.on('end', () => {
-        if (res.statusCode === 200) {
-          try {
-            const response = JSON.parse(data);
-            resolve(response.content[0].text);
-          } catch (e) {
-            reject(new Error('Failed to parse Claude response'));
-          }
-        } else {
-          reject(new Error(`Claude API error: ${res.statusCode} - ${data}`));
-        }
-      });
-    });
+function getProvider() {
+  if (!provider) {
+    provider = createProvider(config);
+  }
+  return provider;
+}
 
-    req.on('error', reject);
-    req.write(requestData);
-    req.end();
+// Call the configured LLM provider, retrying transient failures with backoff.
+// Token usage goes to the usage ledger, tagged with `context` ({ generation, purpose, category, topic }).
+async function callClaudeAPI(prompt, { log = logger, context = {} } = {}) {
+  const result = await withRetry(() => getProvider().complete(prompt), {
+    ...llmConfig.retry,
+    budget: retryBudget,
+    onRetry: (error, attempt, delay) => {
+      log.warn(`⏳ ${error.message.slice(0, 120)}`);
+      log.warn(`   Retry ${attempt}/${llmConfig.retry.maxRetries} in ${(delay / 1000).toFixed(1)}s (${retryBudget.remaining()} retries left this run)`);
+    }
   });
+  recordUsage({ ...context, provider: getProvider().name, model: result.model, usage: result.usage });
+  return result.text;
 }
 
 // Generate blog post based on trends
-async function generateBlogPost(trends, topic) {
-  console.log(`\n🤖 Generating blog post about: ${topic}...\n`);
-
-  const authorContext = config.style.authorContext || 'Senior developer with expertise in full-stack development';
+// The prompt is rendered from the category's templates in scripts/prompts (see prompt-templates.js);
+// `feedback` lists style lint failures from a previous attempt for the model to fix,
+// `series` places the post in a multi-part series (see generate-series.js),
+// `related` lists existing posts the model may link to (see findRelated),
+// `template` / `variables` pick another entry template (e.g. "refresh", see refresh-post.js)
+async function generateBlogPost(trends, topic, { category = null, feedback = null, series = null, related = [], template = 'template', variables = {}, purpose = series ? 'series-part' : 'post', generation = null, log = logger } = {}) {
+  log.info(`\n🤖 Generating blog post about: ${topic}...\n`);
 
-  const prompt = `You are a tech blogger writing for a personal blog. Your background: ${authorContext}. Your writing style is conversational, witty, and highly engaging - like chatting with a knowledgeable friend over coffee. Generate a blog post based on these trending topics:
+  const { prompt } = renderPrompt({ topic, trends, category, feedback, series, related, template, variables });
 
-TRENDING DATA:
-${JSON.stringify(trends, null, 2)}
-
-TOPIC FOCUS: ${topic}
-
-STYLE REQUIREMENTS (CRITICAL - Match the existing blog voice):
-1. Start with a relatable hook or "real talk" moment
-2. Use emojis throughout (but not excessively - sprinkle them naturally)
-3. Write like you're having a conversation (use "I", "you", contractions)
-4. Include witty asides, analogies, and occasional humor
-5. Break up content with engaging subheadings (use emojis in headings)
-6. Use "Translation:", "Real talk:", "The catch:", "Why it's cool:" type interjections
-7. Add personality with phrases like "Let me show you", "Here's the deal", "Mind blown 🤯"
-8. Keep paragraphs short and punchy
-9. Use bold for emphasis on key points
-
-CONTENT REQUIREMENTS:
-1. Length: 800-1200 words
-2. Include minimal, practical code examples (2-3 max, only when they add value)
-3. Make it actionable - readers should learn something useful
-4. Focus on current trends and why they matter NOW
-5. Target audience: Developers who want to stay current
-6. End with a call-to-action (connect on LinkedIn, check GitHub)
-
-STRUCTURE:
-- Engaging title with emoji
-- Hook that grabs attention immediately
-- Clear sections with emoji-enhanced headings
-- Practical examples and insights
-- "Bottom Line" or summary section
-- Personal CTA at the end
-
-OUTPUT FORMAT:
-Return ONLY the markdown content in this exact format:
-
----
-title: "[Catchy, conversational title with emoji 🚀]"
-date: "${new Date().toISOString().split('T')[0]}"
-excerpt: "[2-3 sentence hook that makes readers want to click - make it conversational and intriguing]"
-tags: ["tag1", "tag2", "tag3", "tag4"]
-featured: true
----
+  const content = await callClaudeAPI(prompt, { log, context: { generation, purpose, category, topic } });
+  return content;
+}
 
-# [Same title as above]
+// Published posts a new post about `topic` should link to, matched on text and the category's tags
+function findRelated(topic, category, { tags = [], exclude = [] } = {}) {
+  return findRelatedPosts(topic, { tags: [...tags, ...(category ? getCategoryTerms(category) : [])], exclude });
+}
 
-[Your engaging, conversational blog post here]
+/**
+ * Generate a post, repair its frontmatter and lint it against the style guide.
+ * The prompt offers `related` posts to link to (found with findRelated when not given); the
+ * lint then fails any /blog/ link that doesn't resolve, so invented links are regenerated too.
+ * Posts that fail the lint are regenerated with the lint feedback while
+ * style.lint.onFail is "regenerate" and attempts remain (style.lint.maxAttempts).
+ * Returns { validation, lint, generation } - lint is null when the frontmatter is invalid;
+ * generation ties the ledger entries of every call to the post (see assignUsageFile).
+ */
+async function generateLintedPost(trends, topic, { date, category = null, series = null, related = findRelated(topic, category), template, variables, purpose, log = logger }) {
+  const rules = getStyleRules();
+  const generation = createGenerationId();
+  let feedback = null;
 
----
+  if (related.length > 0) {
+    log.debug(`🔗 Related posts offered for linking: ${related.map(post => post.slug).join(', ')}`);
+  }
 
-**[Engaging question or statement]** Connect with me on [LinkedIn](https://www.linkedin.com/in/anuraghkp) - [personal message]
+  for (let attempt = 1; ; attempt++) {
+    const rawContent = await generateBlogPost(trends, topic, { category, feedback, series, related, template, variables, purpose, generation, log });
 
-**[Another engaging line]** Check out my [GitHub](https://github.com/kpanuragh) and follow this blog!
+    const validation = validatePost(rawContent, { defaultDate: date });
+    if (!validation.valid) {
+      return { validation, lint: null, generation };
+    }
 
-*[Final punchy sign-off!]* [emoji]
+    const lint = lintPost(validation.content, rules);
+    if (lint.passed || rules.onFail !== 'regenerate' || attempt >= rules.maxAttempts) {
+      return { validation, lint, generation };
+    }
 
-CRITICAL: Match the tone and style of these example excerpts:
-- "Real talk: I love GitHub Copilot. It's amazing. But when I saw that $10/month subscription fee, my inner developer screamed..."
-- "Here's the eternal programmer's dilemma: Write beautiful, readable code that's slow as molasses, OR write fast code that looks like line noise from the 90s."
-- Use section headers like "## Why Go Open Source for AI Tools? 🌍"
-- Use interjections like "**Translation:**", "**Why it's cool:**", "**The catch:**"
-- End sections with punchy statements like "**Mind. Blown. 🤯**"
+    log.warn(formatLintReport('Generated post failed the style guide', lint));
+    log.info(`🔁 Regenerating with lint feedback (attempt ${attempt + 1}/${rules.maxAttempts})...`);
+    feedback = formatLintFeedback(lint);
+  }
+}
 
-Focus on being informative AND entertaining. Make readers feel like they're learning from a smart, funny friend!`;
+// Whether a post that still fails the style lint may be saved anyway
+function acceptsLintFailure() {
+  return getStyleRules().onFail === 'warn';
+}
 
-  const content = await callClaudeAPI(prompt);
-  return content;
+// First free name for a post: the filename itself, else -2, -3, ... before the extension
+function uniquePostFilename(postsDir, filename) {
+  const ext = path.extname(filename);
+  const base = filename.slice(0, -ext.length);
+  let candidate = filename;
+  for (let n = 2; fs.existsSync(path.join(postsDir, candidate)); n++) {
+    candidate = `${base}-${n}${ext}`;
+  }
+  return candidate;
 }
 
-// Save blog post to file
-function saveBlogPost(content, filename) {
+// Save blog post to file; never overwrites an existing post, so returns the path actually written
+function saveBlogPost(content, filename, { log = logger } = {}) {
   const postsDir = path.join(__dirname, '..', 'content', 'posts');
 
   if (!fs.existsSync(postsDir)) {
     fs.mkdirSync(postsDir, { recursive: true });
   }
 
+  // Posts wait as drafts when generation.requireReview is on (or autoPublish is off)
+  const draft = isReviewRequired();
+  if (draft) {
+    content = markAsDraft(content);
+  }
+
+  // Two topics can end up with the same slug on the same day (batch runs save concurrently)
+  const requested = filename;
+  filename = uniquePostFilename(postsDir, filename);
+  if (filename !== requested) {
+    log.warn(`⚠️  ${requested} already exists, saving as ${filename}`);
+  }
+
+  // Write to a temp file and rename so an interrupted run never leaves a half-written post
   const filepath = path.join(postsDir, filename);
-  fs.writeFileSync(filepath, content, 'utf-8');
+  const tmpPath = path.join(postsDir, `.${filename}.tmp`);
+  fs.writeFileSync(tmpPath, content, 'utf-8');
+  fs.renameSync(tmpPath, filepath);
 
-  console.log(`✅ Blog post saved: ${filepath}`);
+  log.info(`✅ Blog post saved: ${filepath}`);
+  if (draft) {
+    log.info(`📝 Saved as draft for review. Publish with: npm run publish-post -- ${filename.replace(/\.md$/, '')}`);
+  }
   return filepath;
 }
 
-// Generate slug from title
-function generateSlug(title) {
-  return title
+function slugify(text) {
+  return String(text || '')
     .toLowerCase()
     .replace(/[^\w\s-]/g, '')
     .replace(/\s+/g, '-')
     .replace(/-+/g, '-')
-    .substring(0, 60);
+    .substring(0, 60)
+    // Cutting at a space, or a title starting/ending with an emoji, leaves stray hyphens
+    .replace(/^-+|-+$/g, '');
 }
 
-// Check for duplicate titles and topics
-function checkForDuplicates(title, topic) {
-  const postsDir = path.join(__dirname, '..', 'content', 'posts');
+// Generate slug from title; a title of only emoji or punctuation falls back to
+// `fallback` (e.g. the topic), then to a short hash of the title
+function generateSlug(title, fallback = '') {
+  const slug = slugify(title) || slugify(fallback);
+  return slug || `post-${crypto.createHash('sha1').update(String(title)).digest('hex').slice(0, 8)}`;
+}
 
-  if (!fs.existsSync(postsDir)) {
-    return { isDuplicate: false };
+/**
+ * Pick a topic, then generate, check and save one post.
+ * `topic` (with optional `focus`) skips the scheduler; `category` accepts aliases.
+ * Resolves to { status, ... } where status is one of:
+ *   saved    - written to content/posts: { file, filepath, title, category, focus, topic, draft }
+ *   skipped  - no unique topic, or the post duplicates an existing one: { reason, nearest }
+ *   rejected - failed frontmatter validation or the style guide: { reason, errors }
+ *   prompt   - showPrompt was set, nothing was generated: { prompt, files }
+ * API failures and configuration errors are thrown.
+ */
+async function generatePost({ category = null, topic = null, focus = null, showPrompt = false, log = logger } = {}) {
+  log.info('🚀 Starting automated blog generation...\n');
+
+  // Fetch trends
+  const trends = await fetchAllTrends({ log });
+
+  // Use the given topic, otherwise let the scheduler pick by category, trends and recency
+  category = category ? resolveCategory(category) : null;
+  let pick = topic ? { category, focus, topic } : pickTopic({ category, trends });
+  if (!pick) {
+    throw new Error(`No topics configured for category: ${category}`);
   }
 
-  const files = fs.readdirSync(postsDir).filter(f => f.endsWith('.md'));
-
-  // Normalize title and topic for comparison
-  const normalizeText = (text) => text.toLowerCase().replace(/[^\w\s]/g, '').replace(/\s+/g, ' ').trim();
-  const normalizedTitle = normalizeText(title);
-  const normalizedTopic = normalizeText(topic);
-
-  for (const file of files) {
-    const filepath = path.join(postsDir, file);
-    const content = fs.readFileSync(filepath, 'utf-8');
-
-    // Extract title from frontmatter
-    const titleMatch = content.match(/title:\s*"(.+?)"/);
-    if (titleMatch) {
-      const existingTitle = normalizeText(titleMatch[1]);
-
-      // Check for exact or very similar titles
-      if (existingTitle === normalizedTitle ||
-          existingTitle.includes(normalizedTopic) ||
-          normalizedTitle.includes(normalizedTopic)) {
-        return {
-          isDuplicate: true,
-          existingFile: file,
-          existingTitle: titleMatch[1]
-        };
-      }
+  log.info(`\n📝 Selected topic: ${pick.topic}`);
+
+  // Check the topic against existing posts before generating
+  const duplicateCheck = checkSimilarity({ topic: pick.topic });
+  if (duplicateCheck.isDuplicate) {
+    log.info(`⚠️  Similar content already exists (similarity ≥ ${duplicateCheck.threshold}):`);
+    log.info(formatNearest(duplicateCheck));
+    log.info(`    Trying alternative topic...\n`);
+
+    // Try up to 5 different topics
+    let attempts = 0;
+    let altDuplicateCheck = duplicateCheck;
+    const triedTopics = [pick.topic];
+
+    while (altDuplicateCheck.isDuplicate && attempts < 5) {
+      const alternative = pickTopic({ category: pick.category, trends, exclude: triedTopics });
+      if (!alternative) break;
+      pick = alternative;
+      triedTopics.push(pick.topic);
+      altDuplicateCheck = checkSimilarity({ topic: pick.topic });
+      attempts++;
     }
-  }
 
-  return { isDuplicate: false };
-}
+    if (altDuplicateCheck.isDuplicate) {
+      log.warn('❌ Could not find unique topic after 5 attempts. Skipping generation.');
+      return { status: 'skipped', reason: 'No unique topic found', topics: triedTopics, nearest: altDuplicateCheck.nearest };
+    }
 
-// Get trending topics based on current tech trends
-function selectTrendingTopic(trends, topicsList) {
-  // Priority keywords for trending topics (based on 2026 trends)
-  const trendingKeywords = [
-    'ai', 'artificial intelligence', 'machine learning', 'ml', 'llm',
-    'devops', 'kubernetes', 'docker', 'cicd', 'cloud',
-    'node', 'nodejs', 'javascript', 'typescript', 'react',
-    'rust', 'performance', 'security', 'linux'
-  ];
-
-  // Score topics based on trending data
-  const scoredTopics = topicsList.map(topic => {
-    let score = 0;
-    const topicLower = topic.toLowerCase();
-
-    // Check if topic keywords appear in trending data
-    trendingKeywords.forEach(keyword => {
-      if (topicLower.includes(keyword)) {
-        score += 10;
-
-        // Check if this keyword appears in trending repos/articles
-        if (trends.github && trends.github.some(item =>
-          (item.description || '').toLowerCase().includes(keyword) ||
-          (item.language || '').toLowerCase().includes(keyword)
-        )) {
-          score += 5;
-        }
-
-        if (trends.hackerNews && trends.hackerNews.some(item =>
-          (item.title || '').toLowerCase().includes(keyword)
-        )) {
-          score += 5;
-        }
-
-        if (trends.devTo && trends.devTo.some(item =>
-          (item.title || '').toLowerCase().includes(keyword) ||
-          (item.tags || []).some(tag => tag.toLowerCase().includes(keyword))
-        )) {
-          score += 5;
-        }
-      }
-    });
+    log.info(`✅ Alternative topic selected: ${pick.topic}\n`);
+  }
 
-    return { topic, score };
-  });
+  // Render the prompt instead of calling the model
+  if (showPrompt) {
+    const { prompt, files } = renderPrompt({ topic: pick.topic, trends, category: pick.category, related: findRelated(pick.topic, pick.category) });
+    log.info(`\n🧩 Templates: ${files.join(', ')}\n`);
+    return { status: 'prompt', category: pick.category, topic: pick.topic, prompt, files };
+  }
 
-  // Sort by score and pick top trending topic
-  scoredTopics.sort((a, b) => b.score - a.score);
+  // Stop before spending anything once a usage budget is reached
+  assertWithinBudget();
+
+  // Generate the post, then validate its frontmatter and lint it before anything touches content/posts
+  const date = new Date().toISOString().split('T')[0];
+  const { validation, lint, generation } = await generateLintedPost(trends, pick.topic, { date, category: pick.category, log });
+  if (!validation.valid) {
+    log.error('❌ Generated post failed frontmatter validation:');
+    log.error(formatReport('generated post', validation));
+    return { status: 'rejected', reason: 'Frontmatter validation failed', topic: pick.topic, errors: validation.errors };
+  }
+  if (validation.repairs.length > 0 || validation.warnings.length > 0) {
+    log.info(formatReport('Checked generated frontmatter', validation));
+  }
+  if (!lint.passed && !acceptsLintFailure()) {
+    log.error(formatLintReport('Generated post rejected by the style guide', lint));
+    return { status: 'rejected', reason: 'Style guide lint failed', topic: pick.topic, errors: lint.errors };
+  }
+  if (!lint.passed || lint.warnings.length > 0) {
+    log.info(formatLintReport('Style guide', lint));
+  }
 
-  // If top topic has a good score, use it; otherwise pick randomly from top 5
-  if (scoredTopics[0].score > 0) {
-    const topTrending = scoredTopics.slice(0, 5);
-    return topTrending[Math.floor(Math.random() * topTrending.length)].topic;
+  const content = validation.content;
+  const title = validation.data.title;
+
+  // Final duplicate check against the full text of every existing post
+  const finalDuplicateCheck = checkSimilarity({ content });
+  if (finalDuplicateCheck.isDuplicate) {
+    log.warn('❌ Generated blog post is too similar to existing content:');
+    log.warn(`    New: "${title}"`);
+    log.warn(formatNearest(finalDuplicateCheck));
+    log.warn('\n   Skipping to avoid duplicate content.');
+    return { status: 'skipped', reason: 'Too similar to existing content', topic: pick.topic, title, nearest: finalDuplicateCheck.nearest };
   }
 
-  // Fallback to random topic
-  return topicsList[Math.floor(Math.random() * topicsList.length)];
+  // Generate filename
+  const slug = generateSlug(title, pick.topic);
+
+  // Save blog post (under a suffixed name if the slug is taken)
+  const filepath = saveBlogPost(content, `${date}-${slug}.md`, { log });
+  const filename = path.basename(filepath);
+
+  // Remember what was covered so the scheduler doesn't repeat it
+  recordTopic({ category: pick.category, focus: pick.focus, topic: pick.topic, file: filename });
+  assignUsageFile(generation, filename);
+
+  log.info('\n✨ Blog generation complete!');
+  log.info(`📄 File: ${filename}`);
+  log.info(`🔗 Title: ${title}`);
+
+  return {
+    status: 'saved',
+    file: filename,
+    filepath,
+    title,
+    category: pick.category,
+    focus: pick.focus,
+    topic: pick.topic,
+    draft: isReviewRequired()
+  };
 }
 
 // Main function
-async function main() {
+async function main(argv = process.argv.slice(2)) {
   try {
-    console.log('🚀 Starting automated blog generation...\n');
-
-    // Fetch trends
-    const trends = await fetchAllTrends();
-
-    // Get topics from config
-    const topics = config.topics;
-
-    // Pick a trending topic or use environment variable
-    const topic = process.env.BLOG_TOPIC || selectTrendingTopic(trends, topics);
-
-    console.log(`\n📝 Selected topic: ${topic}`);
-
-    // Check for duplicates before generating
-    const duplicateCheck = checkForDuplicates('', topic);
-    if (duplicateCheck.isDuplicate) {
-      console.log(`⚠️  Similar content already exists: ${duplicateCheck.existingFile}`);
-      console.log(`    Existing title: "${duplicateCheck.existingTitle}"`);
-      console.log(`    Trying alternative topic...\n`);
-
-      // Try up to 5 different topics
-      let attempts = 0;
-      let alternativeTopic = topic;
-      let altDuplicateCheck = duplicateCheck;
-
-      while (altDuplicateCheck.isDuplicate && attempts < 5) {
-        const remainingTopics = topics.filter(t => t !== alternativeTopic);
-        alternativeTopic = selectTrendingTopic(trends, remainingTopics);
-        altDuplicateCheck = checkForDuplicates('', alternativeTopic);
-        attempts++;
-      }
-
-      if (altDuplicateCheck.isDuplicate) {
-        console.error('❌ Could not find unique topic after 5 attempts. Skipping generation.');
-        process.exit(0);
-      }
+    const result = await generatePost({
+      category: process.env.BLOG_CATEGORY || null,
+      topic: process.env.BLOG_TOPIC || null,
+      focus: process.env.BLOG_SUB_CATEGORY || null,
+      showPrompt: argv.includes('--show-prompt')
+    });
 
-      console.log(`✅ Alternative topic selected: ${alternativeTopic}\n`);
+    if (result.status === 'prompt') {
+      console.log(result.prompt);
     }
 
-    // Generate blog post
-    const content = await generateBlogPost(trends, topic);
-
-    // Extract title from content
-    const titleMatch = content.match(/title:\s*"(.+?)"/);
-    const title = titleMatch ? titleMatch[1] : 'auto-generated-post';
-
-    // Final duplicate check with actual title
-    const finalDuplicateCheck = checkForDuplicates(title, topic);
-    if (finalDuplicateCheck.isDuplicate) {
-      console.error('❌ Generated blog post title is too similar to existing content:');
-      console.error(`    New: "${title}"`);
-      console.error(`    Existing: "${finalDuplicateCheck.existingTitle}"`);
-      console.error(`    File: ${finalDuplicateCheck.existingFile}`);
-      console.error('\n   Skipping to avoid duplicate content.');
-      process.exit(0);
+    // Duplicates are skipped without failing the run; rejected posts fail it
+    if (result.status === 'rejected') {
+      process.exit(1);
     }
-
-    // Generate filename
-    const date = new Date().toISOString().split('T')[0];
-    const slug = generateSlug(title);
-    const filename = `${date}-${slug}.md`;
-
-    // Save blog post
-    const filepath = saveBlogPost(content, filename);
-
-    console.log('\n✨ Blog generation complete!');
-    console.log(`📄 File: ${filename}`);
-    console.log(`🔗 Title: ${title}`);
-
-    // Return info for GitHub Actions
-    return {
-      success: true,
-      filename,
-      title,
-      filepath
-    };
+    return result;
 
   } catch (error) {
     console.error('❌ Error generating blog:', error.message);
@@ -360,4 +336,4 @@ if (require.main === module) {
   main();
 }
 
-module.exports = { generateBlogPost, saveBlogPost };
+module.exports = { generatePost, generateBlogPost, generateLintedPost, findRelated, acceptsLintFailure, saveBlogPost, generateSlug, callClaudeAPI, main };
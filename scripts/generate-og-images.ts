@@ -110,10 +110,21 @@ async function generateOGImage(title: string, slug: string, tags?: string[]) {
   fs.writeFileSync(path.join(outputDir, `${slug}.png`), Buffer.from(buffer));
 }
 
-async function generateAllOGImages() {
+async function generateAllOGImages(onlySlugs: string[] = []) {
   console.log('Starting OG image generation...\n');
 
   try {
+    // When slugs are given (e.g. by publish-post.js), only regenerate those
+    if (onlySlugs.length > 0) {
+      const posts = getAllPosts().filter(post => onlySlugs.includes(post.slug));
+      for (const post of posts) {
+        console.log(`Generating OG image for: ${post.title}`);
+        await generateOGImage(post.title, post.slug, post.tags);
+      }
+      console.log(`\n✨ Generated ${posts.length} OG image(s)`);
+      return;
+    }
+
     const posts = getAllPosts();
 
     // Generate OG image for each post
@@ -143,4 +154,4 @@ async function generateAllOGImages() {
   }
 }
 
-generateAllOGImages();
+generateAllOGImages(process.argv.slice(2));
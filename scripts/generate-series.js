@@ -0,0 +1,277 @@
+#!/usr/bin/env node
+
+/**
+ * Series Generator - Plans and writes an N-part blog series on one theme
+ * Usage: node generate-series.js <parts> "<theme>" [--category name] [--plan plan.json] [--plan-only] [--offline]
+ * Examples:
+ *   node generate-series.js 3 "Rust error handling" --category rust
+ *   node generate-series.js 4 "Laravel queues in production" --plan-only > plan.json
+ *   node generate-series.js 4 "Laravel queues in production" --plan plan.json
+ *
+ * The model plans the series first (series name plus one topic per part, from the
+ * series-plan prompt template), unless --plan supplies that outline as JSON:
+ *   { "name": "Laravel Queues", "parts": [{ "topic": "...", "summary": "..." }] }
+ *
+ * Each part is generated with the outline and the earlier parts as context, goes
+ * through the usual frontmatter, style and duplicate checks, and is saved with
+ * `series` and `seriesPart` frontmatter. Parts that already exist in content/posts are
+ * reused as context and skipped, so re-running after a failure picks up where it stopped.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const matter = require('gray-matter');
+const { callClaudeAPI, generateLintedPost, acceptsLintFailure, saveBlogPost, generateSlug } = require('./generate-blog');
+const { fetchAllTrends } = require('./fetch-trends');
+const { fetchTopicTrends } = require('./fetch-topic-trends');
+const { formatReport, serializeFrontmatter } = require('./validate-frontmatter');
+const { formatLintReport } = require('./lint-post');
+const { checkSimilarity, formatNearest, resetSimilarityIndex } = require('./similarity');
+const { resetLinkIndex } = require('./check-links');
+const { recordTopic } = require('./topic-scheduler');
+const { resolveCategory } = require('./taxonomy');
+const { renderPrompt } = require('./prompt-templates');
+const { assertWithinBudget, assignUsageFile } = require('./usage-ledger');
+
+const postsDir = path.join(__dirname, '..', 'content', 'posts');
+
+// Series are kept short enough to plan and review in one sitting
+const MAX_PARTS = 10;
+
+// Earlier parts are summarized for the prompt rather than pasted in full
+const CONTEXT_EXCERPT_LENGTH = 600;
+
+// Pull the JSON object out of a model response (tolerates code fences and preamble)
+function parsePlanResponse(text) {
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start === -1 || end <= start) {
+    throw new Error('Series plan response contained no JSON object');
+  }
+  return JSON.parse(text.slice(start, end + 1));
+}
+
+function validatePlan(plan, parts) {
+  if (!plan || typeof plan.name !== 'string' || !plan.name.trim()) {
+    throw new Error('Series plan needs a "name"');
+  }
+  if (!Array.isArray(plan.parts) || plan.parts.length !== parts) {
+    throw new Error(`Series plan needs exactly ${parts} parts, got ${Array.isArray(plan.parts) ? plan.parts.length : 0}`);
+  }
+  plan.parts.forEach((part, i) => {
+    if (!part || typeof part.topic !== 'string' || !part.topic.trim()) {
+      throw new Error(`Series plan part ${i + 1} needs a "topic"`);
+    }
+  });
+  return {
+    name: plan.name.trim(),
+    parts: plan.parts.map(part => ({ topic: part.topic.trim(), summary: (part.summary || '').trim() }))
+  };
+}
+
+// Ask the model for a series outline
+async function planSeries({ theme, parts, category, trends }) {
+  console.log(`\n🗺️  Planning a ${parts}-part series on: ${theme}...`);
+
+  const { prompt } = renderPrompt({ topic: theme, trends, category, template: 'series-plan', variables: { parts } });
+  const response = await callClaudeAPI(prompt, { context: { purpose: 'series-plan', category, topic: theme } });
+
+  try {
+    return validatePlan(parsePlanResponse(response), parts);
+  } catch (error) {
+    throw new Error(`Could not read the series plan (${error.message}). Write one by hand and pass it with --plan.`);
+  }
+}
+
+// Posts already saved for a series, by part number
+function findSeriesPosts(name) {
+  if (!fs.existsSync(postsDir)) return new Map();
+
+  const parts = new Map();
+  fs.readdirSync(postsDir)
+    .filter(f => f.endsWith('.md') || f.endsWith('.mdx'))
+    .forEach(file => {
+      const { data, content } = matter(fs.readFileSync(path.join(postsDir, file), 'utf-8'));
+      if (data.series === name && Number.isInteger(data.seriesPart)) {
+        parts.set(data.seriesPart, { file, title: data.title, excerpt: data.excerpt || '', content });
+      }
+    });
+  return parts;
+}
+
+// What the model is told about earlier parts: title, excerpt, section headings and the opening
+function describePart(part, number) {
+  const headings = part.content
+    .split('\n')
+    .filter(line => /^##\s/.test(line))
+    .map(line => `  - ${line.replace(/^##\s+/, '')}`);
+  const opening = part.content
+    .replace(/```[\s\S]*?```/g, '')
+    .replace(/^#.*$/gm, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, CONTEXT_EXCERPT_LENGTH);
+
+  return [
+    `Part ${number}: "${part.title}"`,
+    `Excerpt: ${part.excerpt}`,
+    headings.length > 0 ? `Sections:\n${headings.join('\n')}` : null,
+    `Opening: ${opening}...`
+  ].filter(Boolean).join('\n');
+}
+
+// Series variables for the prompt templates (see scripts/prompts/default/series.md)
+function buildSeriesContext(plan, number, existing) {
+  const previous = [];
+  for (let i = 1; i < number; i++) {
+    if (existing.has(i)) previous.push(describePart(existing.get(i), i));
+  }
+  const next = plan.parts[number];
+
+  return {
+    name: plan.name,
+    part: number,
+    total: plan.parts.length,
+    outline: plan.parts.map((part, i) => `${i + 1}. ${part.topic}${part.summary ? ` - ${part.summary}` : ''}`).join('\n'),
+    previous: previous.join('\n\n'),
+    next: next ? next.topic : ''
+  };
+}
+
+// Set series / seriesPart in a post's frontmatter
+function withSeriesFields(markdown, series) {
+  const { data, content } = matter(markdown);
+  return `---\n${serializeFrontmatter({ ...data, series: series.name, seriesPart: series.part })}\n---\n${content}`;
+}
+
+// Generate, check and save one part; returns the saved part or null when it was rejected
+async function generateSeriesPart({ plan, number, existing, trends, category }) {
+  const { topic } = plan.parts[number - 1];
+  const series = buildSeriesContext(plan, number, existing);
+  console.log(`\n📖 Part ${number}/${plan.parts.length}: ${topic}`);
+
+  // Stop before spending anything once a usage budget is reached
+  assertWithinBudget();
+
+  const date = new Date().toISOString().split('T')[0];
+  const { validation, lint, generation } = await generateLintedPost(trends, topic, { date, category, series });
+  if (!validation.valid) {
+    console.error(formatReport('Generated part rejected', validation));
+    return null;
+  }
+  if (validation.repairs.length > 0 || validation.warnings.length > 0) {
+    console.log(formatReport('Checked generated frontmatter', validation));
+  }
+  if (!lint.passed && !acceptsLintFailure()) {
+    console.error(formatLintReport('Generated part rejected by the style guide', lint));
+    return null;
+  }
+  if (!lint.passed || lint.warnings.length > 0) {
+    console.log(formatLintReport('Style guide', lint));
+  }
+
+  const content = withSeriesFields(validation.content, series);
+  const title = validation.data.title;
+
+  // Parts of the same series are meant to overlap, so only compare against the rest of the archive
+  const seriesFiles = [...existing.values()].map(part => part.file);
+  const contentCheck = checkSimilarity({ content, exclude: seriesFiles });
+  if (contentCheck.isDuplicate) {
+    console.error('❌ Generated part is too similar to existing content:');
+    console.error(formatNearest(contentCheck));
+    return null;
+  }
+
+  // Parts can come back with near-identical titles; keep every file name unique
+  let filename = `${date}-${generateSlug(title, topic)}.md`;
+  if (fs.existsSync(path.join(postsDir, filename))) {
+    filename = filename.replace(/\.md$/, `-part-${number}.md`);
+  }
+
+  const filepath = saveBlogPost(content, filename);
+  filename = path.basename(filepath);
+  resetSimilarityIndex();
+  resetLinkIndex();
+  recordTopic({ category, focus: plan.name, topic, file: filename });
+  assignUsageFile(generation, filename);
+
+  return { file: filename, filepath, title, excerpt: validation.data.excerpt, content: matter(content).content };
+}
+
+// Main function
+async function main() {
+  const argv = process.argv.slice(2);
+  const option = name => {
+    const index = argv.indexOf(name);
+    return index !== -1 ? argv[index + 1] : null;
+  };
+  const optionValues = ['--category', '--plan'].map(option);
+  const [count, theme] = argv.filter(arg => !arg.startsWith('--') && !optionValues.includes(arg));
+  const parts = parseInt(count, 10);
+
+  if (!parts || !theme) {
+    console.log('Usage: node generate-series.js <parts> "<theme>" [--category name] [--plan plan.json] [--plan-only] [--offline]');
+    process.exit(1);
+  }
+
+  try {
+    if (parts < 2 || parts > MAX_PARTS) {
+      throw new Error(`A series has 2-${MAX_PARTS} parts`);
+    }
+    const category = option('--category') ? resolveCategory(option('--category')) : null;
+
+    console.log(`🚀 Starting series generation: ${parts} parts on "${theme}"${category ? ` (${category})` : ''}`);
+
+    // Trends for the category (or general trends) are shared by every part
+    const trends = category ? await fetchTopicTrends(category) : await fetchAllTrends();
+
+    const plan = option('--plan')
+      ? validatePlan(JSON.parse(fs.readFileSync(option('--plan'), 'utf-8')), parts)
+      : await planSeries({ theme, parts, category, trends });
+
+    if (argv.includes('--plan-only')) {
+      console.log(`\n${JSON.stringify(plan, null, 2)}`);
+      return { success: true, plan };
+    }
+
+    console.log(`\n📚 Series: ${plan.name}`);
+    plan.parts.forEach((part, i) => console.log(`  ${i + 1}. ${part.topic}`));
+
+    const existing = findSeriesPosts(plan.name);
+    const saved = [];
+
+    for (let number = 1; number <= parts; number++) {
+      if (existing.has(number)) {
+        console.log(`\n⏭️  Part ${number} already exists: ${existing.get(number).file}`);
+        continue;
+      }
+
+      const part = await generateSeriesPart({ plan, number, existing, trends, category });
+
+      // Later parts build on this one, so stop here; re-running resumes from this part
+      if (!part) {
+        console.error(`\n🛑 Stopped at part ${number}/${parts}. Re-run the same command to resume.`);
+        process.exitCode = 1;
+        break;
+      }
+
+      existing.set(number, part);
+      saved.push(part);
+    }
+
+    console.log(`\n✨ Series "${plan.name}": ${existing.size}/${parts} parts written (${saved.length} new)`);
+    saved.forEach(part => console.log(`  📄 ${part.file}`));
+
+    return { success: existing.size === parts, plan, saved };
+  } catch (error) {
+    console.error('❌ Error generating series:', error.message);
+    process.exit(1);
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  main();
+}
+
+module.exports = { planSeries, findSeriesPosts, main };
@@ -0,0 +1,280 @@
+#!/usr/bin/env node
+
+/**
+ * Post Linter - Checks posts against the `style` section of blog-config.json
+ * Runs on generated posts before they are saved, and over content/posts
+ * Usage: node lint-post.js [--json] [--quiet] [file...]
+ * Examples:
+ *   node lint-post.js                  # Lint every post in content/posts
+ *   node lint-post.js --quiet          # Only list failing posts
+ *   node lint-post.js post.md          # Lint a single file
+ *
+ * Checks:
+ *   - word count is within style.targetLength (plus style.lint.lengthTolerance)
+ *   - fenced code blocks respect includeCodeExamples and maxCodeExamples
+ *   - code blocks parse (see check-code-blocks.js; style.lint.checkCodeSyntax)
+ *   - emoji density matches useEmojis
+ *   - required sections ("Bottom Line") and CTA links are present
+ *   - internal links (/blog/<slug>, /blog/tags/<tag>) resolve (see check-links.js; style.lint.checkInternalLinks)
+ *   - heading structure: one H1, enough H2 sections, no skipped levels
+ */
+
+const fs = require('fs');
+const path = require('path');
+const matter = require('gray-matter');
+const { checkCodeBlocks, formatCodeError } = require('./check-code-blocks');
+const { checkInternalLinks, formatBrokenLink } = require('./check-links');
+
+const postsDir = path.join(__dirname, '..', 'content', 'posts');
+
+// Load config
+const configPath = path.join(__dirname, '..', 'blog-config.json');
+const config = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+
+const DEFAULT_LINT_CONFIG = {
+  onFail: 'regenerate',
+  maxAttempts: 2,
+  lengthTolerance: 0.15,
+  minEmojisPer100Words: 0.2,
+  maxEmojisPer100Words: 4,
+  minSections: 3,
+  checkCodeSyntax: true,
+  checkInternalLinks: true,
+  requiredSections: ['Bottom Line'],
+  requiredLinks: ['linkedin.com/in/anuraghkp', 'github.com/kpanuragh']
+};
+
+const ON_FAIL_MODES = ['regenerate', 'reject', 'warn'];
+
+const EMOJI_PATTERN = /\p{Extended_Pictographic}/gu;
+const HAS_EMOJI = /\p{Extended_Pictographic}/u;
+
+function getLintConfig() {
+  const settings = { ...DEFAULT_LINT_CONFIG, ...((config.style || {}).lint || {}) };
+  if (!ON_FAIL_MODES.includes(settings.onFail)) {
+    throw new Error(`Unknown style.lint.onFail "${settings.onFail}" (expected one of: ${ON_FAIL_MODES.join(', ')})`);
+  }
+  return settings;
+}
+
+/**
+ * The style rules posts are held to, resolved from blog-config.json.
+ * generate-blog.js builds its prompt from the same rules so the two never disagree.
+ */
+function getStyleRules() {
+  const style = config.style || {};
+  const [minWords, maxWords] = String(style.targetLength || '800-1200').split('-').map(n => parseInt(n, 10));
+
+  return {
+    minWords: minWords || 800,
+    maxWords: maxWords || minWords || 1200,
+    useEmojis: style.useEmojis !== false,
+    includeCodeExamples: style.includeCodeExamples !== false,
+    maxCodeExamples: style.includeCodeExamples === false ? 0 : (style.maxCodeExamples !== undefined ? style.maxCodeExamples : 3),
+    ...getLintConfig()
+  };
+}
+
+// Split the body into prose lines, fenced code blocks and headings
+function parseBody(body) {
+  const prose = [];
+  const codeBlocks = [];
+  const headings = [];
+  let fence = null;
+
+  body.split('\n').forEach((line, i) => {
+    const marker = line.match(/^\s*(```|~~~)/);
+    if (marker) {
+      if (!fence) {
+        fence = marker[1];
+        codeBlocks.push({ line: i + 1 });
+      } else if (marker[1] === fence) {
+        fence = null;
+      }
+      return;
+    }
+    if (fence) return;
+
+    const heading = line.match(/^(#{1,6})\s+(.+?)\s*#*\s*$/);
+    if (heading) {
+      headings.push({ level: heading[1].length, text: heading[2], line: i + 1 });
+    }
+    prose.push(line);
+  });
+
+  return { prose: prose.join('\n'), codeBlocks, headings };
+}
+
+// Words a reader actually reads: no code, link targets, markup or emojis
+function countWords(prose) {
+  return prose
+    .replace(/`[^`]*`/g, ' code ')
+    .replace(/\]\([^)]*\)/g, ']')
+    .replace(/https?:\/\/\S+/g, ' ')
+    .replace(EMOJI_PATTERN, ' ')
+    .split(/\s+/)
+    .filter(word => /[\p{L}\p{N}]/u.test(word))
+    .length;
+}
+
+/**
+ * Lint a post against the style rules.
+ * Returns { passed, errors, warnings, stats }; only errors fail a post.
+ */
+function lintPost(markdown, rules = getStyleRules()) {
+  const errors = [];
+  const warnings = [];
+
+  let data;
+  let body;
+  try {
+    ({ data, content: body } = matter(markdown));
+  } catch (e) {
+    return {
+      passed: false,
+      errors: [`Frontmatter is not valid YAML: ${e.reason || e.message}`],
+      warnings: [],
+      stats: null
+    };
+  }
+
+  const { prose, codeBlocks, headings } = parseBody(body);
+  const words = countWords(prose);
+  const emojis = (prose.match(EMOJI_PATTERN) || []).length;
+  const emojisPer100Words = words > 0 ? (emojis / words) * 100 : 0;
+  const stats = { words, codeBlocks: codeBlocks.length, emojis, emojisPer100Words: Number(emojisPer100Words.toFixed(2)), headings: headings.length };
+
+  // Word count
+  const low = Math.floor(rules.minWords * (1 - rules.lengthTolerance));
+  const high = Math.ceil(rules.maxWords * (1 + rules.lengthTolerance));
+  if (words < low || words > high) {
+    errors.push(`length: ${words} words (target ${rules.minWords}-${rules.maxWords})`);
+  } else if (words < rules.minWords || words > rules.maxWords) {
+    warnings.push(`length: ${words} words, slightly outside ${rules.minWords}-${rules.maxWords}`);
+  }
+
+  // Code blocks
+  if (codeBlocks.length > rules.maxCodeExamples) {
+    errors.push(rules.includeCodeExamples
+      ? `code: ${codeBlocks.length} code blocks (max ${rules.maxCodeExamples})`
+      : `code: ${codeBlocks.length} code blocks, but includeCodeExamples is off`);
+  } else if (rules.includeCodeExamples && codeBlocks.length === 0) {
+    warnings.push('code: no code examples');
+  }
+  if (rules.checkCodeSyntax) {
+    checkCodeBlocks(markdown).errors.forEach(e => errors.push(`code-syntax: ${formatCodeError(e)}`));
+  }
+
+  // Emojis
+  if (!rules.useEmojis && emojis > 0) {
+    errors.push(`emoji: ${emojis} emoji(s), but useEmojis is off`);
+  } else if (rules.useEmojis && emojisPer100Words > rules.maxEmojisPer100Words) {
+    errors.push(`emoji: ${stats.emojisPer100Words} per 100 words (max ${rules.maxEmojisPer100Words})`);
+  } else if (rules.useEmojis && emojisPer100Words < rules.minEmojisPer100Words) {
+    warnings.push(`emoji: ${stats.emojisPer100Words} per 100 words (expected at least ${rules.minEmojisPer100Words})`);
+  }
+
+  // Required sections and CTA links
+  rules.requiredSections.forEach(section => {
+    const wanted = section.toLowerCase();
+    if (!headings.some(h => h.level > 1 && h.text.toLowerCase().includes(wanted))) {
+      errors.push(`sections: missing a "${section}" section`);
+    }
+  });
+  const proseLower = prose.toLowerCase();
+  rules.requiredLinks.forEach(link => {
+    if (!proseLower.includes(link.toLowerCase())) {
+      errors.push(`cta: missing a link to ${link}`);
+    }
+  });
+  if (rules.checkInternalLinks) {
+    checkInternalLinks(markdown).forEach(link => errors.push(`links: ${formatBrokenLink(link)}`));
+  }
+
+  // Heading structure
+  const h1s = headings.filter(h => h.level === 1);
+  if (h1s.length !== 1) {
+    errors.push(`headings: expected one H1, found ${h1s.length}`);
+  }
+  const sections = headings.filter(h => h.level === 2).length;
+  if (sections < rules.minSections) {
+    errors.push(`headings: ${sections} H2 section(s) (at least ${rules.minSections})`);
+  }
+  headings.forEach((h, i) => {
+    const previous = i > 0 ? headings[i - 1].level : 1;
+    if (h.level > previous + 1) {
+      errors.push(`headings: line ${h.line} jumps from H${previous} to H${h.level} ("${h.text}")`);
+    }
+  });
+  if (rules.useEmojis && headings.filter(h => h.level === 2).every(h => !HAS_EMOJI.test(h.text))) {
+    warnings.push('headings: no emojis in section headings');
+  }
+
+  if (typeof data.title === 'string' && h1s[0] && h1s[0].text.trim() !== data.title.trim()) {
+    warnings.push(`headings: H1 "${h1s[0].text}" does not match the title`);
+  }
+
+  return { passed: errors.length === 0, errors, warnings, stats };
+}
+
+// Human-readable report for one post
+function formatLintReport(name, result) {
+  const lines = [`${result.passed ? (result.warnings.length > 0 ? '⚠️ ' : '✅') : '❌'} ${name}`];
+  if (result.stats) {
+    lines.push(`   ${result.stats.words} words | ${result.stats.codeBlocks} code block(s) | ${result.stats.emojisPer100Words} emoji/100 words`);
+  }
+  result.errors.forEach(e => lines.push(`   ✗ ${e}`));
+  result.warnings.forEach(w => lines.push(`   • ${w}`));
+  return lines.join('\n');
+}
+
+// Lint errors phrased as instructions for a regeneration prompt
+function formatLintFeedback(result) {
+  return result.errors.map(e => `- ${e}`).join('\n');
+}
+
+// CLI execution
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const json = args.includes('--json');
+  const quiet = args.includes('--quiet');
+  const files = args.filter(a => !a.startsWith('--'));
+
+  const targets = files.length > 0
+    ? files.map(f => path.resolve(f))
+    : fs.readdirSync(postsDir)
+      .filter(f => f.endsWith('.md') || f.endsWith('.mdx'))
+      .map(f => path.join(postsDir, f));
+
+  const rules = getStyleRules();
+  const results = targets.map(file => ({
+    file: path.basename(file),
+    ...lintPost(fs.readFileSync(file, 'utf-8'), rules)
+  }));
+  const failed = results.filter(r => !r.passed);
+
+  if (json) {
+    console.log(JSON.stringify(results, null, 2));
+  } else {
+    results
+      .filter(r => !r.passed || (!quiet && r.warnings.length > 0))
+      .forEach(r => console.log(formatLintReport(r.file, r)));
+
+    // Which rules the archive breaks most often
+    const counts = {};
+    failed.forEach(r => r.errors.forEach(e => {
+      const rule = e.split(':')[0];
+      counts[rule] = (counts[rule] || 0) + 1;
+    }));
+    if (Object.keys(counts).length > 0) {
+      console.log(`\n📊 Failures by rule: ${Object.entries(counts).map(([rule, n]) => `${rule} ${n}`).join(', ')}`);
+    }
+    console.log(`${failed.length === 0 ? '✅' : '❌'} ${results.length - failed.length}/${results.length} post(s) pass the style guide`);
+  }
+
+  if (failed.length > 0) {
+    process.exit(1);
+  }
+}
+
+module.exports = { lintPost, getStyleRules, getLintConfig, formatLintReport, formatLintFeedback };
@@ -0,0 +1,220 @@
+/**
+ * LLM Providers - Pluggable backends for blog generation
+ * Providers are selected by `llm.provider` in blog-config.json (or BLOG_LLM_PROVIDER)
+ *
+ * Every provider exposes the same shape:
+ *   { name, model, complete(prompt) -> Promise<{ text, model, usage }> }
+ *
+ * Available providers:
+ *   anthropic - Calls the Anthropic Messages API (requires ANTHROPIC_API_KEY)
+ *   mock      - Deterministic offline provider that returns canned posts from fixture files
+ */
+
+const fs = require('fs');
+const path = require('path');
+const https = require('https');
+const { classifyHttpError, LLMRequestError, DEFAULT_RETRY_CONFIG } = require('./retry');
+
+const ROOT_DIR = path.join(__dirname, '..');
+
+const DEFAULT_LLM_CONFIG = {
+  provider: 'anthropic',
+  host: 'api.anthropic.com',
+  path: '/v1/messages',
+  model: 'claude-sonnet-4-20250514',
+  maxTokens: 4000,
+  apiVersion: '2023-06-01',
+  timeoutMs: 120000,
+  retry: DEFAULT_RETRY_CONFIG,
+  mock: {
+    fixturesDir: 'scripts/fixtures/posts',
+    simulateErrors: []
+  }
+};
+
+// Merge the `llm` section of blog-config.json over the defaults
+function resolveLLMConfig(config = {}) {
+  const llm = config.llm || {};
+  const resolved = {
+    ...DEFAULT_LLM_CONFIG,
+    ...llm,
+    provider: process.env.BLOG_LLM_PROVIDER || llm.provider || DEFAULT_LLM_CONFIG.provider,
+    retry: { ...DEFAULT_LLM_CONFIG.retry, ...(llm.retry || {}) },
+    mock: { ...DEFAULT_LLM_CONFIG.mock, ...(llm.mock || {}) }
+  };
+
+  // BLOG_MOCK_ERRORS=429,503 simulates transient failures without editing the config
+  if (process.env.BLOG_MOCK_ERRORS) {
+    resolved.mock.simulateErrors = process.env.BLOG_MOCK_ERRORS.split(',').map(Number).filter(Boolean);
+  }
+
+  return resolved;
+}
+
+// Anthropic Messages API provider
+function createAnthropicProvider(llmConfig) {
+  return {
+    name: 'anthropic',
+    model: llmConfig.model,
+
+    complete(prompt) {
+      const apiKey = process.env.ANTHROPIC_API_KEY;
+      if (!apiKey) {
+        return Promise.reject(new LLMRequestError('ANTHROPIC_API_KEY environment variable is required!', { status: 401 }));
+      }
+
+      const requestData = JSON.stringify({
+        model: llmConfig.model,
+        max_tokens: llmConfig.maxTokens,
+        messages: [{
+          role: 'user',
+          content: prompt
+        }]
+      });
+
+      return new Promise((resolve, reject) => {
+        let deadline = null;
+        const settle = (fn, value) => {
+          clearTimeout(deadline);
+          fn(value);
+        };
+
+        const options = {
+          hostname: llmConfig.host,
+          path: llmConfig.path,
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'x-api-key': apiKey,
+            'anthropic-version': llmConfig.apiVersion,
+            'Content-Length': Buffer.byteLength(requestData)
+          }
+        };
+
+        const req = https.request(options, (res) => {
+          let data = '';
+          res.on('data', (chunk) => data += chunk);
+          // The connection dropped (or the deadline hit) partway through the response
+          res.on('error', (error) => {
+            settle(reject, new LLMRequestError(`Claude API response failed: ${error.message}`, {
+              code: error.code || null,
+              retryable: true
+            }));
+          });
+          res.on('end', () => {
+            if (res.statusCode === 200) {
+              try {
+                const response = JSON.parse(data);
+                settle(resolve, {
+                  text: response.content[0].text,
+                  model: response.model || llmConfig.model,
+                  usage: response.usage || null
+                });
+              } catch (e) {
+                settle(reject, new Error('Failed to parse Claude response'));
+              }
+            } else {
+              settle(reject, classifyHttpError(res.statusCode, data, res.headers));
+            }
+          });
+        });
+
+        // Deadline for the whole request, so a response that trickles in can't outlast it
+        // either (an idle-socket timeout would keep resetting) - treated as retryable
+        deadline = setTimeout(() => {
+          settle(reject, new LLMRequestError(`Claude API request timed out after ${llmConfig.timeoutMs}ms`, {
+            code: 'ETIMEDOUT',
+            retryable: true
+          }));
+          req.destroy();
+        }, llmConfig.timeoutMs);
+
+        req.on('error', (error) => {
+          settle(reject, new LLMRequestError(`Claude API request failed: ${error.message}`, {
+            code: error.code || null,
+            retryable: true
+          }));
+        });
+
+        req.write(requestData);
+        req.end();
+      });
+    }
+  };
+}
+
+// Stable string hash so the mock picks the same fixture for the same prompt
+function hashString(str) {
+  let hash = 0;
+  for (let i = 0; i < str.length; i++) {
+    hash = ((hash << 5) - hash + str.charCodeAt(i)) | 0;
+  }
+  return Math.abs(hash);
+}
+
+// Offline provider - returns canned posts from fixture files
+// `mock.simulateErrors` (e.g. [429, 503]) fails the first calls with those statuses
+function createMockProvider(llmConfig) {
+  const fixturesDir = path.resolve(ROOT_DIR, llmConfig.mock.fixturesDir);
+  const pendingErrors = [...(llmConfig.mock.simulateErrors || [])];
+
+  return {
+    name: 'mock',
+    model: 'mock',
+
+    async complete(prompt) {
+      if (pendingErrors.length > 0) {
+        const status = pendingErrors.shift();
+        throw classifyHttpError(status, JSON.stringify({ error: { type: 'mock_error', message: 'Simulated failure' } }), { 'retry-after': '0' });
+      }
+
+      if (!fs.existsSync(fixturesDir)) {
+        throw new Error(`Mock fixtures directory not found: ${fixturesDir}`);
+      }
+
+      const fixtures = fs.readdirSync(fixturesDir)
+        .filter(f => f.endsWith('.md'))
+        .sort();
+
+      if (fixtures.length === 0) {
+        throw new Error(`No mock fixtures (*.md) found in ${fixturesDir}`);
+      }
+
+      const fixture = fixtures[hashString(prompt) % fixtures.length];
+      const template = fs.readFileSync(path.join(fixturesDir, fixture), 'utf-8');
+      const text = template.replace(/\{\{date\}\}/g, new Date().toISOString().split('T')[0]);
+
+      return {
+        text,
+        model: 'mock',
+        usage: {
+          input_tokens: Math.ceil(prompt.length / 4),
+          output_tokens: Math.ceil(text.length / 4)
+        }
+      };
+    }
+  };
+}
+
+const PROVIDERS = {
+  anthropic: createAnthropicProvider,
+  mock: createMockProvider
+};
+
+// Build the provider configured in blog-config.json
+function createProvider(config) {
+  const llmConfig = resolveLLMConfig(config);
+  const factory = PROVIDERS[llmConfig.provider];
+
+  if (!factory) {
+    throw new Error(`Unknown LLM provider "${llmConfig.provider}". Available: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+
+  return factory(llmConfig);
+}
+
+module.exports = {
+  createProvider,
+  resolveLLMConfig,
+  PROVIDERS
+};
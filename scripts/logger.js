@@ -0,0 +1,74 @@
+/**
+ * Logger - Leveled console output for the generation scripts
+ * Level comes from BLOG_LOG_LEVEL (error | warn | info | debug, default info),
+ * or the --quiet (warn) / --verbose (debug) flags (see configureLogger()).
+ *
+ * error and warn go to stderr, info and debug to stdout. With --json, stdout is kept for the
+ * command's result (see blog.js), so everything goes to stderr. child() makes a logger with a
+ * prefix (e.g. "[3/5]") so interleaved output from concurrent work stays readable.
+ */
+
+const util = require('util');
+
+const LEVELS = ['error', 'warn', 'info', 'debug'];
+
+// Output flags from the command line; configureLogger() replaces them with options parsed elsewhere
+let flags = readFlags(process.argv.slice(2));
+
+function readFlags(args) {
+  return { verbose: args.includes('--verbose'), quiet: args.includes('--quiet'), json: args.includes('--json') };
+}
+
+// Command line flags win over BLOG_LOG_LEVEL
+function getLogLevel() {
+  if (flags.verbose) return 'debug';
+  if (flags.quiet) return 'warn';
+
+  const level = process.env.BLOG_LOG_LEVEL || 'info';
+  if (!LEVELS.includes(level)) {
+    throw new Error(`Unknown BLOG_LOG_LEVEL "${level}" (expected one of: ${LEVELS.join(', ')})`);
+  }
+  return level;
+}
+
+// --json reserves stdout for machine-readable output
+function isJsonOutput() {
+  return flags.json;
+}
+
+function createLogger({ level = getLogLevel(), prefix = '' } = {}) {
+  const threshold = LEVELS.indexOf(level);
+  // Looked up on each call so loggers created before configureLogger() follow it
+  const out = (...args) => (isJsonOutput() ? console.error : console.log)(...args);
+
+  const write = (name, stream) => (...args) => {
+    if (LEVELS.indexOf(name) > threshold) return;
+    if (!prefix) return stream(...args);
+    // Prefix every line so multi-line reports stay attributable
+    stream(util.format(...args).split('\n').map(line => `${prefix} ${line}`.trimEnd()).join('\n'));
+  };
+
+  return {
+    level,
+    error: write('error', console.error),
+    warn: write('warn', console.error),
+    info: write('info', out),
+    debug: write('debug', out),
+    enabled: name => LEVELS.indexOf(name) <= threshold,
+    child: (options = {}) => createLogger({ level, prefix, ...options })
+  };
+}
+
+// Shared default logger
+const logger = createLogger();
+
+/**
+ * Use already parsed { verbose, quiet, json } options instead of process.argv
+ * (blog.js passes the options it parsed from main(argv)). Reconfigures the shared logger.
+ */
+function configureLogger({ verbose = false, quiet = false, json = false } = {}) {
+  flags = { verbose: Boolean(verbose), quiet: Boolean(quiet), json: Boolean(json) };
+  Object.assign(logger, createLogger());
+}
+
+module.exports = { createLogger, configureLogger, getLogLevel, logger };
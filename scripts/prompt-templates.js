@@ -0,0 +1,168 @@
+#!/usr/bin/env node
+
+/**
+ * Prompt Templates - Renders the generation prompt from files in prompts.dir
+ * Usage: node prompt-templates.js [category]
+ * Examples:
+ *   node prompt-templates.js              # Show which template files each category uses
+ *   node prompt-templates.js security     # Render the security prompt with sample values
+ *
+ * Layout (prompts.dir, default scripts/prompts):
+ *   default/template.md      - entry point every prompt is rendered from
+ *   default/<partial>.md     - pieces included with {{> partial}}
+ *   <category>/<file>.md     - per-category override of any of the above
+ *
+ * Every file is looked up in the category's directory first, then in default/.
+ *
+ * Syntax:
+ *   {{name}} / {{style.minWords}}    - variable (arrays are joined with ", ")
+ *   {{> voice}}                      - include a partial
+ *   {{#if name}}...{{else}}...{{/if}} - conditional block (else is optional)
+ *
+ * Variables: topic, date, category, categoryName, authorContext, trends (JSON),
+ * feedback (lint errors from a previous attempt), series (see generate-series.js; empty for
+ * standalone posts), related (existing posts to link to, one "- title: /blog/slug" per line;
+ * see similarity.js findRelatedPosts) and style (see lint-post.js getStyleRules).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getCategory, getCategoryKeys, resolveCategory } = require('./taxonomy');
+const { getStyleRules } = require('./lint-post');
+
+const ROOT_DIR = path.join(__dirname, '..');
+
+// Load config
+const configPath = path.join(ROOT_DIR, 'blog-config.json');
+const config = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+
+const DEFAULT_PROMPTS_CONFIG = {
+  dir: 'scripts/prompts'
+};
+
+const DEFAULT_TEMPLATE = 'default';
+
+// Partials can include partials; this stops a partial that includes itself
+const MAX_INCLUDE_DEPTH = 10;
+
+function getPromptsDir() {
+  return path.join(ROOT_DIR, { ...DEFAULT_PROMPTS_CONFIG, ...(config.prompts || {}) }.dir);
+}
+
+// Path of a template file for a category, falling back to default/; null when neither has it
+function resolveTemplateFile(name, category = null) {
+  const dirs = category ? [category, DEFAULT_TEMPLATE] : [DEFAULT_TEMPLATE];
+  for (const dir of dirs) {
+    const filepath = path.join(getPromptsDir(), dir, `${name}.md`);
+    if (fs.existsSync(filepath)) return filepath;
+  }
+  return null;
+}
+
+function lookup(vars, name) {
+  return name.split('.').reduce((value, key) => (value == null ? undefined : value[key]), vars);
+}
+
+function isTruthy(value) {
+  return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+// Inline {{> partial}} includes, recursively; every file used is added to `files`
+function expandIncludes(text, category, file, files, depth = 0) {
+  return text.replace(/\{\{>\s*([\w-]+)\s*\}\}/g, (match, name) => {
+    if (depth >= MAX_INCLUDE_DEPTH) {
+      throw new Error(`Prompt partial "${name}" included too deeply (loop?) in ${path.relative(ROOT_DIR, file)}`);
+    }
+    const partial = resolveTemplateFile(name, category);
+    if (!partial) {
+      throw new Error(`Prompt partial "${name}" not found (included from ${path.relative(ROOT_DIR, file)})`);
+    }
+    files.push(path.relative(ROOT_DIR, partial));
+    // Drop the trailing newline so includes sit inline where they are placed
+    const body = fs.readFileSync(partial, 'utf-8').replace(/\n$/, '');
+    return expandIncludes(body, category, partial, files, depth + 1);
+  });
+}
+
+// Resolve {{#if}} blocks innermost first, then substitute variables
+function interpolate(text, vars, file) {
+  const block = /\{\{#if\s+([\w.]+)\s*\}\}((?:(?!\{\{#if)[\s\S])*?)\{\{\/if\}\}/;
+  let result = text;
+  let match;
+  while ((match = result.match(block))) {
+    const [whole, name, inner] = match;
+    const [then, otherwise = ''] = inner.split('{{else}}');
+    result = result.replace(whole, isTruthy(lookup(vars, name)) ? then : otherwise);
+  }
+
+  return result.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (placeholder, name) => {
+    const value = lookup(vars, name);
+    if (value === undefined) {
+      throw new Error(`Unknown prompt variable ${placeholder} in ${path.relative(ROOT_DIR, file)}`);
+    }
+    return Array.isArray(value) ? value.join(', ') : String(value);
+  });
+}
+
+/**
+ * Render the generation prompt for a topic.
+ * `template` picks another entry point (e.g. "series-plan"); `variables` adds to or overrides the defaults.
+ * Returns { prompt, files } where files lists every template file that was used.
+ */
+function renderPrompt({ topic, trends = null, category = null, feedback = null, series = null, related = [], date = new Date().toISOString().split('T')[0], template: name = 'template', variables = {} }) {
+  const template = resolveTemplateFile(name, category);
+  if (!template) {
+    throw new Error(`No prompt template found in ${path.relative(ROOT_DIR, getPromptsDir())}/${DEFAULT_TEMPLATE}/${name}.md`);
+  }
+
+  const definition = category ? getCategory(category) : null;
+  const vars = {
+    topic,
+    date,
+    category: category || '',
+    categoryName: definition ? definition.name : '',
+    authorContext: (config.style || {}).authorContext || 'Senior developer with expertise in full-stack development',
+    trends: JSON.stringify(trends, null, 2),
+    feedback: feedback || '',
+    series: series || '',
+    related: related.map(post => `- ${post.title}: ${post.url}`).join('\n'),
+    style: getStyleRules(),
+    ...variables
+  };
+
+  const files = [path.relative(ROOT_DIR, template)];
+  const expanded = expandIncludes(fs.readFileSync(template, 'utf-8'), category, template, files);
+
+  return { prompt: interpolate(expanded, vars, template).trim(), files };
+}
+
+// CLI execution
+if (require.main === module) {
+  const name = process.argv[2];
+
+  try {
+    if (name) {
+      const category = resolveCategory(name);
+      const { prompt, files } = renderPrompt({ topic: '<topic>', trends: { note: '<trending data>' }, category });
+      console.log(`🧩 Templates: ${files.join(', ')}\n`);
+      console.log(prompt);
+    } else {
+      console.log(`🧩 Prompt templates in ${path.relative(ROOT_DIR, getPromptsDir())}:\n`);
+      [null, ...getCategoryKeys()].forEach(key => {
+        const { files } = renderPrompt({ topic: '', category: key });
+        const overrides = files.filter(f => !f.includes(`/${DEFAULT_TEMPLATE}/`));
+        console.log(`  ${key || DEFAULT_TEMPLATE}: ${overrides.length > 0 ? overrides.map(f => path.basename(f)).join(', ') : '(default)'}`);
+      });
+
+      // Override directories are matched by category key, so a typo is silently ignored otherwise
+      fs.readdirSync(getPromptsDir())
+        .filter(dir => dir !== DEFAULT_TEMPLATE && !getCategoryKeys().includes(dir))
+        .forEach(dir => console.log(`\n⚠️  ${dir}/ does not match any category key and is never used`));
+    }
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = { renderPrompt, resolveTemplateFile };
@@ -0,0 +1,164 @@
+#!/usr/bin/env node
+
+/**
+ * Draft Publisher - Promotes reviewed drafts to published posts
+ * Generated posts are saved with `draft: true` when generation.requireReview is
+ * true or generation.autoPublish is false in blog-config.json.
+ * Usage: node publish-post.js [slug...]
+ * Examples:
+ *   node publish-post.js                                  # List drafts waiting for review
+ *   node publish-post.js 2026-03-01-my-draft-post         # Publish a draft
+ *
+ * Publishing removes the draft flag, restamps the date to today, renames the file
+ * to match the new date and regenerates its OG image.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const matter = require('gray-matter');
+const { validatePost, formatReport, serializeFrontmatter } = require('./validate-frontmatter');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const postsDir = path.join(ROOT_DIR, 'content', 'posts');
+const ogDir = path.join(ROOT_DIR, 'public', 'og');
+
+// Load config
+const configPath = path.join(ROOT_DIR, 'blog-config.json');
+const config = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+
+// Whether newly generated posts should wait for review
+function isReviewRequired() {
+  const generation = config.generation || {};
+  return generation.requireReview === true || generation.autoPublish === false;
+}
+
+// Add `draft: true` to a post's frontmatter
+function markAsDraft(content) {
+  return content.replace(/^---\n([\s\S]*?)\n---/, (block, frontmatter) =>
+    /^draft:/m.test(frontmatter)
+      ? `---\n${frontmatter.replace(/^draft:.*$/m, 'draft: true')}\n---`
+      : `---\n${frontmatter}\ndraft: true\n---`
+  );
+}
+
+// Every post in content/posts with the frontmatter fields the tooling cares about
+function listPosts() {
+  if (!fs.existsSync(postsDir)) return [];
+
+  return fs.readdirSync(postsDir)
+    .filter(f => f.endsWith('.md') || f.endsWith('.mdx'))
+    .map(file => {
+      const { data } = matter(fs.readFileSync(path.join(postsDir, file), 'utf-8'));
+      return {
+        file,
+        slug: file.replace(/\.(md|mdx)$/, ''),
+        title: data.title,
+        // Unquoted YAML dates come back as Date objects
+        date: data.date instanceof Date ? data.date.toISOString().split('T')[0] : data.date,
+        tags: Array.isArray(data.tags) ? data.tags : [],
+        draft: data.draft === true,
+        series: data.series || null,
+        seriesPart: data.seriesPart || null
+      };
+    });
+}
+
+// List every draft in content/posts
+function listDrafts() {
+  return listPosts().filter(post => post.draft);
+}
+
+// Regenerate the OG image for a single post ("stderr" keeps the script's output off stdout)
+function generateOGImage(slug, { output = 'inherit' } = {}) {
+  const result = spawnSync('npx', ['tsx', 'scripts/generate-og-images.ts', slug], {
+    cwd: ROOT_DIR,
+    stdio: output === 'stderr' ? ['ignore', 2, 2] : 'inherit'
+  });
+  return result.status === 0;
+}
+
+// Publish one draft by slug
+function publishPost(slug, { date = new Date().toISOString().split('T')[0] } = {}) {
+  const file = ['.md', '.mdx']
+    .map(ext => `${slug}${ext}`)
+    .find(f => fs.existsSync(path.join(postsDir, f)));
+
+  if (!file) {
+    throw new Error(`Post not found: ${slug}`);
+  }
+
+  const ext = path.extname(file);
+  const oldPath = path.join(postsDir, file);
+  const { data, content } = matter(fs.readFileSync(oldPath, 'utf-8'));
+
+  if (data.draft !== true) {
+    throw new Error(`Post is not a draft: ${slug}`);
+  }
+
+  delete data.draft;
+  data.date = date;
+
+  const validation = validatePost(`---\n${serializeFrontmatter(data)}\n---\n${content}`);
+  if (!validation.valid) {
+    throw new Error(`Draft failed frontmatter validation:\n${formatReport(file, validation)}`);
+  }
+
+  // Restamp the filename: YYYY-MM-DD-rest-of-slug
+  const baseSlug = slug.replace(/^\d{4}-\d{2}-\d{2}-/, '');
+  const newSlug = `${date}-${baseSlug}`;
+  const newPath = path.join(postsDir, `${newSlug}${ext}`);
+
+  if (newPath !== oldPath && fs.existsSync(newPath)) {
+    throw new Error(`Cannot publish: ${path.basename(newPath)} already exists`);
+  }
+
+  fs.writeFileSync(newPath, validation.content, 'utf-8');
+  if (newPath !== oldPath) {
+    fs.unlinkSync(oldPath);
+
+    const oldImage = path.join(ogDir, `${slug}.png`);
+    if (fs.existsSync(oldImage)) {
+      fs.unlinkSync(oldImage);
+    }
+  }
+
+  return { slug: newSlug, previousSlug: slug, filepath: newPath, title: validation.data.title };
+}
+
+// CLI execution
+if (require.main === module) {
+  const slugs = process.argv.slice(2).map(s => path.basename(s).replace(/\.(md|mdx)$/, ''));
+
+  if (slugs.length === 0) {
+    const drafts = listDrafts();
+    if (drafts.length === 0) {
+      console.log('✅ No drafts waiting for review');
+    } else {
+      console.log(`📝 ${drafts.length} draft(s) waiting for review:\n`);
+      drafts.forEach(d => console.log(`  - ${d.slug}\n    ${d.title}`));
+      console.log('\nPublish with: npm run publish-post -- <slug>');
+    }
+    process.exit(0);
+  }
+
+  let failed = 0;
+  for (const slug of slugs) {
+    try {
+      const result = publishPost(slug);
+      console.log(`✅ Published: ${result.title}`);
+      console.log(`   📄 ${path.relative(ROOT_DIR, result.filepath)}`);
+
+      if (!generateOGImage(result.slug)) {
+        console.error(`⚠️  OG image generation failed for ${result.slug} (it will be regenerated on the next build)`);
+      }
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+      failed++;
+    }
+  }
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+module.exports = { publishPost, listPosts, listDrafts, generateOGImage, markAsDraft, isReviewRequired };
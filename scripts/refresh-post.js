@@ -0,0 +1,363 @@
+#!/usr/bin/env node
+
+/**
+ * Post Refresher - Brings an existing post up to date without moving it
+ * Usage: node refresh-post.js <slug> [--yes] [--dry-run] [--apply] [--retitle] [--offline]
+ * Examples:
+ *   node refresh-post.js 2026-01-21-eloquent-relationships-done-right            # Show the diff, ask before writing
+ *   node refresh-post.js 2026-01-21-eloquent-relationships-done-right --dry-run  # Only show the diff
+ *   node refresh-post.js 2026-01-21-eloquent-relationships-done-right --apply    # Write the last proposal
+ *
+ * Trends are fetched for the post's tags (through the category the tags match best) and
+ * the model updates the existing post from the `refresh` prompt template. The file name,
+ * and so the slug and URL, stay the same; `date` keeps the original publication date
+ * and `updated` is set to today. The title and tags are kept too (--retitle takes the
+ * model's title); only the excerpt and body change.
+ *
+ * A proposal whose body has drifted away from the original (TF-IDF similarity below
+ * generation.similarity.refreshMinScore) is rejected: that is a new post, not an update.
+ *
+ * The new version goes through frontmatter validation and the style guide, is saved to
+ * .cache/refresh/<slug>.md, and is shown as a diff. Nothing is overwritten until the
+ * diff is confirmed (or --yes is given). --apply writes the saved proposal without
+ * calling the model again, after validating it once more; a proposal made from a version
+ * of the post that has since been edited is refused.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const readline = require('readline');
+const matter = require('gray-matter');
+const { generateLintedPost, findRelated, acceptsLintFailure } = require('./generate-blog');
+const { fetchTrends } = require('./trend-sources');
+const { validatePost, formatReport, serializeFrontmatter, findH1 } = require('./validate-frontmatter');
+const { formatLintReport } = require('./lint-post');
+const { generateOGImage } = require('./publish-post');
+const { getCategory, matchCategory } = require('./taxonomy');
+const { compareContent, getSimilarityConfig } = require('./similarity');
+const { assertWithinBudget, assignUsageFile } = require('./usage-ledger');
+const { logger } = require('./logger');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const postsDir = path.join(ROOT_DIR, 'content', 'posts');
+
+// Proposals wait here for review
+const PROPOSALS_DIR = path.join(ROOT_DIR, '.cache', 'refresh');
+
+// Lines of unchanged context around each change in the diff
+const DIFF_CONTEXT = 3;
+
+function today() {
+  return new Date().toISOString().split('T')[0];
+}
+
+function findPostFile(slug) {
+  const file = ['.md', '.mdx']
+    .map(ext => `${slug}${ext}`)
+    .find(f => fs.existsSync(path.join(postsDir, f)));
+  if (!file) {
+    throw new Error(`Post not found: ${slug}`);
+  }
+  return file;
+}
+
+function proposalPath(slug) {
+  return path.join(PROPOSALS_DIR, `${slug}.md`);
+}
+
+// Hash of the post a proposal was made from, kept next to the proposal
+function sourcePath(slug) {
+  return path.join(PROPOSALS_DIR, `${slug}.source`);
+}
+
+function hashContent(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+// Line diff from the longest common subsequence: [{ type: ' ' | '-' | '+', line }]
+function diffLines(before, after) {
+  const a = before.split('\n');
+  const b = after.split('\n');
+  const lcs = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      ops.push({ type: ' ', line: a[i++] });
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      ops.push({ type: '-', line: a[i++] });
+    } else {
+      ops.push({ type: '+', line: b[j++] });
+    }
+  }
+  while (i < a.length) ops.push({ type: '-', line: a[i++] });
+  while (j < b.length) ops.push({ type: '+', line: b[j++] });
+  return ops;
+}
+
+// Unified diff with DIFF_CONTEXT lines around each change
+function formatDiff(ops, { name, color = false }) {
+  let oldLine = 1;
+  let newLine = 1;
+  const numbered = ops.map(op => {
+    const entry = { ...op, oldLine, newLine };
+    if (op.type !== '+') oldLine++;
+    if (op.type !== '-') newLine++;
+    return entry;
+  });
+
+  // Changed lines plus their context, merged where they overlap
+  const hunks = [];
+  numbered.forEach((op, i) => {
+    if (op.type === ' ') return;
+    const start = Math.max(0, i - DIFF_CONTEXT);
+    const end = Math.min(numbered.length, i + DIFF_CONTEXT + 1);
+    const last = hunks[hunks.length - 1];
+    if (last && start <= last.end) {
+      last.end = Math.max(last.end, end);
+    } else {
+      hunks.push({ start, end });
+    }
+  });
+
+  const paint = (code, text) => (color ? `\x1b[${code}m${text}\x1b[0m` : text);
+  const lines = [paint('1', `--- a/${name}`), paint('1', `+++ b/${name}`)];
+  hunks.forEach(({ start, end }) => {
+    const hunk = numbered.slice(start, end);
+    const oldCount = hunk.filter(op => op.type !== '+').length;
+    const newCount = hunk.filter(op => op.type !== '-').length;
+    lines.push(paint('36', `@@ -${hunk[0].oldLine},${oldCount} +${hunk[0].newLine},${newCount} @@`));
+    hunk.forEach(op => {
+      if (op.type === '-') lines.push(paint('31', `-${op.line}`));
+      else if (op.type === '+') lines.push(paint('32', `+${op.line}`));
+      else lines.push(` ${op.line}`);
+    });
+  });
+  return lines.join('\n');
+}
+
+// Trends for a post's tags: the best-matching category's sources, searched by the tags first
+async function fetchTagTrends(tags, category) {
+  const definition = category ? getCategory(category) : { github: [], devto: [], subreddit: [], keywords: [] };
+  const terms = tags.map(tag => String(tag).toLowerCase().replace(/\s+/g, '-'));
+  const topic = {
+    ...definition,
+    github: [...terms, ...definition.github],
+    devto: [...terms, ...definition.devto],
+    keywords: [...tags, ...definition.keywords]
+  };
+
+  const { items } = await fetchTrends({ category, topic });
+  return { tags, category, items };
+}
+
+// Ask the model for an updated version; returns the proposed markdown, or a rejection
+async function generateRefresh(slug, current, { date, retitle, log }) {
+  assertWithinBudget();
+
+  const { data, content } = current;
+  const category = matchCategory(data.tags);
+  log.info(`🔍 Fetching trends for: ${data.tags.join(', ')}${category ? ` (${category})` : ''}`);
+  const trends = await fetchTagTrends(data.tags, category);
+
+  const { validation, lint, generation } = await generateLintedPost(trends, data.title, {
+    date,
+    category,
+    // Other posts on the same subject, never the post itself
+    related: findRelated(data.title, category, { tags: data.tags, exclude: [slug] }),
+    template: 'refresh',
+    variables: { post: content.trim(), originalDate: data.date, tags: data.tags, retitle },
+    purpose: 'refresh',
+    log
+  });
+  // The tokens were spent on this post whether or not the refresh is accepted
+  assignUsageFile(generation, findPostFile(slug));
+
+  if (!validation.valid) {
+    log.error(formatReport('Refreshed post rejected', validation));
+    return { rejected: { reason: 'Frontmatter validation failed', errors: validation.errors } };
+  }
+  if (!lint.passed && !acceptsLintFailure()) {
+    log.error(formatLintReport('Refreshed post rejected by the style guide', lint));
+    return { rejected: { reason: 'Style guide lint failed', errors: lint.errors } };
+  }
+  if (!lint.passed || lint.warnings.length > 0) {
+    log.info(formatLintReport('Style guide', lint));
+  }
+
+  let body = matter(validation.content).content;
+  const minScore = getSimilarityConfig().refreshMinScore;
+  const similarity = compareContent(content, body);
+  if (similarity < minScore) {
+    const reason = `Refreshed post drifted from the original (similarity ${similarity.toFixed(2)}, minimum ${minScore})`;
+    log.error(`❌ ${reason}`);
+    return { rejected: { reason, errors: [reason], similarity } };
+  }
+
+  // The URL, tags and (unless asked) title stay; the model only owns the excerpt and body
+  const title = retitle ? validation.data.title : data.title;
+  const originalH1 = findH1(content);
+  const proposedH1 = findH1(body);
+  if (!retitle && originalH1 && proposedH1) {
+    body = body.slice(0, proposedH1.index) + originalH1.line + body.slice(proposedH1.index + proposedH1.line.length);
+  }
+  const refreshed = {
+    ...data,
+    title,
+    excerpt: validation.data.excerpt,
+    date: data.date,
+    updated: date
+  };
+  return { proposal: `---\n${serializeFrontmatter(refreshed)}\n---\n${body}`, similarity };
+}
+
+/**
+ * Propose a refresh for a post. Nothing in content/posts is touched.
+ * Resolves to { status, slug, file, title, diff, added, removed, similarity, proposal, proposalFile } where status is:
+ *   proposed  - a new version is ready for review (and saved to .cache/refresh)
+ *   unchanged - the model returned the post as it was
+ *   rejected  - the new version failed validation or the style guide, or drifted from the
+ *               original ({ reason, errors, similarity }); with `apply`, also when the saved
+ *               proposal is invalid or the post changed after it was made
+ * With `apply`, the proposal saved by an earlier run is used instead of calling the model.
+ * With `retitle`, the model's title replaces the original one.
+ */
+async function proposeRefresh(slug, { apply = false, retitle = false, date = today(), color = false, log = logger } = {}) {
+  const file = findPostFile(slug);
+  const original = fs.readFileSync(path.join(postsDir, file), 'utf-8');
+  const current = validatePost(original, { repair: true, requireH1: false });
+  if (!current.valid) {
+    throw new Error(`Fix the post's frontmatter before refreshing it:\n${formatReport(file, current)}`);
+  }
+
+  let proposal;
+  let similarity;
+  if (apply) {
+    if (!fs.existsSync(proposalPath(slug))) {
+      throw new Error(`No saved proposal for ${slug}; run a refresh without --apply first`);
+    }
+    const source = fs.existsSync(sourcePath(slug)) ? fs.readFileSync(sourcePath(slug), 'utf-8').trim() : null;
+    if (source !== hashContent(original)) {
+      const reason = `content/posts/${file} changed after the proposal was made; run the refresh again`;
+      log.error(`❌ ${reason}`);
+      return { status: 'rejected', slug, file, reason, errors: [reason] };
+    }
+    proposal = fs.readFileSync(proposalPath(slug), 'utf-8');
+    const validation = validatePost(proposal, { repair: false, requireH1: false });
+    if (!validation.valid) {
+      log.error(formatReport('Saved proposal rejected', validation));
+      return { status: 'rejected', slug, file, reason: 'Frontmatter validation failed', errors: validation.errors };
+    }
+  } else {
+    log.info(`\n♻️  Refreshing: ${current.data.title}`);
+    const result = await generateRefresh(slug, { data: current.data, content: matter(current.content).content }, { date, retitle, log });
+    if (result.rejected) {
+      return { status: 'rejected', slug, file, ...result.rejected };
+    }
+    ({ proposal, similarity } = result);
+  }
+
+  const proposed = matter(proposal);
+  const before = matter(current.content);
+  if (proposed.content.trim() === before.content.trim() &&
+      proposed.data.title === before.data.title && proposed.data.excerpt === before.data.excerpt) {
+    return { status: 'unchanged', slug, file, title: before.data.title };
+  }
+
+  fs.mkdirSync(PROPOSALS_DIR, { recursive: true });
+  fs.writeFileSync(proposalPath(slug), proposal, 'utf-8');
+  fs.writeFileSync(sourcePath(slug), `${hashContent(original)}\n`, 'utf-8');
+
+  const ops = diffLines(original, proposal);
+  return {
+    status: 'proposed',
+    slug,
+    file,
+    title: proposed.data.title,
+    previousTitle: before.data.title,
+    diff: formatDiff(ops, { name: `content/posts/${file}`, color }),
+    added: ops.filter(op => op.type === '+').length,
+    removed: ops.filter(op => op.type === '-').length,
+    similarity,
+    proposal,
+    proposalFile: path.relative(ROOT_DIR, proposalPath(slug))
+  };
+}
+
+// Overwrite the post with a proposal from proposeRefresh; regenerates the OG image when the title changed
+function applyRefresh(result, { ogOutput = 'inherit' } = {}) {
+  const filepath = path.join(postsDir, result.file);
+  const tmpPath = path.join(postsDir, `.${result.file}.tmp`);
+  fs.writeFileSync(tmpPath, result.proposal, 'utf-8');
+  fs.renameSync(tmpPath, filepath);
+  fs.rmSync(proposalPath(result.slug), { force: true });
+  fs.rmSync(sourcePath(result.slug), { force: true });
+
+  const ogImage = result.title !== result.previousTitle ? generateOGImage(result.slug, { output: ogOutput }) : null;
+  return { filepath, ogImage };
+}
+
+// y/N question on the terminal (written to stderr so stdout stays clean)
+function askToConfirm(question) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stderr });
+  return new Promise(resolve => {
+    rl.question(`${question} [y/N] `, answer => {
+      rl.close();
+      resolve(/^y(es)?$/i.test(answer.trim()));
+    });
+  });
+}
+
+// CLI execution
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const slug = args.find(arg => !arg.startsWith('--'));
+
+  if (!slug) {
+    console.log('Usage: node refresh-post.js <slug> [--yes] [--dry-run] [--apply] [--retitle] [--offline]');
+    process.exit(1);
+  }
+
+  (async () => {
+    const result = await proposeRefresh(path.basename(slug).replace(/\.(md|mdx)$/, ''), {
+      apply: args.includes('--apply'),
+      retitle: args.includes('--retitle'),
+      color: process.stdout.isTTY
+    });
+
+    if (result.status === 'rejected') {
+      process.exit(1);
+    }
+    if (result.status === 'unchanged') {
+      console.log('✅ Nothing to update');
+      return;
+    }
+
+    console.log(`\n${result.diff}\n`);
+    console.log(`📝 ${result.added} line(s) added, ${result.removed} removed`);
+
+    const confirmed = !args.includes('--dry-run') &&
+      (args.includes('--yes') || (process.stdin.isTTY && await askToConfirm(`Overwrite content/posts/${result.file}?`)));
+    if (!confirmed) {
+      console.log(`⏸️  Not written. Proposal saved to ${result.proposalFile}; apply it with --apply`);
+      return;
+    }
+
+    applyRefresh(result);
+    console.log(`✅ Refreshed: content/posts/${result.file}`);
+  })().catch(error => {
+    console.error('❌ Error refreshing post:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { proposeRefresh, applyRefresh, askToConfirm, diffLines, formatDiff };
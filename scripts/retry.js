@@ -0,0 +1,167 @@
+/**
+ * Retry helpers - Exponential backoff with jitter for generation API calls
+ * Errors are classified as retryable (429, 5xx, overloaded, timeouts, socket errors)
+ * or fatal (400, 401, 403, ...). Only retryable errors are retried.
+ */
+
+const DEFAULT_RETRY_CONFIG = {
+  maxRetries: 4,
+  baseDelayMs: 1000,
+  maxDelayMs: 30000,
+  maxRetriesPerRun: 12,
+  maxWaitMsPerRun: 300000
+};
+
+// 409 is a conflict, which repeating the same request won't resolve
+const RETRYABLE_STATUS_CODES = new Set([408, 429, 500, 502, 503, 504, 529]);
+const RETRYABLE_SOCKET_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ENOTFOUND', 'ESOCKETTIMEDOUT']);
+
+// Error raised by providers for failed API calls
+class LLMRequestError extends Error {
+  constructor(message, { status = null, code = null, retryable = false, retryAfterMs = null } = {}) {
+    super(message);
+    this.name = 'LLMRequestError';
+    this.status = status;
+    this.code = code;
+    this.retryable = retryable;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+// Raised when retries are exhausted or the per-run retry budget is spent
+class RetryExhaustedError extends Error {
+  constructor(message, cause) {
+    super(message);
+    this.name = 'RetryExhaustedError';
+    this.cause = cause;
+    this.fatal = true;
+  }
+}
+
+// Parse a retry-after header (seconds or HTTP date) into milliseconds
+function parseRetryAfter(value) {
+  if (value === undefined || value === null || value === '') return null;
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  if (!Number.isNaN(date)) {
+    return Math.max(0, date - Date.now());
+  }
+
+  return null;
+}
+
+// Decide whether an error is worth retrying
+function isRetryableError(error) {
+  if (!error) return false;
+  if (typeof error.retryable === 'boolean') return error.retryable;
+  if (error.status && RETRYABLE_STATUS_CODES.has(error.status)) return true;
+  if (error.code && RETRYABLE_SOCKET_CODES.has(error.code)) return true;
+  return false;
+}
+
+// Build an LLMRequestError from an HTTP error response
+function classifyHttpError(statusCode, body, headers = {}) {
+  let errorType = null;
+  try {
+    errorType = JSON.parse(body).error?.type || null;
+  } catch (e) {
+    // Body was not JSON - fall back to the status code alone
+  }
+
+  const overloaded = errorType === 'overloaded_error' || statusCode === 529;
+  const retryable = overloaded || RETRYABLE_STATUS_CODES.has(statusCode) || statusCode >= 500;
+
+  return new LLMRequestError(`Claude API error: ${statusCode} - ${body}`, {
+    status: statusCode,
+    code: errorType,
+    retryable,
+    retryAfterMs: parseRetryAfter(headers['retry-after'])
+  });
+}
+
+// Fatal errors should stop a whole run instead of being counted as a failed attempt
+function isFatalError(error) {
+  if (!error) return false;
+  if (error.fatal) return true;
+  return error instanceof LLMRequestError && !error.retryable;
+}
+
+// Exponential backoff with full jitter, capped at maxDelayMs
+function computeBackoff(attempt, { baseDelayMs, maxDelayMs }) {
+  const exponential = Math.min(maxDelayMs, baseDelayMs * Math.pow(2, attempt));
+  return Math.floor(Math.random() * exponential);
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Shared retry count and waiting time so a whole batch run can't retry (or sleep) forever
+function createRetryBudget(maxRetriesPerRun = DEFAULT_RETRY_CONFIG.maxRetriesPerRun, maxWaitMsPerRun = DEFAULT_RETRY_CONFIG.maxWaitMsPerRun) {
+  return {
+    limit: maxRetriesPerRun,
+    used: 0,
+    waitLimitMs: maxWaitMsPerRun,
+    waitedMs: 0,
+    remaining() {
+      return Math.max(0, this.limit - this.used);
+    },
+    remainingWaitMs() {
+      return Math.max(0, this.waitLimitMs - this.waitedMs);
+    }
+  };
+}
+
+// Run fn with retries for retryable errors
+async function withRetry(fn, options = {}) {
+  const retryConfig = { ...DEFAULT_RETRY_CONFIG, ...options };
+  const budget = options.budget || createRetryBudget(retryConfig.maxRetriesPerRun, retryConfig.maxWaitMsPerRun);
+  const onRetry = options.onRetry || (() => {});
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (!isRetryableError(error)) {
+        throw error;
+      }
+
+      if (attempt >= retryConfig.maxRetries) {
+        throw new RetryExhaustedError(`Giving up after ${attempt + 1} attempts: ${error.message}`, error);
+      }
+
+      if (budget.remaining() <= 0) {
+        throw new RetryExhaustedError(`Retry budget for this run exhausted (${budget.limit} retries): ${error.message}`, error);
+      }
+      if (budget.remainingWaitMs() <= 0) {
+        throw new RetryExhaustedError(`Retry budget for this run exhausted (${budget.waitLimitMs}ms of waiting): ${error.message}`, error);
+      }
+
+      budget.used++;
+      const backoff = computeBackoff(attempt, retryConfig);
+      // retry-after from the server wins over our own backoff when it asks for longer,
+      // but never beyond the waiting time left in the run's budget
+      const delay = Math.min(Math.max(backoff, error.retryAfterMs || 0), budget.remainingWaitMs());
+      budget.waitedMs += delay;
+      onRetry(error, attempt + 1, delay);
+      await sleep(delay);
+    }
+  }
+}
+
+module.exports = {
+  withRetry,
+  createRetryBudget,
+  classifyHttpError,
+  isRetryableError,
+  isFatalError,
+  parseRetryAfter,
+  LLMRequestError,
+  RetryExhaustedError,
+  DEFAULT_RETRY_CONFIG
+};
@@ -0,0 +1,282 @@
+#!/usr/bin/env node
+
+/**
+ * Content Similarity - TF-IDF duplicate detection against existing posts
+ * Shared by generate-blog.js and batch-generate-blog.js, which also use it to find
+ * existing posts worth linking from a new one
+ * Usage: node similarity.js "<topic>" | --file <post.md> | --related "<topic>"
+ * Examples:
+ *   node similarity.js "Your first open source contribution"
+ *   node similarity.js --file content/posts/2026-01-24-your-first-open-source-contribution.md
+ *   node similarity.js --related "Laravel queue retries" --tags laravel,php
+ *
+ * Every post is indexed twice:
+ *   headline - title, tags and excerpt (compared against a topic)
+ *   body     - the full text (compared against a generated post)
+ * Scores are cosine similarities between TF-IDF vectors, from 0 to 1.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const matter = require('gray-matter');
+const { tokenize: tokenizeWords } = require('../lib/tokenize');
+
+const postsDir = path.join(__dirname, '..', 'content', 'posts');
+
+// Load config
+const configPath = path.join(__dirname, '..', 'blog-config.json');
+const config = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+
+const DEFAULT_SIMILARITY_CONFIG = {
+  topicThreshold: 0.35,
+  contentThreshold: 0.45,
+  maxResults: 5,
+  relatedPosts: 3,
+  relatedMinScore: 0.1,
+  refreshMinScore: 0.5
+};
+
+// Share of a related post's score that comes from shared tags
+const RELATED_TAG_WEIGHT = 0.3;
+
+function getSimilarityConfig() {
+  return { ...DEFAULT_SIMILARITY_CONFIG, ...((config.generation || {}).similarity || {}) };
+}
+
+// Markdown down to prose terms: code, link targets and URLs say little about the subject.
+// Short words and bare numbers are dropped too; they make posts look alike.
+function tokenize(text) {
+  const prose = (text || '')
+    .replace(/```[\s\S]*?```/g, ' ')
+    .replace(/`[^`]*`/g, ' ')
+    .replace(/\]\([^)]*\)/g, ' ')
+    .replace(/https?:\/\/\S+/g, ' ');
+  return tokenizeWords(prose).filter(term => term.length > 2 && !/^\d+$/.test(term));
+}
+
+function termFrequencies(terms) {
+  const tf = new Map();
+  terms.forEach(term => tf.set(term, (tf.get(term) || 0) + 1));
+  return tf;
+}
+
+// Weighted TF-IDF vector, normalized to unit length
+function toVector(tf, idf) {
+  const vector = new Map();
+  let norm = 0;
+
+  tf.forEach((count, term) => {
+    const weight = (1 + Math.log(count)) * (idf.get(term) || idf.defaultWeight);
+    vector.set(term, weight);
+    norm += weight * weight;
+  });
+
+  norm = Math.sqrt(norm) || 1;
+  vector.forEach((weight, term) => vector.set(term, weight / norm));
+  return vector;
+}
+
+function cosine(a, b) {
+  const [small, large] = a.size < b.size ? [a, b] : [b, a];
+  let dot = 0;
+  small.forEach((weight, term) => {
+    const other = large.get(term);
+    if (other) dot += weight * other;
+  });
+  return dot;
+}
+
+// Headline text repeats the title so it outweighs tags and excerpt
+function headlineText(data) {
+  const tags = Array.isArray(data.tags) ? data.tags.join(' ') : '';
+  return `${data.title || ''} ${data.title || ''} ${tags} ${data.excerpt || ''}`;
+}
+
+// Parse every post and build the TF-IDF index
+function buildSimilarityIndex(dir = postsDir) {
+  const files = fs.existsSync(dir)
+    ? fs.readdirSync(dir).filter(f => f.endsWith('.md') || f.endsWith('.mdx'))
+    : [];
+
+  const docs = files.map(file => {
+    const { data, content } = matter(fs.readFileSync(path.join(dir, file), 'utf-8'));
+    const headlineTf = termFrequencies(tokenize(headlineText(data)));
+    const bodyTf = termFrequencies(tokenize(`${data.title || ''} ${content}`));
+    return {
+      file,
+      slug: file.replace(/\.(md|mdx)$/, ''),
+      title: data.title || file,
+      tags: Array.isArray(data.tags) ? data.tags.map(tag => String(tag).toLowerCase()) : [],
+      draft: data.draft === true,
+      headlineTf,
+      bodyTf
+    };
+  });
+
+  // Document frequency over the body text (it contains the headline terms too)
+  const df = new Map();
+  docs.forEach(doc => doc.bodyTf.forEach((_, term) => df.set(term, (df.get(term) || 0) + 1)));
+
+  const idf = new Map();
+  df.forEach((count, term) => idf.set(term, Math.log((docs.length + 1) / (count + 1)) + 1));
+  idf.defaultWeight = Math.log(docs.length + 1) + 1;
+
+  docs.forEach(doc => {
+    doc.headline = toVector(doc.headlineTf, idf);
+    doc.body = toVector(doc.bodyTf, idf);
+  });
+
+  return {
+    docs,
+
+    // Rank posts by similarity to free text against the given field
+    rank(text, field = 'body', { exclude = [] } = {}) {
+      const query = toVector(termFrequencies(tokenize(text)), idf);
+      return docs
+        .filter(doc => !exclude.includes(doc.file) && !exclude.includes(doc.slug))
+        .map(doc => ({ file: doc.file, slug: doc.slug, title: doc.title, score: cosine(query, doc[field]) }))
+        .sort((a, b) => b.score - a.score);
+    },
+
+    // Similarity of two texts, weighted by the archive's IDF
+    compare(a, b) {
+      return cosine(toVector(termFrequencies(tokenize(a)), idf), toVector(termFrequencies(tokenize(b)), idf));
+    }
+  };
+}
+
+let cachedIndex = null;
+
+function getIndex() {
+  if (!cachedIndex) {
+    cachedIndex = buildSimilarityIndex();
+  }
+  return cachedIndex;
+}
+
+// Call after saving a post so later checks in the same run see it
+function resetSimilarityIndex() {
+  cachedIndex = null;
+}
+
+/**
+ * Compare a topic (and optionally a generated post) against the archive.
+ * Returns { isDuplicate, reason, nearest: [{ file, title, score }] }
+ */
+function checkSimilarity({ topic = '', content = '', exclude = [] } = {}) {
+  const settings = getSimilarityConfig();
+  const index = getIndex();
+
+  if (content) {
+    const { data, content: body } = matter(content);
+    const nearest = index
+      .rank(`${data.title || ''} ${body}`, 'body', { exclude })
+      .slice(0, settings.maxResults);
+    const top = nearest[0];
+
+    return {
+      isDuplicate: Boolean(top && top.score >= settings.contentThreshold),
+      reason: 'content',
+      threshold: settings.contentThreshold,
+      nearest
+    };
+  }
+
+  const nearest = index.rank(topic, 'headline', { exclude }).slice(0, settings.maxResults);
+  const top = nearest[0];
+
+  return {
+    isDuplicate: Boolean(top && top.score >= settings.topicThreshold),
+    reason: 'topic',
+    threshold: settings.topicThreshold,
+    nearest
+  };
+}
+
+// How close a rewritten post body stays to the original, from 0 to 1
+function compareContent(before, after) {
+  return getIndex().compare(before, after);
+}
+
+/**
+ * Published posts a new post about `topic` could link to: [{ slug, title, url, score }], best first.
+ * Scores mix text similarity (headline and body) with the share of `tags` a post carries.
+ */
+function findRelatedPosts(topic, { tags = [], limit, exclude = [] } = {}) {
+  const settings = getSimilarityConfig();
+  const index = getIndex();
+  const wanted = new Set(tags.map(tag => String(tag).toLowerCase()));
+  // Drafts aren't on the site, so a link to one would be broken
+  const skip = index.docs.filter(doc => doc.draft).map(doc => doc.slug).concat(exclude);
+
+  const headline = index.rank(topic, 'headline', { exclude: skip });
+  const body = new Map(index.rank(topic, 'body', { exclude: skip }).map(r => [r.slug, r.score]));
+  const tagsBySlug = new Map(index.docs.map(doc => [doc.slug, doc.tags]));
+
+  return headline
+    .map(r => {
+      const shared = wanted.size > 0 ? tagsBySlug.get(r.slug).filter(tag => wanted.has(tag)).length / wanted.size : 0;
+      const text = (r.score + body.get(r.slug)) / 2;
+      return {
+        slug: r.slug,
+        title: r.title,
+        url: `/blog/${r.slug}`,
+        score: Number(((1 - RELATED_TAG_WEIGHT) * text + RELATED_TAG_WEIGHT * Math.min(1, shared)).toFixed(4))
+      };
+    })
+    .filter(r => r.score >= settings.relatedMinScore)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit !== undefined ? limit : settings.relatedPosts);
+}
+
+// Print the nearest posts with their scores
+function formatNearest(result, limit = 3) {
+  return result.nearest
+    .slice(0, limit)
+    .map(n => `    ${n.score >= result.threshold ? '⚠️ ' : '  '} ${n.score.toFixed(2)}  ${n.title} (${n.file})`)
+    .join('\n');
+}
+
+// CLI execution
+if (require.main === module) {
+  const args = process.argv.slice(2);
+
+  if (args.length === 0) {
+    console.log('Usage: node similarity.js "<topic>" | --file <post.md> | --related "<topic>" [--tags a,b]');
+    process.exit(0);
+  }
+
+  if (args[0] === '--related') {
+    const rest = args.slice(1);
+    const tagsIndex = rest.indexOf('--tags');
+    const tags = tagsIndex !== -1 ? (rest[tagsIndex + 1] || '').split(',').filter(Boolean) : [];
+    const topic = (tagsIndex !== -1 ? rest.slice(0, tagsIndex) : rest).join(' ');
+    console.log(`\n🔗 Related posts for "${topic}":\n`);
+    findRelatedPosts(topic, { tags, limit: getSimilarityConfig().maxResults })
+      .forEach(r => console.log(`    ${r.score.toFixed(2)}  ${r.title} (${r.url})`));
+    process.exit(0);
+  }
+
+  const fileIndex = args.indexOf('--file');
+  const result = fileIndex !== -1
+    ? checkSimilarity({
+      content: fs.readFileSync(args[fileIndex + 1], 'utf-8'),
+      exclude: [path.basename(args[fileIndex + 1])]
+    })
+    : checkSimilarity({ topic: args.join(' ') });
+
+  console.log(`\n🔎 Nearest posts by ${result.reason} (threshold ${result.threshold}):\n`);
+  console.log(formatNearest(result, result.nearest.length));
+  console.log(result.isDuplicate ? '\n⚠️  Too similar to existing content' : '\n✅ No near-duplicates found');
+}
+
+module.exports = {
+  checkSimilarity,
+  compareContent,
+  findRelatedPosts,
+  getSimilarityConfig,
+  formatNearest,
+  buildSimilarityIndex,
+  resetSimilarityIndex,
+  tokenize
+};
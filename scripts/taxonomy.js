@@ -0,0 +1,204 @@
+#!/usr/bin/env node
+
+/**
+ * Topic Taxonomy - The one list of blog categories, read from `topics` in blog-config.json
+ * Usage: node taxonomy.js
+ *
+ * Each category holds everything the pipeline needs to know about it:
+ *   { name, aliases, github, devto, subreddit, keywords, topics, focuses }
+ *
+ *   github    - GitHub topics (the first is used for trend searches)
+ *   devto     - Dev.to tags (the first is used for trend searches)
+ *   subreddit - Subreddit name, or a list of them
+ *   keywords  - Words that mark a trend item as relevant
+ *   aliases   - Other names accepted on the command line (e.g. "rust" -> languages)
+ *   topics    - Topic ideas for generation
+ *   focuses   - Optional sub-categories with their own topic pools: { key: { name, topics } }.
+ *               scheduler.rotations picks one per weekday by key.
+ *
+ * The taxonomy is validated when this module loads, together with every other place
+ * blog-config.json refers to a category, so a typo fails fast instead of silently
+ * falling back to generic trends.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Load config
+const configPath = path.join(__dirname, '..', 'blog-config.json');
+const config = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+
+const LIST_FIELDS = ['aliases', 'github', 'devto', 'keywords', 'topics'];
+
+function isStringList(value) {
+  return Array.isArray(value) && value.every(item => typeof item === 'string' && item.trim() !== '');
+}
+
+// Every problem with the taxonomy and the category references around it
+function validateTaxonomy(cfg = config) {
+  const problems = [];
+  const topics = cfg.topics;
+
+  if (!topics || typeof topics !== 'object' || Array.isArray(topics)) {
+    return ['"topics" must be an object keyed by category'];
+  }
+
+  const names = new Map();
+  Object.entries(topics).forEach(([key, category]) => {
+    if (!category || typeof category !== 'object' || Array.isArray(category)) {
+      problems.push(`topics.${key} must be an object with name, github, devto, subreddit, keywords and topics`);
+      return;
+    }
+    if (typeof category.name !== 'string' || !category.name.trim()) {
+      problems.push(`topics.${key}.name is missing`);
+    }
+    LIST_FIELDS.forEach(field => {
+      if (category[field] !== undefined && !isStringList(category[field])) {
+        problems.push(`topics.${key}.${field} must be a list of strings`);
+      }
+    });
+    ['github', 'devto', 'topics'].forEach(field => {
+      if (!isStringList(category[field]) || category[field].length === 0) {
+        problems.push(`topics.${key}.${field} must not be empty`);
+      }
+    });
+    Object.entries(category.focuses || {}).forEach(([focusKey, focus]) => {
+      if (!focus || typeof focus.name !== 'string' || !focus.name.trim()) {
+        problems.push(`topics.${key}.focuses.${focusKey}.name is missing`);
+      }
+      if (!focus || !isStringList(focus.topics) || focus.topics.length === 0) {
+        problems.push(`topics.${key}.focuses.${focusKey}.topics must not be empty`);
+      }
+    });
+    const subreddits = [].concat(category.subreddit || []);
+    if (subreddits.length === 0 || !isStringList(subreddits)) {
+      problems.push(`topics.${key}.subreddit is missing`);
+    }
+
+    [key, ...(category.aliases || [])].forEach(name => {
+      if (names.has(name)) {
+        problems.push(`"${name}" is used by both topics.${names.get(name)} and topics.${key}`);
+      }
+      names.set(name, key);
+    });
+  });
+
+  // Other sections that refer to categories by key
+  const known = key => Object.prototype.hasOwnProperty.call(topics, key);
+  const scheduler = cfg.scheduler || {};
+  Object.entries(scheduler.weekdays || {}).forEach(([day, categories]) => {
+    (categories || []).filter(key => !known(key)).forEach(key => {
+      problems.push(`scheduler.weekdays.${day} refers to unknown category "${key}"`);
+    });
+  });
+  ['weights', 'rotations'].forEach(section => {
+    Object.keys(scheduler[section] || {}).filter(key => !known(key)).forEach(key => {
+      problems.push(`scheduler.${section} refers to unknown category "${key}"`);
+    });
+  });
+  Object.entries(scheduler.rotations || {}).filter(([key]) => known(key)).forEach(([key, days]) => {
+    Object.entries(days || {}).forEach(([day, focusKey]) => {
+      if (!Object.prototype.hasOwnProperty.call(topics[key].focuses || {}, focusKey)) {
+        problems.push(`scheduler.rotations.${key}.${day} refers to unknown focus "${focusKey}" (see topics.${key}.focuses)`);
+      }
+    });
+  });
+  const feeds = ((cfg.sources || {}).feeds || {}).categories || {};
+  Object.keys(feeds).filter(key => !known(key)).forEach(key => {
+    problems.push(`sources.feeds.categories refers to unknown category "${key}"`);
+  });
+
+  return problems;
+}
+
+const problems = validateTaxonomy();
+if (problems.length > 0) {
+  throw new Error(`Invalid topic taxonomy in blog-config.json:\n  - ${problems.join('\n  - ')}`);
+}
+
+function getCategoryKeys() {
+  return Object.keys(config.topics);
+}
+
+// Full category definition with defaults filled in, or null
+function getCategory(key) {
+  const category = config.topics[key];
+  if (!category) return null;
+
+  return {
+    key,
+    aliases: [],
+    keywords: [],
+    focuses: {},
+    ...category,
+    subreddit: [].concat(category.subreddit)
+  };
+}
+
+function getCategoryTopics(key) {
+  const category = config.topics[key];
+  return category ? category.topics : [];
+}
+
+// A category's sub-category: { key, name, topics }, or null
+function getCategoryFocus(key, focusKey) {
+  const focus = ((config.topics[key] || {}).focuses || {})[focusKey];
+  return focus ? { key: focusKey, ...focus } : null;
+}
+
+// Category key for a key or alias; throws for anything unknown
+function resolveCategory(name) {
+  if (config.topics[name]) return name;
+
+  const match = getCategoryKeys().find(key => (config.topics[key].aliases || []).includes(name));
+  if (match) return match;
+
+  const available = getCategoryKeys()
+    .map(key => {
+      const aliases = config.topics[key].aliases || [];
+      return aliases.length > 0 ? `${key} (${aliases.join(', ')})` : key;
+    })
+    .join(', ');
+  throw new Error(`Unknown category "${name}". Available: ${available}`);
+}
+
+// Terms a category's posts are tagged with: key, aliases, GitHub topics, Dev.to tags and keywords (lowercase)
+function getCategoryTerms(key) {
+  const category = getCategory(key);
+  if (!category) return [];
+  return [...new Set([key, ...category.aliases, ...category.github, ...category.devto, ...category.keywords].map(term => term.toLowerCase()))];
+}
+
+// Category whose terms best match a post's tags; null when none do
+function matchCategory(tags) {
+  const wanted = tags.map(tag => String(tag).toLowerCase());
+  const scored = getCategoryKeys().map(key => {
+    const terms = new Set(getCategoryTerms(key));
+    return { key, score: wanted.filter(tag => terms.has(tag)).length };
+  });
+  const best = scored.sort((a, b) => b.score - a.score)[0];
+  return best && best.score > 0 ? best.key : null;
+}
+
+// CLI execution
+if (require.main === module) {
+  console.log(`🗂️  ${getCategoryKeys().length} categories in blog-config.json:\n`);
+  getCategoryKeys().forEach(key => {
+    const category = getCategory(key);
+    const aliases = category.aliases.length > 0 ? ` (also: ${category.aliases.join(', ')})` : '';
+    console.log(`  ${key} - ${category.name}${aliases}`);
+    const focuses = Object.keys(category.focuses).length;
+    console.log(`    ${category.topics.length} topics${focuses > 0 ? ` (+${focuses} focuses)` : ''} | GitHub: ${category.github.join(', ')} | Dev.to: ${category.devto.join(', ')} | r/${category.subreddit.join(', r/')}`);
+  });
+}
+
+module.exports = {
+  getCategoryKeys,
+  getCategory,
+  getCategoryTopics,
+  getCategoryFocus,
+  resolveCategory,
+  getCategoryTerms,
+  matchCategory,
+  validateTaxonomy
+};
@@ -0,0 +1,347 @@
+#!/usr/bin/env node
+
+/**
+ * Topic Scheduler - Picks what to write about next from blog-config.json
+ * Usage: node topic-scheduler.js [--plan N] [--next] [--category name] [--record] [--env] [--json]
+ *        node topic-scheduler.js --record --category name --topic text [--focus text] [--file path]
+ * Examples:
+ *   node topic-scheduler.js --plan 7                     # Preview the next 7 days
+ *   node topic-scheduler.js --next --category security   # Today's security topic
+ *   node topic-scheduler.js --next --category security --env >> "$GITHUB_ENV"
+ *   node topic-scheduler.js --record --category security --topic "CSP nonces" --file content/posts/2026-10-19-csp-nonces.md
+ *
+ * Categories are picked by weekday ("weekday" mode) or by weight ("weight" mode).
+ * Topics come from the day's focus (scheduler.rotations names one of the category's
+ * focuses in blog-config.json topics) or the category's topics,
+ * scored by trend keywords and by how long ago they were last covered. Everything
+ * covered is recorded in the history file, and topics used within
+ * repeatWindowDays are skipped.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { getCategoryKeys, getCategoryTopics, getCategoryFocus, resolveCategory } = require('./taxonomy');
+
+const ROOT_DIR = path.join(__dirname, '..');
+
+// Load config
+const configPath = path.join(ROOT_DIR, 'blog-config.json');
+const config = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+
+const DEFAULT_SCHEDULER_CONFIG = {
+  mode: 'weekday',
+  repeatWindowDays: 30,
+  historyFile: 'content/topic-history.json',
+  weekdays: {},
+  weights: {},
+  rotations: {}
+};
+
+// History entries older than this are dropped when the file is written
+const HISTORY_RETENTION_DAYS = 365;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Priority keywords for trending topics (based on 2026 trends)
+const TRENDING_KEYWORDS = [
+  'ai', 'artificial intelligence', 'machine learning', 'ml', 'llm',
+  'devops', 'kubernetes', 'docker', 'cicd', 'cloud',
+  'node', 'nodejs', 'javascript', 'typescript', 'react',
+  'rust', 'performance', 'security', 'linux'
+];
+
+function getSchedulerConfig() {
+  return { ...DEFAULT_SCHEDULER_CONFIG, ...(config.scheduler || {}) };
+}
+
+function toDateString(date) {
+  return new Date(date).toISOString().split('T')[0];
+}
+
+// ISO weekday: Monday = 1 .. Sunday = 7 (same as `date +%u`)
+function isoWeekday(date) {
+  return new Date(date).getUTCDay() || 7;
+}
+
+function daysBetween(from, to) {
+  return Math.round((new Date(to) - new Date(from)) / DAY_MS);
+}
+
+// Stable tie-breaker so the same day always produces the same plan
+function tieBreaker(...parts) {
+  return parseInt(crypto.createHash('md5').update(parts.join(':')).digest('hex').slice(0, 8), 16);
+}
+
+function getHistoryPath() {
+  return path.join(ROOT_DIR, getSchedulerConfig().historyFile);
+}
+
+// Read the history file: [{ date, category, focus, topic, file }]
+function loadHistory() {
+  const historyPath = getHistoryPath();
+  if (!fs.existsSync(historyPath)) return [];
+
+  try {
+    const history = JSON.parse(fs.readFileSync(historyPath, 'utf-8'));
+    return Array.isArray(history) ? history : [];
+  } catch (error) {
+    console.error(`⚠️  Ignoring unreadable topic history (${error.message})`);
+    return [];
+  }
+}
+
+function saveHistory(history) {
+  const historyPath = getHistoryPath();
+  const today = toDateString(new Date());
+  const kept = history.filter(entry => daysBetween(entry.date, today) <= HISTORY_RETENTION_DAYS);
+
+  fs.mkdirSync(path.dirname(historyPath), { recursive: true });
+  const tmpPath = `${historyPath}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(kept, null, 2) + '\n', 'utf-8');
+  fs.renameSync(tmpPath, historyPath);
+}
+
+// Record a covered topic so it isn't picked again within the repeat window
+function recordTopic({ category = null, focus = null, topic, file = null, date = new Date() }) {
+  const history = loadHistory();
+  history.push({ date: toDateString(date), category, focus, topic, file });
+  saveHistory(history);
+}
+
+// Topic pool for a category on a given day: the focus the weekday rotation names, if any
+function getTopicPool(category, date = new Date()) {
+  const focusKey = (getSchedulerConfig().rotations[category] || {})[isoWeekday(date)];
+  const focus = focusKey ? getCategoryFocus(category, focusKey) : null;
+  if (focus) {
+    return { focus: focus.name, topics: focus.topics };
+  }
+  return { focus: null, topics: getCategoryTopics(category) };
+}
+
+// Flatten trend data from fetch-trends.js or fetch-topic-trends.js into lowercase text
+function trendTexts(trends) {
+  if (!trends) return [];
+
+  const items = Object.values(trends)
+    .filter(Array.isArray)
+    .flat()
+    .filter(item => item && typeof item === 'object');
+
+  return items.map(item => [
+    item.title,
+    item.description,
+    item.language,
+    ...(Array.isArray(item.tags) ? item.tags : [])
+  ].filter(Boolean).join(' ').toLowerCase());
+}
+
+// Score a topic by how many trending keywords it mentions and whether they are trending now
+function scoreTrend(topic, texts) {
+  const topicLower = topic.toLowerCase();
+  let score = 0;
+
+  TRENDING_KEYWORDS.forEach(keyword => {
+    if (!new RegExp(`\\b${keyword}\\b`).test(topicLower)) return;
+    score += 10;
+    score += 5 * Math.min(texts.filter(text => text.includes(keyword)).length, 3);
+  });
+
+  return score;
+}
+
+// Never-covered topics get the full bonus; older coverage earns more than recent coverage
+function scoreRecency(lastUsed, date, windowDays) {
+  if (!lastUsed) return 20;
+  return Math.min(daysBetween(lastUsed, date) / windowDays, 2) * 10;
+}
+
+function lastUsedDates(history, key) {
+  const last = new Map();
+  history.forEach(entry => {
+    const value = key(entry);
+    if (value && (!last.has(value) || last.get(value) < entry.date)) {
+      last.set(value, entry.date);
+    }
+  });
+  return last;
+}
+
+// Pick the category for the next post on a given day
+function pickCategory({ date = new Date(), history = loadHistory() } = {}) {
+  const settings = getSchedulerConfig();
+  const day = toDateString(date);
+  const categories = getCategoryKeys();
+
+  if (settings.mode === 'weight') {
+    // Smooth weighted rotation: weight x days since the category last ran
+    const lastUsed = lastUsedDates(history, entry => entry.category);
+    return categories
+      .filter(category => (settings.weights[category] || 0) > 0)
+      .map(category => {
+        const last = lastUsed.get(category);
+        const idle = last ? daysBetween(last, day) + 1 : settings.repeatWindowDays;
+        return { category, score: settings.weights[category] * idle, tie: tieBreaker(day, category) };
+      })
+      .sort((a, b) => b.score - a.score || a.tie - b.tie)
+      .map(c => c.category)[0] || categories[0];
+  }
+
+  // Weekday mode: first category in today's list that hasn't been covered today
+  const todays = settings.weekdays[isoWeekday(date)] || categories;
+  const coveredToday = history.filter(entry => entry.date === day).map(entry => entry.category);
+  return todays.find(category => !coveredToday.includes(category))
+    || todays[coveredToday.length % todays.length];
+}
+
+/**
+ * Pick the next topic.
+ * Returns { category, focus, topic, score, repeated } or null when the category has no topics.
+ * `repeated` is true when every topic in the pool was covered within the repeat window
+ * and the least recently used one was picked instead.
+ */
+function pickTopic({ category = null, trends = null, exclude = [], date = new Date(), history = loadHistory() } = {}) {
+  const settings = getSchedulerConfig();
+  const day = toDateString(date);
+  const chosenCategory = category || pickCategory({ date, history });
+  const { focus, topics } = getTopicPool(chosenCategory, date);
+
+  const texts = trendTexts(trends);
+  const lastUsed = lastUsedDates(history, entry => entry.topic);
+
+  const scored = topics
+    .filter(topic => !exclude.includes(topic))
+    .map(topic => {
+      const last = lastUsed.get(topic);
+      return {
+        topic,
+        last,
+        recent: Boolean(last) && daysBetween(last, day) < settings.repeatWindowDays,
+        score: scoreTrend(topic, texts) + scoreRecency(last, day, settings.repeatWindowDays),
+        tie: tieBreaker(day, topic)
+      };
+    });
+
+  if (scored.length === 0) return null;
+
+  const fresh = scored.filter(t => !t.recent);
+  const best = fresh.length > 0
+    ? fresh.sort((a, b) => b.score - a.score || a.tie - b.tie)[0]
+    : scored.sort((a, b) => a.last.localeCompare(b.last) || a.tie - b.tie)[0];
+
+  return { category: chosenCategory, focus, topic: best.topic, score: best.score, repeated: fresh.length === 0 };
+}
+
+// Preview the next N days without touching the history file
+function planSchedule(days = 7, { perDay = (config.generation || {}).postsPerDay || 1, category = null, start = new Date() } = {}) {
+  const history = loadHistory();
+  const plan = [];
+
+  for (let d = 0; d < days; d++) {
+    const date = new Date(new Date(toDateString(start)).getTime() + d * DAY_MS);
+    for (let slot = 0; slot < perDay; slot++) {
+      const pick = pickTopic({ category, date, history });
+      if (!pick) continue;
+      plan.push({ date: toDateString(date), ...pick });
+      history.push({ date: toDateString(date), category: pick.category, focus: pick.focus, topic: pick.topic, file: null });
+    }
+  }
+
+  return plan;
+}
+
+// Human-readable plan, grouped by day
+function formatPlan(plan, days) {
+  const settings = getSchedulerConfig();
+  const lines = [`\n🗓️  Topic plan for the next ${days} day(s) (${settings.mode} mode, ${settings.repeatWindowDays}-day repeat window):\n`];
+  let lastDate = null;
+  plan.forEach(entry => {
+    if (entry.date !== lastDate) {
+      lines.push(`${entry.date} (${new Date(entry.date).toLocaleDateString('en-US', { weekday: 'long', timeZone: 'UTC' })})`);
+      lastDate = entry.date;
+    }
+    const focus = entry.focus ? ` › ${entry.focus}` : '';
+    lines.push(`  - [${entry.category}${focus}] ${entry.topic}${entry.repeated ? ' 🔁' : ''}`);
+  });
+  return lines.join('\n');
+}
+
+// CLI execution
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const option = name => {
+    const index = args.indexOf(name);
+    return index !== -1 ? args[index + 1] : null;
+  };
+
+  let category = option('--category');
+  try {
+    category = category && resolveCategory(category);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+
+  // Record a post once it is written, with the topic it actually covers
+  if (args.includes('--record') && !args.includes('--next')) {
+    const topic = option('--topic');
+    if (!category || !topic) {
+      console.error('❌ --record needs the --category and --topic of the post that was written');
+      process.exit(1);
+    }
+    const file = option('--file') ? path.basename(option('--file')) : null;
+    if (file && !fs.existsSync(path.join(ROOT_DIR, 'content', 'posts', file))) {
+      console.error(`❌ Post not found: ${option('--file')}`);
+      process.exit(1);
+    }
+    recordTopic({ category, focus: option('--focus'), topic, file });
+    console.log(`📝 Recorded: ${topic}${file ? ` (${file})` : ''}`);
+    process.exit(0);
+  }
+
+  if (args.includes('--next')) {
+    const pick = pickTopic({ category });
+    if (!pick) {
+      console.error(`❌ No topics configured for ${category}`);
+      process.exit(1);
+    }
+
+    if (args.includes('--record')) {
+      recordTopic(pick);
+    }
+
+    if (args.includes('--env')) {
+      // KEY=value lines for $GITHUB_ENV
+      console.log(`BLOG_CATEGORY=${pick.category}`);
+      console.log(`BLOG_SUB_CATEGORY=${pick.focus || pick.category}`);
+      console.log(`BLOG_TOPIC=${pick.topic}`);
+    } else if (args.includes('--json')) {
+      console.log(JSON.stringify(pick, null, 2));
+    } else {
+      console.log(`📚 Category: ${pick.category}${pick.focus ? ` (${pick.focus})` : ''}`);
+      console.log(`📝 Topic: ${pick.topic}${pick.repeated ? ' (every topic in this pool was covered recently)' : ''}`);
+    }
+    process.exit(0);
+  }
+
+  const days = parseInt(option('--plan')) || 7;
+  const perDay = parseInt(option('--per-day')) || undefined;
+  const plan = planSchedule(days, { perDay, category });
+
+  if (args.includes('--json')) {
+    console.log(JSON.stringify(plan, null, 2));
+    process.exit(0);
+  }
+
+  console.log(formatPlan(plan, days));
+}
+
+module.exports = {
+  pickCategory,
+  pickTopic,
+  planSchedule,
+  formatPlan,
+  recordTopic,
+  loadHistory,
+  getTopicPool
+};
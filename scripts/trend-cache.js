@@ -0,0 +1,225 @@
+#!/usr/bin/env node
+
+/**
+ * Trend Cache - On-disk cache and offline replay for the trend fetchers
+ * Raw API responses are stored as-is under trendCache.dir (one file per source/key)
+ * and reused until they are older than the source's TTL.
+ * Usage: node trend-cache.js [--clear]
+ *
+ * Modes (BLOG_TRENDS_MODE, or the --offline / --refresh / --record flags):
+ *   cache    - use a fresh cached copy, otherwise fetch and cache (default)
+ *   refresh  - always fetch, then cache
+ *   offline  - never touch the network; replay fixtures, then any cached copy
+ *   record   - fetch and save the response as a fixture as well
+ */
+
+const fs = require('fs');
+const path = require('path');
+const https = require('https');
+
+const ROOT_DIR = path.join(__dirname, '..');
+
+// Load config
+const configPath = path.join(ROOT_DIR, 'blog-config.json');
+const config = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+
+const DEFAULT_TREND_CACHE_CONFIG = {
+  dir: '.cache/trends',
+  fixturesDir: 'scripts/fixtures/trends',
+  timeoutMs: 15000,
+  ttlMinutes: {
+    default: 60
+  }
+};
+
+const MODES = ['cache', 'refresh', 'offline', 'record'];
+
+function getCacheConfig() {
+  const settings = config.trendCache || {};
+  return {
+    ...DEFAULT_TREND_CACHE_CONFIG,
+    ...settings,
+    ttlMinutes: { ...DEFAULT_TREND_CACHE_CONFIG.ttlMinutes, ...(settings.ttlMinutes || {}) }
+  };
+}
+
+// Mode from the command line flags, if any; setTrendMode() replaces it with options parsed elsewhere
+let flagMode = ['offline', 'refresh', 'record'].find(mode => process.argv.slice(2).includes(`--${mode}`)) || null;
+
+// Command line flags win over BLOG_TRENDS_MODE
+function getTrendMode() {
+  if (flagMode) return flagMode;
+
+  const mode = process.env.BLOG_TRENDS_MODE || 'cache';
+  if (!MODES.includes(mode)) {
+    throw new Error(`Unknown BLOG_TRENDS_MODE "${mode}" (expected one of: ${MODES.join(', ')})`);
+  }
+  return mode;
+}
+
+// Use a mode chosen by the caller instead of process.argv (null leaves it to BLOG_TRENDS_MODE)
+function setTrendMode(mode) {
+  if (mode && !MODES.includes(mode)) {
+    throw new Error(`Unknown trend mode "${mode}" (expected one of: ${MODES.join(', ')})`);
+  }
+  flagMode = mode || null;
+}
+
+function getTtlMs(source) {
+  const { ttlMinutes } = getCacheConfig();
+  const minutes = ttlMinutes[source] !== undefined ? ttlMinutes[source] : ttlMinutes.default;
+  return minutes * 60 * 1000;
+}
+
+// Keys become file names: "topic:security" -> "topic-security.json" (keys ending in .xml keep it)
+function entryPath(baseDir, source, key) {
+  const safeKey = String(key).replace(/[^a-zA-Z0-9._-]+/g, '-');
+  return path.join(ROOT_DIR, baseDir, source, /\.xml$/.test(safeKey) ? safeKey : `${safeKey}.json`);
+}
+
+function readEntry(filepath) {
+  if (!fs.existsSync(filepath)) return null;
+  return {
+    body: fs.readFileSync(filepath, 'utf-8'),
+    ageMs: Date.now() - fs.statSync(filepath).mtimeMs
+  };
+}
+
+function writeEntry(filepath, body) {
+  fs.mkdirSync(path.dirname(filepath), { recursive: true });
+  const tmpPath = `${filepath}.tmp`;
+  fs.writeFileSync(tmpPath, body, 'utf-8');
+  fs.renameSync(tmpPath, filepath);
+}
+
+function formatAge(ms) {
+  const minutes = Math.round(ms / 60000);
+  if (minutes < 60) return `${minutes}m`;
+  if (minutes < 48 * 60) return `${Math.round(minutes / 60)}h`;
+  return `${Math.round(minutes / 1440)}d`;
+}
+
+// Plain HTTPS GET; follows a few redirects, rejects on network errors, timeouts and non-2xx responses
+function httpGet(request, redirectsLeft = 3) {
+  const { timeoutMs } = getCacheConfig();
+
+  return new Promise((resolve, reject) => {
+    const req = https.get(request, (res) => {
+      if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location && redirectsLeft > 0) {
+        res.resume();
+        const base = typeof request === 'string' ? request : `https://${request.hostname}${request.path}`;
+        resolve(httpGet(new URL(res.headers.location, base).toString(), redirectsLeft - 1));
+        return;
+      }
+
+      let data = '';
+      res.on('data', (chunk) => data += chunk);
+      res.on('end', () => {
+        if (res.statusCode < 200 || res.statusCode >= 300) {
+          reject(new Error(`HTTP ${res.statusCode}`));
+          return;
+        }
+        resolve(data);
+      });
+    });
+
+    req.setTimeout(timeoutMs, () => {
+      req.destroy(new Error(`timed out after ${timeoutMs}ms`));
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Fetch a trend API response through the cache.
+ * `request` is a URL string or https.get options.
+ * Resolves to the raw response body, or null when nothing could be fetched or replayed.
+ */
+async function cachedGet(source, key, request) {
+  const settings = getCacheConfig();
+  const mode = getTrendMode();
+  const cachePath = entryPath(settings.dir, source, key);
+  const fixturePath = entryPath(settings.fixturesDir, source, key);
+
+  if (mode === 'offline') {
+    const entry = readEntry(fixturePath) || readEntry(cachePath);
+    if (!entry) {
+      console.error(`⚠️  ${source} ${key}: no fixture or cached copy to replay offline`);
+      return null;
+    }
+    return entry.body;
+  }
+
+  const cached = readEntry(cachePath);
+  if (mode === 'cache' && cached && cached.ageMs < getTtlMs(source)) {
+    return cached.body;
+  }
+
+  try {
+    const body = await httpGet(request);
+    writeEntry(cachePath, body);
+    if (mode === 'record') {
+      writeEntry(fixturePath, body);
+    }
+    return body;
+  } catch (error) {
+    // Serve a stale copy rather than nothing
+    if (cached) {
+      console.error(`⚠️  ${source} ${key}: ${error.message} (using cached copy from ${formatAge(cached.ageMs)} ago)`);
+      return cached.body;
+    }
+    console.error(`⚠️  ${source} ${key}: ${error.message}`);
+    return null;
+  }
+}
+
+// Fetch and parse JSON through the cache; null when unavailable or unparseable
+async function cachedGetJSON(source, key, request) {
+  const body = await cachedGet(source, key, request);
+  if (body === null) return null;
+
+  try {
+    return JSON.parse(body);
+  } catch (error) {
+    console.error(`⚠️  ${source} ${key}: invalid JSON response`);
+    return null;
+  }
+}
+
+function clearTrendCache() {
+  const cacheDir = path.join(ROOT_DIR, getCacheConfig().dir);
+  fs.rmSync(cacheDir, { recursive: true, force: true });
+  return cacheDir;
+}
+
+// CLI execution
+if (require.main === module) {
+  const settings = getCacheConfig();
+
+  if (process.argv.includes('--clear')) {
+    console.log(`🗑️  Cleared ${path.relative(ROOT_DIR, clearTrendCache())}`);
+    process.exit(0);
+  }
+
+  const cacheDir = path.join(ROOT_DIR, settings.dir);
+  const sources = fs.existsSync(cacheDir) ? fs.readdirSync(cacheDir) : [];
+
+  console.log(`📦 Trend cache: ${settings.dir}`);
+  if (sources.length === 0) {
+    console.log('   (empty)');
+  }
+  sources.forEach(source => {
+    const ttl = getTtlMs(source);
+    const entries = fs.readdirSync(path.join(cacheDir, source)).filter(f => /\.(json|xml)$/.test(f));
+    const fresh = entries.filter(f => Date.now() - fs.statSync(path.join(cacheDir, source, f)).mtimeMs < ttl);
+    console.log(`   ${source}: ${entries.length} response(s), ${fresh.length} fresh (TTL ${formatAge(ttl)})`);
+  });
+}
+
+module.exports = {
+  cachedGet,
+  cachedGetJSON,
+  clearTrendCache,
+  getTrendMode,
+  setTrendMode
+};
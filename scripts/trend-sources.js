@@ -0,0 +1,362 @@
+/**
+ * Trend Sources - Adapter registry behind fetch-trends.js and fetch-topic-trends.js
+ * Each adapter is enabled and configured by its entry in the `sources` section of blog-config.json
+ *
+ * Every adapter exposes the same shape:
+ *   { name, label, fetch(query) -> Promise<raw[]>, normalize(raw) -> item, filter(item, query) -> boolean }
+ *
+ * and every normalized item looks like:
+ *   { source, title, description, url, score, tags, language, publishedAt }
+ *
+ * `query` is { category, topic } for per-topic fetches (a category key and its taxonomy.js definition)
+ * or {} for general trends.
+ *
+ * Available adapters:
+ *   github     - Recently pushed repositories from the GitHub search API
+ *   hackerNews - Front page stories from the Hacker News (Algolia) API
+ *   devTo      - Top Dev.to articles
+ *   reddit     - Hot posts from subreddits
+ *   feeds      - RSS 2.0 / Atom feeds configured per category
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { cachedGet, cachedGetJSON, getTrendMode } = require('./trend-cache');
+const { parseFeed } = require('./feed-parser');
+
+// Load config
+const configPath = path.join(__dirname, '..', 'blog-config.json');
+const config = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+
+const DEFAULT_SOURCE_CONFIG = {
+  enabled: true,
+  limit: 5
+};
+
+const USER_AGENT = 'TrendFetcher/1.0';
+
+function getSourceConfig(name) {
+  return { ...DEFAULT_SOURCE_CONFIG, ...((config.sources || {})[name] || {}) };
+}
+
+// Date string for N days ago
+function daysAgo(days) {
+  const date = new Date();
+  date.setDate(date.getDate() - days);
+  return date.toISOString().split('T')[0];
+}
+
+function lower(values) {
+  return (values || []).filter(Boolean).map(v => String(v).toLowerCase());
+}
+
+function truncate(text, length = 100) {
+  return text ? String(text).slice(0, length) : '';
+}
+
+// Does the item mention any of the keywords (as whole words) in its title, description or tags?
+function matchesKeywords(item, keywords) {
+  const text = `${item.title} ${item.description} ${item.tags.join(' ')}`.toLowerCase();
+  return lower(keywords).some(keyword => {
+    const escaped = keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(^|\\W)${escaped}($|\\W)`).test(text);
+  });
+}
+
+// GitHub: one search per run, filtered by `categories` (topics or language) for general trends
+function createGitHubAdapter(settings) {
+  const minStars = settings.minStars !== undefined ? settings.minStars : 1000;
+  const pushedWithinDays = settings.pushedWithinDays || 7;
+  const headers = { 'User-Agent': USER_AGENT };
+
+  // Authenticated requests get a much higher search rate limit
+  if (process.env.GITHUB_TOKEN) {
+    headers.Authorization = `Bearer ${process.env.GITHUB_TOKEN}`;
+  }
+
+  return {
+    name: 'github',
+    label: 'GitHub',
+
+    async fetch({ topic } = {}) {
+      const since = daysAgo(pushedWithinDays);
+      const [key, q] = topic
+        ? [`topic-${topic.github[0]}`, `topic:${topic.github[0]}+pushed:>${since}`]
+        : ['trending', `stars:>${minStars}+pushed:>${since}`];
+
+      const data = await cachedGetJSON('github', key, {
+        hostname: 'api.github.com',
+        path: `/search/repositories?q=${q}&sort=stars&order=desc&per_page=30`,
+        headers
+      });
+      return (data && data.items) || [];
+    },
+
+    normalize(repo) {
+      return {
+        source: 'github',
+        title: repo.full_name,
+        description: truncate(repo.description),
+        url: repo.html_url,
+        score: repo.stargazers_count || 0,
+        tags: (repo.topics || []).slice(0, 5),
+        language: repo.language || null,
+        publishedAt: repo.pushed_at || null
+      };
+    },
+
+    filter(item, { topic } = {}) {
+      if (topic || !settings.categories || settings.categories.length === 0) return true;
+      const categories = lower(settings.categories);
+      return lower([...item.tags, item.language]).some(value => categories.includes(value));
+    }
+  };
+}
+
+// Hacker News: front page stories above `minScore`, matched on topic keywords for per-topic fetches
+function createHackerNewsAdapter(settings) {
+  const minScore = settings.minScore || 0;
+
+  return {
+    name: 'hackerNews',
+    label: 'Hacker News',
+
+    async fetch() {
+      const data = await cachedGetJSON('hackerNews', 'front-page', 'https://hn.algolia.com/api/v1/search?tags=front_page&hitsPerPage=50');
+      return (data && data.hits) || [];
+    },
+
+    normalize(story) {
+      return {
+        source: 'hackerNews',
+        title: story.title,
+        description: '',
+        url: story.url || `https://news.ycombinator.com/item?id=${story.objectID}`,
+        score: story.points || 0,
+        tags: [],
+        language: null,
+        publishedAt: story.created_at || null
+      };
+    },
+
+    filter(item, { topic } = {}) {
+      if (item.score < minScore) return false;
+      return topic ? matchesKeywords(item, [...topic.keywords, ...topic.devto]) : true;
+    }
+  };
+}
+
+// Dev.to: top articles, limited to `tags` for general trends or the topic's first tag
+function createDevToAdapter(settings) {
+  return {
+    name: 'devTo',
+    label: 'Dev.to',
+
+    async fetch({ topic } = {}) {
+      const [key, url] = topic
+        ? [`tag-${topic.devto[0]}`, `https://dev.to/api/articles?tag=${topic.devto[0]}&top=7&per_page=10`]
+        : ['top', 'https://dev.to/api/articles?top=7&per_page=30'];
+
+      const articles = await cachedGetJSON('devTo', key, url);
+      return Array.isArray(articles) ? articles : [];
+    },
+
+    normalize(article) {
+      return {
+        source: 'devTo',
+        title: article.title,
+        description: truncate(article.description),
+        url: article.url,
+        score: article.public_reactions_count || 0,
+        tags: article.tag_list || [],
+        language: null,
+        publishedAt: article.published_at || null
+      };
+    },
+
+    filter(item, { topic } = {}) {
+      if (topic || !settings.tags || settings.tags.length === 0) return true;
+      const tags = lower(settings.tags);
+      return lower(item.tags).some(tag => tags.includes(tag));
+    }
+  };
+}
+
+// Reddit: hot posts from the topic's subreddit, or `subreddits` for general trends
+function createRedditAdapter(settings) {
+  const minUpvotes = settings.minUpvotes || 0;
+
+  return {
+    name: 'reddit',
+    label: 'Reddit',
+
+    async fetch({ topic } = {}) {
+      const subreddits = topic ? [].concat(topic.subreddit) : (settings.subreddits || []);
+
+      const listings = await Promise.all(subreddits.map(subreddit =>
+        cachedGetJSON('reddit', `r-${subreddit}`, {
+          hostname: 'www.reddit.com',
+          path: `/r/${subreddit}/hot.json?limit=10`,
+          headers: { 'User-Agent': USER_AGENT }
+        })
+      ));
+
+      return listings
+        .flatMap(data => data?.data?.children || [])
+        .map(child => child.data)
+        .filter(post => !post.stickied);
+    },
+
+    normalize(post) {
+      return {
+        source: 'reddit',
+        title: post.title,
+        description: truncate(post.selftext),
+        url: `https://reddit.com${post.permalink}`,
+        score: post.ups || 0,
+        tags: post.subreddit ? [post.subreddit] : [],
+        language: null,
+        publishedAt: post.created_utc ? new Date(post.created_utc * 1000).toISOString() : null
+      };
+    },
+
+    filter(item) {
+      return item.score >= minUpvotes;
+    }
+  };
+}
+
+// Cache key for a feed URL: "https://blog.rust-lang.org/feed.xml" -> "blog.rust-lang.org-feed.xml"
+function feedKey(url) {
+  const { hostname, pathname } = new URL(url);
+  const key = `${hostname}${pathname}`.replace(/[^a-zA-Z0-9.]+/g, '-').replace(/-+$/, '');
+  return key.endsWith('.xml') ? key : `${key}.xml`;
+}
+
+// Feeds: entries from the category's feeds (or `general`) published within `maxAgeDays`
+function createFeedsAdapter(settings) {
+  const maxAgeDays = settings.maxAgeDays || 14;
+  let windowEnd = Date.now();
+
+  return {
+    name: 'feeds',
+    label: 'Feeds',
+
+    async fetch({ category } = {}) {
+      const feeds = (category ? (settings.categories || {})[category] : settings.general) || [];
+
+      const parsed = await Promise.all(feeds.map(async (feed) => {
+        const { url, keywords = [] } = typeof feed === 'string' ? { url: feed } : feed;
+        const body = await cachedGet('feeds', feedKey(url), url);
+        if (body === null) return [];
+
+        try {
+          const { title, entries } = parseFeed(body);
+          return entries
+            .map(entry => ({ ...entry, feedTitle: title || new URL(url).hostname }))
+            .filter(entry => keywords.length === 0 || matchesKeywords(
+              { title: entry.title, description: entry.description, tags: entry.categories },
+              keywords
+            ));
+        } catch (error) {
+          console.error(`⚠️  Feed ${url}: ${error.message}`);
+          return [];
+        }
+      }));
+
+      const entries = parsed.flat().sort((a, b) => (b.publishedAt || '').localeCompare(a.publishedAt || ''));
+
+      // Replayed fixtures are frozen in time, so measure the window from their newest entry
+      if (getTrendMode() === 'offline' && entries[0] && entries[0].publishedAt) {
+        windowEnd = new Date(entries[0].publishedAt).getTime();
+      }
+
+      return entries;
+    },
+
+    normalize(entry) {
+      return {
+        source: 'feeds',
+        title: entry.title,
+        description: truncate(entry.description),
+        url: entry.url,
+        score: 0,
+        tags: [entry.feedTitle, ...entry.categories].slice(0, 5),
+        language: null,
+        publishedAt: entry.publishedAt
+      };
+    },
+
+    filter(item) {
+      if (!item.publishedAt) return false;
+      return windowEnd - new Date(item.publishedAt).getTime() <= maxAgeDays * 24 * 60 * 60 * 1000;
+    }
+  };
+}
+
+const ADAPTERS = {
+  github: createGitHubAdapter,
+  hackerNews: createHackerNewsAdapter,
+  devTo: createDevToAdapter,
+  reddit: createRedditAdapter,
+  feeds: createFeedsAdapter
+};
+
+// Adapters whose `sources` entry is present and not disabled
+function getEnabledAdapters() {
+  return Object.keys(config.sources || {})
+    .filter(name => getSourceConfig(name).enabled !== false)
+    .map(name => {
+      const factory = ADAPTERS[name];
+      if (!factory) {
+        throw new Error(`Unknown trend source "${name}" in blog-config.json. Available: ${Object.keys(ADAPTERS).join(', ')}`);
+      }
+      return { adapter: factory(getSourceConfig(name)), settings: getSourceConfig(name) };
+    });
+}
+
+// Run one adapter: fetch, normalize, filter, dedupe and keep the top `limit` items
+async function runAdapter({ adapter, settings }, query) {
+  let raw;
+  try {
+    raw = await adapter.fetch(query);
+  } catch (error) {
+    console.error(`⚠️  ${adapter.label}: ${error.message}`);
+    return [];
+  }
+
+  const seen = new Set();
+  return raw
+    .map(entry => adapter.normalize(entry))
+    .filter(item => item.title && item.url && adapter.filter(item, query))
+    .filter(item => !seen.has(item.url) && seen.add(item.url))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, settings.limit);
+}
+
+/**
+ * Fetch trends from every enabled source.
+ * Returns { items, bySource: { [name]: items } }
+ */
+async function fetchTrends(query = {}) {
+  const adapters = getEnabledAdapters();
+  const results = await Promise.all(adapters.map(entry => runAdapter(entry, query)));
+
+  const bySource = {};
+  adapters.forEach(({ adapter }, i) => {
+    bySource[adapter.name] = results[i];
+  });
+
+  return { items: results.flat(), bySource };
+}
+
+// Display label for a source name ("devTo" -> "Dev.to")
+function getSourceLabel(name) {
+  return ADAPTERS[name] ? ADAPTERS[name](getSourceConfig(name)).label : name;
+}
+
+module.exports = {
+  fetchTrends,
+  getSourceLabel,
+  ADAPTERS
+};
@@ -0,0 +1,278 @@
+#!/usr/bin/env node
+
+/**
+ * Usage Ledger - Records the tokens and cost of every generation call, and enforces budgets
+ * Usage: node usage-ledger.js [--month YYYY-MM] [--json]
+ * Examples:
+ *   node usage-ledger.js                   # Spend per month and per category
+ *   node usage-ledger.js --month 2026-10   # One month only
+ *
+ * Every model call made by generate-blog.js (and through it the batch and series
+ * generators) appends an entry to usage.ledgerFile:
+ *   { id, generation, timestamp, provider, model, purpose, category, topic, file,
+ *     inputTokens, outputTokens, costUsd }
+ * `generation` groups the calls behind one post (lint regenerations included); `file` is
+ * filled in once that post is saved. Cost uses usage.pricesPerMillionTokens (USD) for the model.
+ *
+ * usage.budget caps daily / monthly tokens or cost (UTC days and months). A post is not
+ * started once a cap has been reached; the post in flight can still finish over it.
+ * Calls made with the mock provider are recorded but don't count towards budgets.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const ROOT_DIR = path.join(__dirname, '..');
+
+// Load config
+const configPath = path.join(ROOT_DIR, 'blog-config.json');
+const config = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+
+const DEFAULT_USAGE_CONFIG = {
+  ledgerFile: 'content/usage-ledger.json',
+  pricesPerMillionTokens: {
+    mock: { input: 0, output: 0 }
+  },
+  budget: {
+    dailyTokens: null,
+    monthlyTokens: null,
+    dailyCostUsd: null,
+    monthlyCostUsd: null
+  }
+};
+
+const BUDGET_LIMITS = [
+  { key: 'dailyTokens', period: 'day', measure: 'tokens' },
+  { key: 'monthlyTokens', period: 'month', measure: 'tokens' },
+  { key: 'dailyCostUsd', period: 'day', measure: 'costUsd' },
+  { key: 'monthlyCostUsd', period: 'month', measure: 'costUsd' }
+];
+
+// Raised before a post is started once a budget cap is reached; fatal, so batch runs stop
+class BudgetExceededError extends Error {
+  constructor(message, exceeded) {
+    super(message);
+    this.name = 'BudgetExceededError';
+    this.exceeded = exceeded;
+    this.fatal = true;
+  }
+}
+
+function getUsageConfig() {
+  const settings = config.usage || {};
+  return {
+    ...DEFAULT_USAGE_CONFIG,
+    ...settings,
+    pricesPerMillionTokens: { ...DEFAULT_USAGE_CONFIG.pricesPerMillionTokens, ...(settings.pricesPerMillionTokens || {}) },
+    budget: { ...DEFAULT_USAGE_CONFIG.budget, ...(settings.budget || {}) }
+  };
+}
+
+function getLedgerPath() {
+  return path.join(ROOT_DIR, getUsageConfig().ledgerFile);
+}
+
+function loadLedger() {
+  const ledgerPath = getLedgerPath();
+  if (!fs.existsSync(ledgerPath)) return [];
+
+  try {
+    const ledger = JSON.parse(fs.readFileSync(ledgerPath, 'utf-8'));
+    return Array.isArray(ledger) ? ledger : [];
+  } catch (error) {
+    console.error(`⚠️  Ignoring unreadable usage ledger (${error.message})`);
+    return [];
+  }
+}
+
+function saveLedger(ledger) {
+  const ledgerPath = getLedgerPath();
+  fs.mkdirSync(path.dirname(ledgerPath), { recursive: true });
+  const tmpPath = `${ledgerPath}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(ledger, null, 2) + '\n', 'utf-8');
+  fs.renameSync(tmpPath, ledgerPath);
+}
+
+// USD for a call, or null when the model has no configured price
+function computeCost(model, inputTokens, outputTokens) {
+  const price = getUsageConfig().pricesPerMillionTokens[model];
+  if (!price) return null;
+  return Number(((inputTokens * price.input + outputTokens * price.output) / 1e6).toFixed(6));
+}
+
+// Id shared by every call made for one post
+function createGenerationId() {
+  return crypto.randomUUID();
+}
+
+/**
+ * Append one model call to the ledger.
+ * `usage` is the provider's usage block ({ input_tokens, output_tokens }), null when it sent none.
+ */
+function recordUsage({ generation = null, provider, model, purpose = 'post', category = null, topic = null, usage = null, timestamp = new Date() }) {
+  const inputTokens = (usage && usage.input_tokens) || 0;
+  const outputTokens = (usage && usage.output_tokens) || 0;
+  const entry = {
+    id: crypto.randomUUID(),
+    generation,
+    timestamp: new Date(timestamp).toISOString(),
+    provider,
+    model,
+    purpose,
+    category,
+    topic,
+    file: null,
+    inputTokens,
+    outputTokens,
+    costUsd: computeCost(model, inputTokens, outputTokens)
+  };
+
+  const ledger = loadLedger();
+  ledger.push(entry);
+  saveLedger(ledger);
+  return entry;
+}
+
+// Link every call of a generation to the post it produced
+function assignUsageFile(generation, file) {
+  const ledger = loadLedger();
+  let changed = false;
+  ledger.forEach(entry => {
+    if (entry.generation === generation) {
+      entry.file = file;
+      changed = true;
+    }
+  });
+  if (changed) saveLedger(ledger);
+}
+
+// Running totals for a set of entries
+function summarize(entries) {
+  const generations = new Set(entries.filter(e => e.file).map(e => e.generation || e.id));
+  return {
+    calls: entries.length,
+    posts: generations.size,
+    inputTokens: entries.reduce((sum, e) => sum + (e.inputTokens || 0), 0),
+    outputTokens: entries.reduce((sum, e) => sum + (e.outputTokens || 0), 0),
+    tokens: entries.reduce((sum, e) => sum + (e.inputTokens || 0) + (e.outputTokens || 0), 0),
+    costUsd: Number(entries.reduce((sum, e) => sum + (e.costUsd || 0), 0).toFixed(6)),
+    unpriced: entries.filter(e => e.costUsd === null).length
+  };
+}
+
+/**
+ * Spend against every configured cap on `date`. Mock provider calls cost nothing and are not counted.
+ * Returns { ok, limits: [{ key, period, cap, spent }], exceeded: [...] }.
+ */
+function checkBudget({ date = new Date(), ledger = loadLedger() } = {}) {
+  const { budget } = getUsageConfig();
+  const day = new Date(date).toISOString().split('T')[0];
+  const billable = ledger.filter(e => e.provider !== 'mock');
+  const periods = {
+    day: summarize(billable.filter(e => e.timestamp.startsWith(day))),
+    month: summarize(billable.filter(e => e.timestamp.startsWith(day.slice(0, 7))))
+  };
+
+  const limits = BUDGET_LIMITS
+    .filter(limit => typeof budget[limit.key] === 'number')
+    .map(limit => ({ key: limit.key, period: limit.period, cap: budget[limit.key], spent: periods[limit.period][limit.measure] }));
+  const exceeded = limits.filter(limit => limit.spent >= limit.cap);
+
+  return { ok: exceeded.length === 0, limits, exceeded };
+}
+
+// Throw when a budget cap has been reached; called before each post is started
+function assertWithinBudget(options) {
+  const status = checkBudget(options);
+  if (!status.ok) {
+    const details = status.exceeded.map(limit => `${limit.key} ${formatAmount(limit.key, limit.spent)} of ${formatAmount(limit.key, limit.cap)}`).join(', ');
+    throw new BudgetExceededError(`Usage budget reached (${details}); raise usage.budget in blog-config.json or wait for the next period`, status.exceeded);
+  }
+  return status;
+}
+
+function formatAmount(key, value) {
+  return /Cost/.test(key) ? `$${value.toFixed(2)}` : `${value.toLocaleString('en-US')} tokens`;
+}
+
+/**
+ * Spend per month, and per category within each month (newest month first).
+ * `month` (YYYY-MM) limits the report to one month.
+ */
+function buildReport({ month = null, ledger = loadLedger() } = {}) {
+  const entries = month ? ledger.filter(e => e.timestamp.startsWith(month)) : ledger;
+  const months = [...new Set(entries.map(e => e.timestamp.slice(0, 7)))].sort().reverse();
+
+  return {
+    total: summarize(entries),
+    months: months.map(m => {
+      const inMonth = entries.filter(e => e.timestamp.startsWith(m));
+      const categories = [...new Set(inMonth.map(e => e.category || 'uncategorized'))];
+      return {
+        month: m,
+        ...summarize(inMonth),
+        categories: categories
+          .map(category => ({ category, ...summarize(inMonth.filter(e => (e.category || 'uncategorized') === category)) }))
+          .sort((a, b) => b.costUsd - a.costUsd || b.tokens - a.tokens)
+      };
+    }),
+    budget: checkBudget({ ledger })
+  };
+}
+
+// Human-readable report
+function formatUsageReport(report) {
+  const row = (label, s) => `${label.padEnd(16)} ${String(s.posts).padStart(4)} post(s) ${String(s.calls).padStart(5)} call(s) ${s.inputTokens.toLocaleString('en-US').padStart(12)} in ${s.outputTokens.toLocaleString('en-US').padStart(11)} out  $${s.costUsd.toFixed(2)}`;
+
+  const lines = [`💰 Usage ledger: ${getUsageConfig().ledgerFile}\n`];
+  if (report.months.length === 0) {
+    lines.push('   (no generation calls recorded)');
+  }
+  report.months.forEach(m => {
+    lines.push(row(`📅 ${m.month}`, m));
+    m.categories.forEach(c => lines.push(row(`   ${c.category}`, c)));
+  });
+  if (report.months.length > 1) {
+    lines.push('', row('Total', report.total));
+  }
+  if (report.total.unpriced > 0) {
+    lines.push(`\n⚠️  ${report.total.unpriced} call(s) used a model without a price in usage.pricesPerMillionTokens`);
+  }
+
+  if (report.budget.limits.length > 0) {
+    lines.push('\n🧮 Budget:');
+    report.budget.limits.forEach(limit => {
+      lines.push(`   ${limit.spent >= limit.cap ? '❌' : '✅'} ${limit.key}: ${formatAmount(limit.key, limit.spent)} of ${formatAmount(limit.key, limit.cap)}`);
+    });
+  }
+  return lines.join('\n');
+}
+
+// CLI execution
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const monthIndex = args.indexOf('--month');
+  const month = monthIndex !== -1 ? args[monthIndex + 1] : null;
+
+  if (month !== null && !/^\d{4}-\d{2}$/.test(month || '')) {
+    console.error('❌ --month expects YYYY-MM');
+    process.exit(1);
+  }
+
+  const report = buildReport({ month });
+  console.log(args.includes('--json') ? JSON.stringify(report, null, 2) : formatUsageReport(report));
+}
+
+module.exports = {
+  recordUsage,
+  assignUsageFile,
+  createGenerationId,
+  checkBudget,
+  assertWithinBudget,
+  buildReport,
+  formatUsageReport,
+  computeCost,
+  loadLedger,
+  BudgetExceededError
+};
@@ -0,0 +1,451 @@
+#!/usr/bin/env node
+
+/**
+ * Frontmatter Validator - Checks and repairs blog post frontmatter
+ * Runs on generated posts before they are saved, and over content/posts
+ * Usage: node validate-frontmatter.js [--fix] [file...]
+ * Examples:
+ *   node validate-frontmatter.js                  # Check every post in content/posts
+ *   node validate-frontmatter.js --fix            # Repair every post in place
+ *   node validate-frontmatter.js --fix post.md    # Repair a single file
+ *
+ * Checks:
+ *   - title, date, excerpt and tags are present
+ *   - date is YYYY-MM-DD
+ *   - tags is an array of plain strings
+ *   - featured and draft are booleans
+ *   - series is a name and seriesPart a positive whole number, always together
+ *   - frontmatter is valid, consistently escaped YAML
+ *   - the H1 heading matches the title (reported, never rewritten)
+ *
+ * --fix is for generated posts and one-off cleanups; the build only reports.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const matter = require('gray-matter');
+
+const postsDir = path.join(__dirname, '..', 'content', 'posts');
+
+const FIELD_ORDER = ['title', 'date', 'updated', 'excerpt', 'tags', 'series', 'seriesPart', 'featured', 'draft', 'coverImage'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Remove the quoting layers fix-yaml-escaping used to pile onto values ("\"rust\"" -> rust)
+function stripQuotes(value) {
+  let result = value.trim();
+  while (result.length >= 2 &&
+    ((result.startsWith('"') && result.endsWith('"')) ||
+     (result.startsWith("'") && result.endsWith("'")))) {
+    result = result.slice(1, -1).replace(/\\"/g, '"').trim();
+  }
+  return result;
+}
+
+// Undo escaped quotes left behind by double-escaping (\\"Hello\\" -> "Hello")
+function unescapeQuotes(value) {
+  return value.replace(/\\+"/g, '"');
+}
+
+// Find the first H1 heading outside fenced code blocks (bash comments look like headings)
+function findH1(body) {
+  let inFence = false;
+  let offset = 0;
+
+  for (const line of body.split('\n')) {
+    if (/^\s*(```|~~~)/.test(line)) {
+      inFence = !inFence;
+    } else if (!inFence) {
+      const match = line.match(/^#\s+(.+?)\s*#*\s*$/);
+      if (match) {
+        return { line, text: match[1], index: offset };
+      }
+    }
+    offset += line.length + 1;
+  }
+  return null;
+}
+
+// Compare headings and titles without caring about markdown escapes or spacing
+function normalizeHeading(text) {
+  return text.replace(/\\(.)/g, '$1').replace(/\s+/g, ' ').trim();
+}
+
+// Split an inline YAML array body on commas that are not inside quotes
+function splitInlineArray(body) {
+  const items = [];
+  let current = '';
+  let quote = null;
+
+  for (let i = 0; i < body.length; i++) {
+    const ch = body[i];
+    if (quote) {
+      if (ch === '\\' && i + 1 < body.length) {
+        current += ch + body[++i];
+        continue;
+      }
+      if (ch === quote) quote = null;
+      current += ch;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+      current += ch;
+    } else if (ch === ',') {
+      items.push(current);
+      current = '';
+    } else {
+      current += ch;
+    }
+  }
+  if (current.trim()) items.push(current);
+
+  return items.map(stripQuotes).filter(Boolean);
+}
+
+// Line-based fallback for frontmatter that is not valid YAML (e.g. unescaped backslashes)
+function parseLooseFrontmatter(raw) {
+  const data = {};
+  let listKey = null;
+
+  for (const line of raw.split('\n')) {
+    const listItem = line.match(/^\s+-\s+(.*)$/);
+    if (listItem && listKey) {
+      data[listKey].push(stripQuotes(listItem[1]));
+      continue;
+    }
+
+    const match = line.match(/^(\w+):\s*(.*)$/);
+    if (!match) continue;
+
+    const [, key, value] = match;
+    listKey = null;
+
+    if (value === '') {
+      data[key] = [];
+      listKey = key;
+    } else if (value.startsWith('[') && value.endsWith(']')) {
+      data[key] = splitInlineArray(value.slice(1, -1));
+    } else if (value.startsWith('"') && value.endsWith('"')) {
+      // Treat backslashes literally except for escaped quotes
+      data[key] = value.slice(1, -1).replace(/\\"/g, '"').replace(/\\\\/g, '\\');
+    } else {
+      data[key] = stripQuotes(value);
+    }
+  }
+
+  return data;
+}
+
+// Serialize a single value as YAML (JSON strings are valid double-quoted YAML scalars)
+function toYamlValue(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(v => JSON.stringify(String(v))).join(', ')}]`;
+  }
+  if (typeof value === 'boolean' || typeof value === 'number') {
+    return String(value);
+  }
+  if (value instanceof Date) {
+    return JSON.stringify(value.toISOString().split('T')[0]);
+  }
+  return JSON.stringify(String(value));
+}
+
+function serializeFrontmatter(data) {
+  const keys = [
+    ...FIELD_ORDER.filter(k => k in data),
+    ...Object.keys(data).filter(k => !FIELD_ORDER.includes(k))
+  ];
+  return keys
+    .filter(k => data[k] !== undefined && data[k] !== null)
+    .map(k => `${k}: ${toYamlValue(data[k])}`)
+    .join('\n');
+}
+
+// Normalize a date-ish value to YYYY-MM-DD, or null if it can't be
+function normalizeDate(value) {
+  if (value instanceof Date && !Number.isNaN(value.getTime())) {
+    return value.toISOString().split('T')[0];
+  }
+  if (typeof value !== 'string') return null;
+
+  const trimmed = value.trim();
+  if (DATE_PATTERN.test(trimmed)) return trimmed;
+
+  const isoPrefix = trimmed.match(/^(\d{4}-\d{2}-\d{2})T/);
+  if (isoPrefix) return isoPrefix[1];
+
+  const parsed = new Date(trimmed);
+  if (!Number.isNaN(parsed.getTime())) {
+    return parsed.toISOString().split('T')[0];
+  }
+  return null;
+}
+
+// Split the model output into raw frontmatter and body, dropping any preamble or code fences
+function extractFrontmatter(markdown) {
+  let text = markdown.replace(/\r\n/g, '\n');
+  const repairs = [];
+
+  const fenced = text.match(/^\s*```(?:markdown|md)?\n([\s\S]*?)\n```\s*$/);
+  if (fenced) {
+    text = fenced[1];
+    repairs.push('Removed code fence wrapped around the post');
+  }
+
+  const start = text.indexOf('---\n');
+  if (start > 0 && text.slice(0, start).trim()) {
+    text = text.slice(start);
+    repairs.push('Removed text before the frontmatter block');
+  } else if (start > 0) {
+    text = text.slice(start);
+  }
+
+  const match = text.match(/^---\n([\s\S]*?)\n---(?:\n|$)([\s\S]*)$/);
+  if (!match) return null;
+
+  return { raw: match[1], body: match[2], repairs };
+}
+
+/**
+ * Validate (and optionally repair) a post.
+ * Options:
+ *   repair      - fix what can be fixed (default true)
+ *   defaultDate - date used when the post has none (generation passes today)
+ *   requireH1   - treat a missing H1 as something to repair (default true)
+ * Returns { valid, content, data, errors, repairs, warnings }
+ */
+function validatePost(markdown, options = {}) {
+  const { repair = true, defaultDate = null, requireH1 = true } = options;
+  const errors = [];
+  const extracted = extractFrontmatter(markdown);
+
+  if (!extracted) {
+    return {
+      valid: false,
+      content: markdown,
+      data: null,
+      errors: ['No frontmatter block found (expected the post to start with ---)'],
+      repairs: [],
+      warnings: []
+    };
+  }
+
+  const repairs = [...extracted.repairs];
+  const warnings = [];
+  let body = extracted.body;
+  let data;
+
+  try {
+    data = { ...matter(`---\n${extracted.raw}\n---\n`).data };
+  } catch (e) {
+    data = parseLooseFrontmatter(extracted.raw);
+    repairs.push(`Rebuilt invalid YAML frontmatter (${e.reason || e.message})`);
+  }
+
+  // Stray quoting and escaped quotes in free-text fields
+  for (const key of ['title', 'excerpt']) {
+    if (typeof data[key] === 'string') {
+      const cleaned = unescapeQuotes(stripQuotes(data[key]));
+      if (cleaned !== data[key]) {
+        data[key] = cleaned;
+        repairs.push(`${key}: removed stray quotes and escapes`);
+      }
+    }
+  }
+
+  // title
+  if (typeof data.title !== 'string' || !data.title.trim()) {
+    const h1 = findH1(body);
+    if (h1) {
+      data.title = normalizeHeading(h1.text);
+      repairs.push('Set missing title from the H1 heading');
+    } else {
+      errors.push('title: missing');
+    }
+  }
+
+  // date
+  if (data.date === undefined || data.date === null || data.date === '') {
+    if (defaultDate) {
+      data.date = defaultDate;
+      repairs.push(`date: set missing date to ${defaultDate}`);
+    } else {
+      errors.push('date: missing');
+    }
+  } else {
+    const normalized = normalizeDate(data.date);
+    if (!normalized) {
+      errors.push(`date: "${data.date}" is not a valid YYYY-MM-DD date`);
+    } else if (typeof data.date === 'string' && normalized !== data.date) {
+      repairs.push(`date: normalized to ${normalized}`);
+      data.date = normalized;
+    }
+  }
+
+  if (data.updated !== undefined) {
+    const normalized = normalizeDate(data.updated);
+    if (!normalized) {
+      errors.push(`updated: "${data.updated}" is not a valid YYYY-MM-DD date`);
+    } else if (typeof data.updated === 'string' && normalized !== data.updated) {
+      repairs.push(`updated: normalized to ${normalized}`);
+      data.updated = normalized;
+    }
+  }
+
+  // excerpt
+  if (typeof data.excerpt !== 'string' || !data.excerpt.trim()) {
+    errors.push('excerpt: missing');
+  }
+
+  // tags
+  if (data.tags === undefined || data.tags === null) {
+    errors.push('tags: missing');
+  } else {
+    let tags = data.tags;
+    if (typeof tags === 'string') {
+      tags = tags.includes(',') ? splitInlineArray(tags) : [stripQuotes(tags)];
+      repairs.push('tags: converted string to an array');
+    }
+    if (!Array.isArray(tags)) {
+      errors.push(`tags: expected an array of strings, got ${typeof tags}`);
+    } else {
+      const cleaned = tags.map(t => stripQuotes(String(t))).filter(Boolean);
+      if (cleaned.some((t, i) => t !== tags[i]) || cleaned.length !== tags.length) {
+        repairs.push('tags: removed stray quotes and empty entries');
+      }
+      if (cleaned.length === 0) {
+        errors.push('tags: at least one tag is required');
+      }
+      data.tags = cleaned;
+    }
+  }
+
+  // featured / draft
+  for (const key of ['featured', 'draft']) {
+    if (typeof data[key] === 'string') {
+      const flag = stripQuotes(data[key]).toLowerCase();
+      if (flag === 'true' || flag === 'false') {
+        data[key] = flag === 'true';
+        repairs.push(`${key}: converted "${flag}" string to a boolean`);
+      } else {
+        errors.push(`${key}: "${data[key]}" is not a boolean`);
+      }
+    }
+  }
+
+  // series / seriesPart
+  if (data.seriesPart !== undefined && typeof data.seriesPart !== 'number') {
+    const part = Number(stripQuotes(String(data.seriesPart)));
+    if (String(data.seriesPart).trim() !== '' && Number.isInteger(part)) {
+      data.seriesPart = part;
+      repairs.push(`seriesPart: converted "${part}" string to a number`);
+    }
+  }
+  if (data.series !== undefined || data.seriesPart !== undefined) {
+    if (typeof data.series !== 'string' || !data.series.trim()) {
+      errors.push('series: missing or empty (required with seriesPart)');
+    }
+    if (!Number.isInteger(data.seriesPart) || data.seriesPart < 1) {
+      errors.push(`seriesPart: "${data.seriesPart}" is not a positive whole number`);
+    }
+  }
+
+  // H1 should match the title; a different heading may be deliberate, so it is only reported
+  if (typeof data.title === 'string' && data.title.trim()) {
+    const h1 = findH1(body);
+    if (!h1) {
+      if (requireH1) {
+        body = `\n# ${data.title}\n\n${body.replace(/^\n+/, '')}`;
+        repairs.push('Added missing H1 heading');
+      }
+    } else if (normalizeHeading(h1.text) !== normalizeHeading(data.title)) {
+      warnings.push(`H1 "${h1.text}" does not match the title`);
+    }
+  }
+
+  const valid = errors.length === 0;
+  const serialized = `---\n${serializeFrontmatter(data)}\n---\n${body}`;
+
+  // Reject anything that still doesn't round-trip through the YAML parser
+  if (valid) {
+    try {
+      matter(serialized);
+    } catch (e) {
+      errors.push(`Frontmatter still invalid after repair: ${e.message}`);
+    }
+  }
+
+  return {
+    valid: errors.length === 0,
+    content: repair && errors.length === 0 ? serialized : markdown,
+    data,
+    errors,
+    repairs,
+    warnings
+  };
+}
+
+// Human-readable report for one post
+function formatReport(name, result) {
+  const lines = [];
+  if (!result.valid) {
+    lines.push(`❌ ${name}`);
+    result.errors.forEach(e => lines.push(`   ✗ ${e}`));
+  } else if (result.repairs.length > 0) {
+    lines.push(`🔧 ${name}`);
+  } else if (result.warnings.length > 0) {
+    lines.push(`⚠️  ${name}`);
+  }
+  result.repairs.forEach(r => lines.push(`   • ${r}`));
+  result.warnings.forEach(w => lines.push(`   ⚠ ${w}`));
+  return lines.join('\n');
+}
+
+// Every post file in content/posts
+function listPostFiles() {
+  return fs.readdirSync(postsDir)
+    .filter(f => f.endsWith('.md') || f.endsWith('.mdx'))
+    .map(f => path.join(postsDir, f));
+}
+
+/**
+ * Validate post files (every post in content/posts by default); with `fix`, repairs are written back.
+ * Returns one { file, valid, errors, repairs, warnings, fixed } per file.
+ */
+function validateFiles(files = listPostFiles(), { fix = false } = {}) {
+  return files.map(file => {
+    const original = fs.readFileSync(file, 'utf-8');
+    const result = validatePost(original, { repair: fix, requireH1: false });
+    // Only rewrite files with an actual repair, not for formatting differences
+    const fixed = fix && result.valid && result.repairs.length > 0 && result.content !== original;
+    if (fixed) {
+      fs.writeFileSync(file, result.content, 'utf-8');
+    }
+    return { file: path.basename(file), valid: result.valid, errors: result.errors, repairs: result.repairs, warnings: result.warnings, fixed };
+  });
+}
+
+// CLI execution
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const fix = args.includes('--fix');
+  const files = args.filter(a => !a.startsWith('--'));
+
+  const results = validateFiles(files.length > 0 ? files.map(f => path.resolve(f)) : listPostFiles(), { fix });
+  const invalid = results.filter(r => !r.valid).length;
+
+  results
+    .filter(r => !r.valid || r.fixed || (!fix && r.repairs.length > 0) || r.warnings.length > 0)
+    .forEach(r => console.log(formatReport(r.file, r)));
+
+  if (fix) {
+    console.log(`\n📝 Repaired frontmatter in ${results.filter(r => r.fixed).length} file(s)`);
+  } else if (results.some(r => r.valid && r.repairs.length > 0)) {
+    console.log(`\n🔧 ${results.filter(r => r.valid && r.repairs.length > 0).length} post(s) can be repaired with --fix`);
+  }
+  console.log(`${invalid === 0 ? '✅' : '❌'} ${results.length - invalid}/${results.length} post(s) valid`);
+
+  if (invalid > 0) {
+    process.exit(1);
+  }
+}
+
+module.exports = { validatePost, validateFiles, listPostFiles, formatReport, serializeFrontmatter, findH1 };
@@ -0,0 +1,24 @@
+import { formatFrontmatterReport } from '../lib/frontmatter';
+import { validatePosts } from '../lib/posts';
+
+// Checks every post, drafts included, against the frontmatter schema the build uses.
+// Usage: npm run validate-schema [-- --warn]
+//   --warn   Report problems but exit 0 (same as BLOG_FRONTMATTER_MODE=warn)
+
+function main() {
+  const warnOnly = process.argv.includes('--warn') || process.env.BLOG_FRONTMATTER_MODE === 'warn';
+  const invalid = validatePosts();
+
+  if (invalid.length === 0) {
+    console.log('✅ All posts have valid frontmatter');
+    return;
+  }
+
+  console.error(`❌ ${formatFrontmatterReport(invalid)}`);
+  console.error('\n💡 npm run validate-frontmatter -- --fix repairs stray quotes, ISO timestamps and string booleans');
+  if (!warnOnly) {
+    process.exit(1);
+  }
+}
+
+main();
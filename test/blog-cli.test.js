@@ -0,0 +1,172 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { createSandbox, fixturePost } = require('./helpers/sandbox');
+
+// Exit codes documented in scripts/blog.js
+const EXIT_OK = 0;
+const EXIT_FAILED = 1;
+const EXIT_USAGE = 2;
+const EXIT_INCOMPLETE = 3;
+
+const env = { BLOG_LLM_PROVIDER: 'mock', BLOG_TRENDS_MODE: 'offline', BLOG_LOG_LEVEL: 'error' };
+
+const INVALID_POST = '---\ntitle: "No Tags"\ndate: "2026-01-03"\nexcerpt: "Missing its tags."\n---\n\n# No Tags\n';
+
+describe('blog.js', () => {
+  let sandbox;
+  const run = (...args) => sandbox.runCli(args, { env });
+  // Run with --json and parse the single JSON document on stdout
+  const runJson = (...args) => {
+    const { status, stdout } = run(...args, '--json');
+    return { status, report: JSON.parse(stdout) };
+  };
+
+  before(() => { sandbox = createSandbox(); });
+  after(() => sandbox.cleanup());
+
+  describe('usage errors exit with 2', () => {
+    const cases = {
+      'no command': [],
+      'unknown command': ['deploy'],
+      'unknown option': ['list', '--nope'],
+      'bad number': ['list', '--limit', 'many'],
+      'extra argument': ['plan', '3', '4'],
+      '--record without a topic': ['plan', '--record', '--category', 'security'],
+      '--topic without --record': ['plan', '--topic', 'CSP nonces'],
+      'unknown category': ['generate', '--category', 'gardening'],
+      '--focus without --topic': ['generate', '--focus', 'Containers'],
+      '--resume with a count': ['batch', '3', '--resume', 'run.json'],
+      'conflicting flags': ['refresh', 'some-post', '--dry-run', '--yes']
+    };
+
+    for (const [name, args] of Object.entries(cases)) {
+      test(name, () => {
+        assert.equal(run(...args).status, EXIT_USAGE);
+      });
+    }
+
+    test('--json reports the usage error on stdout', () => {
+      const { status, report } = runJson('deploy');
+
+      assert.equal(status, EXIT_USAGE);
+      assert.deepEqual(report, { command: null, ok: false, exitCode: EXIT_USAGE, error: report.error });
+      assert.match(report.error, /^Unknown command "deploy"/);
+    });
+  });
+
+  test('help exits with 0', () => {
+    assert.equal(run('help').status, EXIT_OK);
+    assert.equal(run('batch', '--help').status, EXIT_OK);
+  });
+
+  test('validate exits with 1 when a post is invalid', () => {
+    const file = path.join(sandbox.postsDir, '2026-01-03-no-tags.md');
+    assert.equal(run('validate').status, EXIT_OK);
+
+    fs.writeFileSync(file, INVALID_POST);
+    try {
+      const { status, report } = runJson('validate');
+      assert.equal(status, EXIT_FAILED);
+      assert.equal(report.result.invalid, 1);
+    } finally {
+      fs.unlinkSync(file);
+    }
+  });
+
+  test('plan exits with 0', () => {
+    const { status, report } = runJson('plan', '3', '--per-day', '1', '--category', 'security');
+
+    assert.equal(status, EXIT_OK);
+    assert.equal(report.result.length, 3);
+  });
+
+  test('plan --next leaves the history alone; --record writes the post that was saved', () => {
+    const file = path.join(sandbox.postsDir, '2026-01-04-csp-nonces.md');
+    assert.equal(runJson('plan', '--next', '--category', 'security').status, EXIT_OK);
+    assert.equal(sandbox.readJson('content/topic-history.json'), null);
+
+    assert.equal(run('plan', '--record', '--category', 'security', '--topic', 'CSP nonces', '--file', 'content/posts/2026-01-04-csp-nonces.md').status, EXIT_FAILED);
+
+    fs.writeFileSync(file, fixturePost('mock-rate-limiting.md', '2026-01-04'));
+    try {
+      const { status, report } = runJson('plan', '--record', '--category', 'security', '--focus', 'API security', '--topic', 'CSP nonces', '--file', 'content/posts/2026-01-04-csp-nonces.md');
+
+      assert.equal(status, EXIT_OK);
+      assert.deepEqual(sandbox.readJson('content/topic-history.json'), [report.result]);
+      assert.deepEqual({ ...report.result, date: null }, { date: null, category: 'security', focus: 'API security', topic: 'CSP nonces', file: '2026-01-04-csp-nonces.md' });
+    } finally {
+      fs.unlinkSync(file);
+      fs.rmSync(path.join(sandbox.root, 'content', 'topic-history.json'), { force: true });
+    }
+  });
+
+  test('a dry-run batch exits with 0', () => {
+    const { status, report } = runJson('batch', '2', '--dry-run', '--category', 'devops');
+
+    assert.equal(status, EXIT_OK);
+    assert.equal(report.result.planned.length, 2);
+  });
+
+  test('generate exits with 0 for a saved post', () => {
+    const { status, report } = runJson('generate', '--category', 'devops', '--topic', 'Terraform state locking');
+
+    assert.equal(status, EXIT_OK);
+    assert.equal(report.result.status, 'saved');
+    assert.deepEqual(sandbox.listPosts(), [report.result.file]);
+  });
+
+  test('generate exits with 3 when the post duplicates the archive', () => {
+    // The mock provider only has these two posts to answer with
+    fs.writeFileSync(path.join(sandbox.postsDir, '2026-01-01-rate-limiting.md'), fixturePost('mock-rate-limiting.md', '2026-01-01'));
+    fs.writeFileSync(path.join(sandbox.postsDir, '2026-01-02-rust-result.md'), fixturePost('mock-rust-result.md', '2026-01-02'));
+    const { status, report } = runJson('generate', '--category', 'devops', '--topic', 'Docker layer caching');
+
+    assert.equal(status, EXIT_INCOMPLETE);
+    assert.equal(report.result.status, 'skipped');
+  });
+});
+
+describe('main(argv)', () => {
+  // Collect console output while fn runs
+  async function capture(fn) {
+    const stdout = [];
+    const stderr = [];
+    const { log, error } = console;
+    console.log = (...args) => stdout.push(args.join(' '));
+    console.error = (...args) => stderr.push(args.join(' '));
+    try {
+      return { value: await fn(), stdout: stdout.join('\n'), stderr: stderr.join('\n') };
+    } finally {
+      Object.assign(console, { log, error });
+    }
+  }
+
+  test('takes --json, --verbose and the trend flags from argv, not process.argv', async () => {
+    const sandbox = createSandbox();
+    const saved = { ...process.env };
+    Object.assign(process.env, { BLOG_TRENDS_MODE: 'cache', BLOG_LOG_LEVEL: 'error' });
+    try {
+      const { main } = sandbox.require('scripts/blog');
+      const { logger } = sandbox.require('scripts/logger');
+      const { getTrendMode } = sandbox.require('scripts/trend-cache');
+
+      const { value, stdout, stderr } = await capture(() => main(['trends', 'security', '--offline', '--verbose', '--json']));
+
+      assert.equal(value, EXIT_OK);
+      assert.equal(JSON.parse(stdout).command, 'trends');
+      assert.notEqual(stderr, '');
+      assert.equal(logger.level, 'debug');
+      assert.equal(getTrendMode(), 'offline');
+
+      // plan's --record records the topic; it is not the trend mode
+      await capture(() => main(['plan', '--next', '--record', '--category', 'security', '--json']));
+      assert.equal(getTrendMode(), 'cache');
+      assert.equal(logger.level, 'error');
+    } finally {
+      process.env = saved;
+      sandbox.cleanup();
+    }
+  });
+});
@@ -0,0 +1,98 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_FILTERS,
+  countFacet,
+  filterPosts,
+  getReadingLength,
+  getSortOrder,
+  parseFilters,
+  serializeFilters,
+  sortPosts,
+  type BlogFilters,
+} from '../lib/blog-filters';
+import type { PostMetadata } from '../lib/posts';
+
+function post(slug: string, date: string, tags: string[], minutes: number, featured = false): PostMetadata {
+  return { slug, title: slug, date, excerpt: '', tags, readingTime: `${minutes} min read`, featured };
+}
+
+const POSTS = [
+  post('rust-errors', '2026-03-01', ['Rust', 'errors'], 4),
+  post('docker-layers', '2025-11-20', ['docker', 'devops'], 8, true),
+  post('k8s-probes', '2026-01-15', ['kubernetes', 'devops'], 14),
+  post('rust-async', '2025-06-02', ['rust', 'async'], 11),
+];
+
+const filters = (overrides: Partial<BlogFilters>): BlogFilters => ({ ...DEFAULT_FILTERS, ...overrides });
+const slugs = (posts: PostMetadata[]) => posts.map(p => p.slug);
+
+describe('filterPosts', () => {
+  test('keeps everything with the default filters', () => {
+    assert.deepEqual(slugs(filterPosts(POSTS, DEFAULT_FILTERS)), slugs(POSTS));
+  });
+
+  test('matches tags case-insensitively, any tag by default', () => {
+    assert.deepEqual(slugs(filterPosts(POSTS, filters({ tags: ['rust', 'docker'] }))), ['rust-errors', 'docker-layers', 'rust-async']);
+  });
+
+  test('can require every tag', () => {
+    assert.deepEqual(slugs(filterPosts(POSTS, filters({ tags: ['rust', 'async'], match: 'all' }))), ['rust-async']);
+  });
+
+  test('filters by year and reading length together', () => {
+    assert.deepEqual(slugs(filterPosts(POSTS, filters({ year: 2026 }))), ['rust-errors', 'k8s-probes']);
+    assert.deepEqual(slugs(filterPosts(POSTS, filters({ year: 2026, length: 'long' }))), ['k8s-probes']);
+  });
+});
+
+describe('getReadingLength', () => {
+  test('buckets posts by minutes', () => {
+    assert.deepEqual(POSTS.map(getReadingLength), ['short', 'medium', 'long', 'long']);
+  });
+});
+
+describe('sortPosts', () => {
+  test('sorts by date, length or featured', () => {
+    assert.deepEqual(slugs(sortPosts(POSTS, 'newest')), ['rust-errors', 'k8s-probes', 'docker-layers', 'rust-async']);
+    assert.deepEqual(slugs(sortPosts(POSTS, 'oldest')), ['rust-async', 'docker-layers', 'k8s-probes', 'rust-errors']);
+    assert.deepEqual(slugs(sortPosts(POSTS, 'longest')), ['k8s-probes', 'rust-async', 'docker-layers', 'rust-errors']);
+    assert.deepEqual(slugs(sortPosts(POSTS, 'featured')), ['docker-layers', 'rust-errors', 'k8s-probes', 'rust-async']);
+  });
+
+  test('keeps the given order for relevance', () => {
+    assert.deepEqual(slugs(sortPosts(POSTS, 'relevance')), slugs(POSTS));
+  });
+});
+
+describe('getSortOrder', () => {
+  test('defaults to relevance while searching and newest otherwise', () => {
+    assert.equal(getSortOrder(filters({ q: 'rust' })), 'relevance');
+    assert.equal(getSortOrder(DEFAULT_FILTERS), 'newest');
+    assert.equal(getSortOrder(filters({ sort: 'relevance' })), 'newest');
+    assert.equal(getSortOrder(filters({ q: 'rust', sort: 'oldest' })), 'oldest');
+  });
+});
+
+describe('parseFilters / serializeFilters', () => {
+  test('round-trip through the query string', () => {
+    const parsed = parseFilters('?q=async&tag=Rust&tag=async&match=all&year=2025&length=long&sort=oldest&page=2');
+
+    assert.deepEqual(parsed, { q: 'async', tags: ['rust', 'async'], match: 'all', year: 2025, length: 'long', sort: 'oldest', page: 2 });
+    assert.deepEqual(parseFilters(serializeFilters(parsed)), parsed);
+  });
+
+  test('drop unknown values and leave defaults out', () => {
+    assert.deepEqual(parseFilters('?length=epic&sort=random&page=-3&year=soon&tag=&tag=Go&tag=go'), filters({ tags: ['go'] }));
+    assert.equal(serializeFilters(DEFAULT_FILTERS), '');
+    assert.equal(serializeFilters(filters({ tags: ['go'], match: 'all' })), '?tag=go');
+  });
+});
+
+describe('countFacet', () => {
+  test('counts each tag under the other filters, ignoring the tag selection itself', () => {
+    const counts = countFacet(POSTS, filters({ tags: ['docker'], year: 2026 }), 'tags', p => p.tags.map(tag => tag.toLowerCase()));
+
+    assert.deepEqual(Object.fromEntries(counts), { rust: 1, errors: 1, kubernetes: 1, devops: 1 });
+  });
+});
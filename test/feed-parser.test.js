@@ -0,0 +1,76 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { parseFeed } = require('../scripts/feed-parser');
+
+const FEEDS_DIR = path.join(__dirname, '..', 'scripts', 'fixtures', 'trends', 'feeds');
+const fixture = name => parseFeed(fs.readFileSync(path.join(FEEDS_DIR, name), 'utf-8'));
+
+describe('parseFeed', () => {
+  test('reads an RSS feed with CDATA descriptions and categories', () => {
+    const feed = fixture('github.blog-security-feed.xml');
+
+    assert.equal(feed.format, 'rss');
+    assert.equal(feed.title, 'Security Archives - The GitHub Blog');
+    assert.equal(feed.entries.length, 3);
+    assert.deepEqual(feed.entries[0], {
+      title: 'How we hunt for secrets leaked in container image layers',
+      url: 'https://github.blog/security/hunting-secrets-in-container-layers/',
+      description: "Deleted files don't disappear from earlier layers. Here's how our scanners find credentials baked into images & what to do about them.",
+      categories: ['Security', 'Supply chain security'],
+      publishedAt: feed.entries[0].publishedAt
+    });
+    assert.match(feed.entries[0].publishedAt, /^\d{4}-\d{2}-\d{2}T/);
+  });
+
+  test('reads an Atom feed, taking the alternate link and escaped HTML content', () => {
+    const feed = fixture('blog.rust-lang.org-feed.xml');
+
+    assert.equal(feed.format, 'atom');
+    assert.equal(feed.title, 'Rust Blog');
+    assert.deepEqual(feed.entries.map(entry => entry.publishedAt), [
+      '2026-10-16T00:00:00.000Z',
+      '2026-10-08T00:00:00.000Z',
+      '2026-09-04T00:00:00.000Z'
+    ]);
+
+    const [release, report, older] = feed.entries;
+    assert.equal(release.url, 'https://blog.rust-lang.org/2026/10/16/Rust-1.91.0.html');
+    assert.match(release.description, /^The Rust team is happy to announce/);
+    assert.deepEqual(report.categories, ['async']);
+    assert.equal(older.description, 'Rust 1.90.0 switches the default linker on Linux to lld & more.');
+  });
+
+  test('parses every recorded fixture feed', () => {
+    fs.readdirSync(FEEDS_DIR).forEach(name => {
+      const feed = fixture(name);
+      assert.ok(feed.title, `${name} has a title`);
+      assert.ok(feed.entries.length > 0, `${name} has entries`);
+      feed.entries.forEach(entry => {
+        assert.ok(entry.title && /^https?:\/\//.test(entry.url), `${name}: ${JSON.stringify(entry)}`);
+      });
+    });
+  });
+
+  test('ignores commented-out markup and decodes numeric entities', () => {
+    const feed = parseFeed(`<?xml version="1.0"?>
+<rss version="2.0"><channel><title>Caf&#233; &#x2014; News</title>
+<!-- <item><title>Hidden</title></item> -->
+<item><title>First &lt;b&gt;bold&lt;/b&gt; post</title><guid>https://example.com/1</guid><pubDate>not a date</pubDate></item>
+</channel></rss>`);
+
+    assert.equal(feed.title, 'Café — News');
+    assert.deepEqual(feed.entries, [{
+      title: 'First bold post',
+      url: 'https://example.com/1',
+      description: '',
+      categories: [],
+      publishedAt: null
+    }]);
+  });
+
+  test('throws for documents that are not feeds', () => {
+    assert.throws(() => parseFeed('<html><body>Not a feed</body></html>'), /Not an RSS or Atom feed/);
+  });
+});
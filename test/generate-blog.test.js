@@ -0,0 +1,159 @@
+const { describe, test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { createSandbox, fixturePost } = require('./helpers/sandbox');
+
+// Offline: canned posts from scripts/fixtures/posts, trends from scripts/fixtures/trends
+process.env.BLOG_LLM_PROVIDER = 'mock';
+process.env.BLOG_TRENDS_MODE = 'offline';
+process.env.BLOG_LOG_LEVEL = 'error';
+
+const today = new Date().toISOString().split('T')[0];
+const quiet = { info() {}, warn() {}, error() {}, debug() {} };
+
+describe('generatePost', () => {
+  let sandbox;
+  beforeEach(() => { sandbox = createSandbox(); });
+  afterEach(() => sandbox.cleanup());
+
+  test('saves the post, records the topic and its token usage', async () => {
+    const { generatePost } = sandbox.require('scripts/generate-blog');
+    const result = await generatePost({ category: 'backend', topic: 'Rate limiting with token buckets', log: quiet });
+
+    assert.equal(result.status, 'saved');
+    assert.equal(result.category, 'backend');
+    assert.match(result.file, new RegExp(`^${today}-[a-z0-9-]+[a-z0-9]\\.md$`));
+    assert.deepEqual(sandbox.listPosts(), [result.file]);
+
+    const history = sandbox.readJson('content/topic-history.json');
+    assert.deepEqual(history.map(entry => [entry.topic, entry.file]), [['Rate limiting with token buckets', result.file]]);
+
+    const ledger = sandbox.readJson('content/usage-ledger.json');
+    assert.ok(ledger.length > 0);
+    assert.ok(ledger.every(entry => entry.provider === 'mock' && entry.file === result.file));
+  });
+
+  test('picks a scheduled topic for the category when none is given', async () => {
+    const { generatePost } = sandbox.require('scripts/generate-blog');
+    const { getTopicPool } = sandbox.require('scripts/topic-scheduler');
+    const result = await generatePost({ category: 'security', log: quiet });
+
+    assert.equal(result.status, 'saved');
+    assert.ok(getTopicPool('security').topics.includes(result.topic));
+  });
+
+  test('renders the prompt without calling the model', async () => {
+    const { generatePost } = sandbox.require('scripts/generate-blog');
+    const result = await generatePost({ category: 'devops', topic: 'Docker layer caching', showPrompt: true, log: quiet });
+
+    assert.equal(result.status, 'prompt');
+    assert.match(result.prompt, /Docker layer caching/);
+    assert.deepEqual(sandbox.listPosts(), []);
+    assert.equal(sandbox.readJson('content/usage-ledger.json'), null);
+  });
+
+  test('skips a post that duplicates the archive', async () => {
+    sandbox.cleanup();
+    sandbox = createSandbox({
+      posts: {
+        '2026-01-01-rate-limiting.md': fixturePost('mock-rate-limiting.md', '2026-01-01'),
+        '2026-01-02-rust-result.md': fixturePost('mock-rust-result.md', '2026-01-02')
+      }
+    });
+    const { generatePost } = sandbox.require('scripts/generate-blog');
+    const result = await generatePost({ category: 'devops', topic: 'Terraform state locking', log: quiet });
+
+    assert.equal(result.status, 'skipped');
+    assert.equal(result.reason, 'Too similar to existing content');
+    assert.ok(result.nearest[0].score >= 0.45);
+    assert.equal(sandbox.listPosts().length, 2);
+  });
+});
+
+describe('generateBlogPost', () => {
+  let sandbox;
+  beforeEach(() => { sandbox = createSandbox(); });
+  afterEach(() => sandbox.cleanup());
+
+  test('returns a canned post from the mock provider', async () => {
+    const { generateBlogPost } = sandbox.require('scripts/generate-blog');
+    const content = await generateBlogPost({}, 'Rate limiting with token buckets');
+
+    const fixtures = ['mock-rate-limiting.md', 'mock-rust-result.md'].map(name => fixturePost(name, today));
+    assert.ok(fixtures.includes(content));
+  });
+
+  test('answers the same prompt with the same post', async () => {
+    const { generateBlogPost } = sandbox.require('scripts/generate-blog');
+
+    assert.equal(await generateBlogPost({}, 'Docker layer caching'), await generateBlogPost({}, 'Docker layer caching'));
+  });
+});
+
+describe('saveBlogPost', () => {
+  let sandbox;
+  beforeEach(() => { sandbox = createSandbox(); });
+  afterEach(() => sandbox.cleanup());
+
+  test('never overwrites an existing post', () => {
+    const { saveBlogPost } = sandbox.require('scripts/generate-blog');
+    const first = saveBlogPost('first', '2026-10-19-same-slug.md', { log: quiet });
+    const second = saveBlogPost('second', '2026-10-19-same-slug.md', { log: quiet });
+
+    assert.equal(path.basename(first), '2026-10-19-same-slug.md');
+    assert.equal(path.basename(second), '2026-10-19-same-slug-2.md');
+    assert.equal(fs.readFileSync(first, 'utf-8'), 'first');
+    assert.equal(fs.readFileSync(second, 'utf-8'), 'second');
+  });
+});
+
+describe('generateSlug', () => {
+  const { generateSlug } = require('../scripts/generate-blog');
+
+  test('drops punctuation and emoji', () => {
+    assert.equal(generateSlug("Rust's Result Type: Error Handling 🦀"), 'rusts-result-type-error-handling');
+  });
+
+  test('trims hyphens left by truncation or a leading emoji', () => {
+    assert.equal(generateSlug('🔥 Hot take'), 'hot-take');
+    const slug = generateSlug(`${'a'.repeat(59)} tail`);
+    assert.equal(slug, 'a'.repeat(59));
+  });
+
+  test('falls back to the topic, then a hash, when the title has nothing to slug', () => {
+    assert.equal(generateSlug('🔥🚀 !!!', 'Docker layer caching'), 'docker-layer-caching');
+    assert.match(generateSlug('🔥🚀 !!!'), /^post-[0-9a-f]{8}$/);
+    assert.equal(generateSlug('🔥🚀 !!!'), generateSlug('🔥🚀 !!!'));
+  });
+});
+
+describe('batchGenerate', () => {
+  let sandbox;
+  beforeEach(() => { sandbox = createSandbox({ config: { generation: { batch: { delayMs: 0 } } } }); });
+  afterEach(() => sandbox.cleanup());
+
+  test('saves the requested posts and records them in the run manifest', async () => {
+    const { batchGenerate } = sandbox.require('scripts/batch-generate-blog');
+    const result = await batchGenerate({ count: 1, category: 'devops', concurrency: 1, dryRun: false, resume: null });
+
+    assert.equal(result.status, 'completed');
+    assert.equal(result.generated, 1);
+    assert.deepEqual(sandbox.listPosts(), [result.results[0].file]);
+
+    const manifest = sandbox.readJson(result.manifest);
+    assert.equal(manifest.status, 'completed');
+    assert.deepEqual(manifest.attempts.map(attempt => attempt.status), ['saved']);
+  });
+
+  test('plans topics on a dry run without generating anything', async () => {
+    const { batchGenerate } = sandbox.require('scripts/batch-generate-blog');
+    const result = await batchGenerate({ count: 3, category: 'security', concurrency: 1, dryRun: true, resume: null });
+
+    assert.equal(result.status, 'planned');
+    assert.equal(result.planned.length, 3);
+    assert.equal(new Set(result.planned.map(entry => entry.topic)).size, 3);
+    assert.deepEqual(sandbox.listPosts(), []);
+    assert.equal(fs.existsSync(path.join(sandbox.root, '.cache', 'runs')), false);
+  });
+});
@@ -0,0 +1,82 @@
+/**
+ * Sandbox - Throwaway copy of the repository for tests that run the generation scripts
+ * The scripts resolve every path from their own location, so a copy of scripts/, lib/ and
+ * blog-config.json in a temp directory keeps what they write (posts, topic history, usage
+ * ledger, run manifests) out of the real tree. node_modules, app/ and public/ are linked.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const ROOT_DIR = path.join(__dirname, '..', '..');
+
+// Nested objects merge, everything else (arrays included) is replaced
+function mergeConfig(base, overrides) {
+  const merged = { ...base };
+  Object.entries(overrides).forEach(([key, value]) => {
+    const isObject = value && typeof value === 'object' && !Array.isArray(value);
+    merged[key] = isObject && base[key] ? mergeConfig(base[key], value) : value;
+  });
+  return merged;
+}
+
+/**
+ * Create a sandbox. `posts` maps file names to markdown for content/posts,
+ * `config` is merged over blog-config.json.
+ */
+function createSandbox({ posts = {}, config = {} } = {}) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'blog-test-'));
+
+  ['scripts', 'lib'].forEach(dir => fs.cpSync(path.join(ROOT_DIR, dir), path.join(root, dir), { recursive: true }));
+  ['node_modules', 'app', 'public'].forEach(dir => fs.symlinkSync(path.join(ROOT_DIR, dir), path.join(root, dir), 'dir'));
+
+  const baseConfig = JSON.parse(fs.readFileSync(path.join(ROOT_DIR, 'blog-config.json'), 'utf-8'));
+  fs.writeFileSync(path.join(root, 'blog-config.json'), JSON.stringify(mergeConfig(baseConfig, config), null, 2));
+
+  const postsDir = path.join(root, 'content', 'posts');
+  fs.mkdirSync(postsDir, { recursive: true });
+  Object.entries(posts).forEach(([file, markdown]) => fs.writeFileSync(path.join(postsDir, file), markdown));
+
+  return {
+    root,
+    postsDir,
+
+    // Files in content/posts, sorted
+    listPosts() {
+      return fs.readdirSync(postsDir).filter(f => f.endsWith('.md')).sort();
+    },
+
+    readJson(file) {
+      const filepath = path.join(root, file);
+      return fs.existsSync(filepath) ? JSON.parse(fs.readFileSync(filepath, 'utf-8')) : null;
+    },
+
+    // A module from the sandbox copy, e.g. require('scripts/generate-blog')
+    require(module) {
+      return require(path.join(root, module));
+    },
+
+    // Run `node scripts/blog.js ...args`; returns { status, stdout, stderr }
+    runCli(args, { env = {} } = {}) {
+      return spawnSync(process.execPath, [path.join(root, 'scripts', 'blog.js'), ...args], {
+        cwd: root,
+        env: { ...process.env, ...env },
+        encoding: 'utf-8',
+        timeout: 60000
+      });
+    },
+
+    cleanup() {
+      fs.rmSync(root, { recursive: true, force: true });
+    }
+  };
+}
+
+// A mock fixture post with its {{date}} filled in, for archives the generated posts collide with
+function fixturePost(name, date) {
+  return fs.readFileSync(path.join(ROOT_DIR, 'scripts', 'fixtures', 'posts', name), 'utf-8').replace(/\{\{date\}\}/g, date);
+}
+
+module.exports = { createSandbox, fixturePost, ROOT_DIR };
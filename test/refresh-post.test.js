@@ -0,0 +1,80 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { createSandbox, fixturePost } = require('./helpers/sandbox');
+
+process.env.BLOG_LLM_PROVIDER = 'mock';
+process.env.BLOG_TRENDS_MODE = 'offline';
+process.env.BLOG_LOG_LEVEL = 'error';
+
+const SLUG = '2026-01-01-rate-limiting';
+const original = fixturePost('mock-rate-limiting.md', '2026-01-01');
+
+// The mock answers every refresh with the post, a new excerpt and one more paragraph
+const refreshed = fixturePost('mock-rate-limiting.md', '2026-01-01')
+  .replace(/^excerpt: .*$/m, 'excerpt: "Token buckets, revisited: the same idea with what changed since."')
+  .replace(/^(Every request was valid\..*)$/m, '$1\n\nThis still happens every week somewhere.');
+
+describe('proposeRefresh', () => {
+  let sandbox;
+  let refresh;
+  const postFile = () => path.join(sandbox.postsDir, `${SLUG}.md`);
+  const propose = options => refresh.proposeRefresh(SLUG, { date: '2026-10-19', ...options });
+
+  before(() => {
+    sandbox = createSandbox({
+      posts: { [`${SLUG}.md`]: original },
+      config: { llm: { mock: { fixturesDir: 'refresh-fixtures' } } }
+    });
+    fs.mkdirSync(path.join(sandbox.root, 'refresh-fixtures'));
+    fs.writeFileSync(path.join(sandbox.root, 'refresh-fixtures', 'refreshed.md'), refreshed);
+    refresh = sandbox.require('scripts/refresh-post');
+  });
+  after(() => sandbox.cleanup());
+
+  test('saves a proposal and leaves the post alone', async () => {
+    const result = await propose();
+
+    assert.equal(result.status, 'proposed');
+    assert.equal(result.added, 4);
+    assert.equal(fs.readFileSync(postFile(), 'utf-8'), original);
+    assert.ok(fs.existsSync(path.join(sandbox.root, result.proposalFile)));
+  });
+
+  test('applies the saved proposal without asking the model again', async () => {
+    fs.rmSync(path.join(sandbox.root, 'refresh-fixtures', 'refreshed.md'));
+    try {
+      const result = await propose({ apply: true });
+
+      assert.equal(result.status, 'proposed');
+      assert.match(result.proposal, /^updated: "2026-10-19"$/m);
+    } finally {
+      fs.writeFileSync(path.join(sandbox.root, 'refresh-fixtures', 'refreshed.md'), refreshed);
+    }
+  });
+
+  test('refuses a proposal made before the post was edited', async () => {
+    await propose();
+    fs.writeFileSync(postFile(), original.replace('Real talk:', 'Honestly:'));
+    try {
+      const result = await propose({ apply: true });
+
+      assert.equal(result.status, 'rejected');
+      assert.match(result.reason, /changed after the proposal was made/);
+    } finally {
+      fs.writeFileSync(postFile(), original);
+    }
+  });
+
+  test('refuses a saved proposal that is no longer valid', async () => {
+    const { proposalFile } = await propose();
+    const proposal = path.join(sandbox.root, proposalFile);
+    fs.writeFileSync(proposal, fs.readFileSync(proposal, 'utf-8').replace(/^tags: .*\n/m, ''));
+
+    const result = await propose({ apply: true });
+
+    assert.equal(result.status, 'rejected');
+    assert.equal(result.reason, 'Frontmatter validation failed');
+  });
+});
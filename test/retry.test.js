@@ -0,0 +1,140 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  withRetry,
+  createRetryBudget,
+  classifyHttpError,
+  isRetryableError,
+  isFatalError,
+  parseRetryAfter,
+  LLMRequestError,
+  RetryExhaustedError
+} = require('../scripts/retry');
+
+// No real waiting: backoff windows of a millisecond at most
+const fast = { baseDelayMs: 1, maxDelayMs: 1 };
+const errorBody = type => JSON.stringify({ error: { type, message: 'test' } });
+
+// An fn for withRetry that fails with `errors` in turn, then resolves to 'ok'
+function failing(...errors) {
+  const calls = [];
+  const fn = async attempt => {
+    calls.push(attempt);
+    if (errors.length > 0) throw errors.shift();
+    return 'ok';
+  };
+  return { fn, calls };
+}
+
+describe('classifyHttpError', () => {
+  for (const status of [408, 429, 500, 502, 503, 504, 529]) {
+    test(`${status} is retryable`, () => {
+      const error = classifyHttpError(status, errorBody('api_error'));
+      assert.equal(error.retryable, true);
+      assert.equal(isFatalError(error), false);
+    });
+  }
+
+  for (const status of [400, 401, 403, 404, 409, 413, 422]) {
+    test(`${status} is fatal`, () => {
+      const error = classifyHttpError(status, errorBody('invalid_request_error'));
+      assert.equal(error.retryable, false);
+      assert.equal(isFatalError(error), true);
+    });
+  }
+
+  test('an overloaded_error body is retryable whatever the status', () => {
+    assert.equal(classifyHttpError(400, errorBody('overloaded_error')).retryable, true);
+  });
+
+  test('a body that is not JSON is classified by status alone', () => {
+    const error = classifyHttpError(502, '<html>Bad Gateway</html>');
+    assert.equal(error.retryable, true);
+    assert.equal(error.code, null);
+  });
+
+  test('keeps the retry-after header', () => {
+    assert.equal(classifyHttpError(429, errorBody('rate_limit_error'), { 'retry-after': '7' }).retryAfterMs, 7000);
+  });
+});
+
+describe('isRetryableError', () => {
+  test('socket errors are retryable, others are not', () => {
+    assert.equal(isRetryableError(Object.assign(new Error('reset'), { code: 'ECONNRESET' })), true);
+    assert.equal(isRetryableError(Object.assign(new Error('missing'), { code: 'ENOENT' })), false);
+    assert.equal(isRetryableError(new TypeError('bug')), false);
+  });
+
+  test('an explicit retryable flag wins over the status', () => {
+    assert.equal(isRetryableError(new LLMRequestError('timeout', { status: 400, retryable: true })), true);
+    assert.equal(isRetryableError(new LLMRequestError('no', { status: 503, retryable: false })), false);
+  });
+});
+
+describe('parseRetryAfter', () => {
+  test('reads seconds and HTTP dates', () => {
+    assert.equal(parseRetryAfter('2'), 2000);
+    assert.equal(parseRetryAfter(new Date(Date.now() - 60000).toUTCString()), 0);
+    const ms = parseRetryAfter(new Date(Date.now() + 60000).toUTCString());
+    assert.ok(ms > 55000 && ms <= 60000);
+  });
+
+  test('ignores missing and unreadable values', () => {
+    assert.equal(parseRetryAfter(undefined), null);
+    assert.equal(parseRetryAfter(''), null);
+    assert.equal(parseRetryAfter('soon'), null);
+  });
+});
+
+describe('withRetry', () => {
+  test('retries transient failures until the call succeeds', async () => {
+    const { fn, calls } = failing(classifyHttpError(503, ''), classifyHttpError(429, ''));
+    const retries = [];
+
+    assert.equal(await withRetry(fn, { ...fast, onRetry: (error, attempt) => retries.push([error.status, attempt]) }), 'ok');
+    assert.deepEqual(calls, [0, 1, 2]);
+    assert.deepEqual(retries, [[503, 1], [429, 2]]);
+  });
+
+  test('does not retry fatal errors', async () => {
+    const { fn, calls } = failing(classifyHttpError(409, errorBody('conflict')));
+
+    await assert.rejects(withRetry(fn, fast), error => error.status === 409);
+    assert.deepEqual(calls, [0]);
+  });
+
+  test('gives up after maxRetries', async () => {
+    const { fn, calls } = failing(...Array.from({ length: 5 }, () => classifyHttpError(500, '')));
+
+    await assert.rejects(withRetry(fn, { ...fast, maxRetries: 2 }), error => {
+      assert.ok(error instanceof RetryExhaustedError);
+      assert.equal(error.cause.status, 500);
+      assert.equal(isFatalError(error), true);
+      return true;
+    });
+    assert.deepEqual(calls, [0, 1, 2]);
+  });
+
+  test('shares the retry budget across calls', async () => {
+    const budget = createRetryBudget(1);
+    await withRetry(failing(classifyHttpError(503, '')).fn, { ...fast, budget });
+
+    const { fn, calls } = failing(classifyHttpError(503, ''));
+    await assert.rejects(withRetry(fn, { ...fast, budget }), /Retry budget for this run exhausted \(1 retries\)/);
+    assert.deepEqual(calls, [0]);
+  });
+
+  test('caps retry-after at the waiting time left in the budget', async () => {
+    const budget = createRetryBudget(10, 20);
+    const delays = [];
+    const rateLimited = () => classifyHttpError(429, '', { 'retry-after': '3600' });
+    const { fn, calls } = failing(rateLimited(), rateLimited());
+
+    await assert.rejects(
+      withRetry(fn, { ...fast, budget, onRetry: (error, attempt, delay) => delays.push(delay) }),
+      /Retry budget for this run exhausted \(20ms of waiting\)/
+    );
+    assert.deepEqual(delays, [20]);
+    assert.deepEqual(calls, [0, 1]);
+  });
+});
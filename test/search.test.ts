@@ -0,0 +1,112 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SEARCH_INDEX_VERSION, buildSearchIndex, highlight, searchIndex, tokenize, type SearchInput } from '../lib/search';
+
+const POSTS: SearchInput[] = [
+  {
+    slug: 'rust-errors',
+    title: "Rust's Result Type: Error Handling That Doesn't Lie",
+    excerpt: 'Why Result beats exceptions for recoverable errors.',
+    tags: ['rust', 'error-handling'],
+    content: [
+      '# Rust\'s Result Type',
+      '',
+      '## Propagating errors with the question mark',
+      '',
+      'The question mark operator returns early when a function call fails, so callers decide what to do.',
+      '',
+      '```rust',
+      'let kubernetes = parse()?;',
+      '```',
+    ].join('\n'),
+  },
+  {
+    slug: 'k8s-probes',
+    title: 'Kubernetes Probes Without Tears',
+    excerpt: 'Liveness, readiness and startup probes explained.',
+    tags: ['kubernetes', 'devops'],
+    content: [
+      '# Kubernetes Probes Without Tears',
+      '',
+      '## Readiness versus liveness',
+      '',
+      'A readiness probe takes a pod out of the service while it warms its caches after a deploy.',
+    ].join('\n'),
+  },
+  {
+    slug: 'docker-cache',
+    title: 'Docker Layer Caching for Faster Builds',
+    excerpt: 'Order your Dockerfile so the cache survives.',
+    tags: ['docker', 'devops'],
+    content: 'Copy the lockfile before the source so dependency layers stay cached between builds of the container image.',
+  },
+];
+
+const index = buildSearchIndex(POSTS);
+const slugs = (query: string) => searchIndex(index, query).map(result => result.slug);
+
+describe('tokenize', () => {
+  test('stems terms and drops stopwords, accents and apostrophes', () => {
+    assert.deepEqual(tokenize("Don't break the Café's caching"), ['break', 'cafe', 'cach']);
+    assert.deepEqual(tokenize('C++ and C# tips'), ['c++', 'c#', 'tip']);
+  });
+});
+
+describe('buildSearchIndex', () => {
+  test('stores postings as doc gaps and weight levels 1-9', () => {
+    assert.equal(index.version, SEARCH_INDEX_VERSION);
+    assert.deepEqual(index.docs.map(doc => doc.slug), ['rust-errors', 'k8s-probes', 'docker-cache']);
+
+    Object.values(index.terms).forEach(postings => {
+      assert.equal(postings.length % 2, 0);
+      for (let i = 0; i < postings.length; i += 2) {
+        assert.ok(postings[i] >= 0 && postings[i] < POSTS.length);
+        assert.ok(Number.isInteger(postings[i + 1]) && postings[i + 1] >= 1 && postings[i + 1] <= 9);
+      }
+    });
+    assert.deepEqual(index.terms.devop, [1, index.terms.devop[1], 1, index.terms.devop[3]]);
+  });
+
+  test('leaves code blocks and the H1 out', () => {
+    assert.deepEqual(index.docs[0].headings, ['Propagating errors with the question mark']);
+    assert.deepEqual(slugs('parse'), []);
+  });
+});
+
+describe('searchIndex', () => {
+  test('ranks title and tag matches first', () => {
+    assert.deepEqual(slugs('kubernetes'), ['k8s-probes']);
+    assert.deepEqual(slugs('devops').sort(), ['docker-cache', 'k8s-probes']);
+  });
+
+  test('prefers posts matching every query term', () => {
+    assert.deepEqual(slugs('devops docker'), ['docker-cache']);
+  });
+
+  test('matches prefixes and typos', () => {
+    assert.deepEqual(slugs('kube'), ['k8s-probes']);
+    assert.deepEqual(slugs('kubernets'), ['k8s-probes']);
+  });
+
+  test('returns the snippet and terms that matched', () => {
+    const [result] = searchIndex(index, 'question mark');
+
+    assert.equal(result.slug, 'rust-errors');
+    assert.equal(result.snippet, 'Propagating errors with the question mark');
+    assert.deepEqual(result.terms.sort(), ['mark', 'question']);
+  });
+
+  test('honours the limit and ignores empty queries', () => {
+    assert.equal(searchIndex(index, 'devops', 1).length, 1);
+    assert.deepEqual(searchIndex(index, 'the and of'), []);
+  });
+});
+
+describe('highlight', () => {
+  test('marks words whose stem matched', () => {
+    assert.deepEqual(highlight('Caching layers', ['cach']), [
+      { text: 'Caching', match: true },
+      { text: ' layers', match: false },
+    ]);
+  });
+});
@@ -0,0 +1,83 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createSandbox, fixturePost } = require('./helpers/sandbox');
+
+const rateLimiting = fixturePost('mock-rate-limiting.md', '2026-01-01');
+const rustResult = fixturePost('mock-rust-result.md', '2026-01-02');
+const archive = {
+  '2026-01-01-rate-limiting.md': rateLimiting,
+  '2026-01-02-rust-result.md': rustResult
+};
+
+describe('checkSimilarity', () => {
+  let sandbox;
+  let similarity;
+  before(() => {
+    sandbox = createSandbox({ posts: archive });
+    similarity = sandbox.require('scripts/similarity');
+  });
+  after(() => sandbox.cleanup());
+
+  test('flags a topic that an existing post already covers', () => {
+    const result = similarity.checkSimilarity({ topic: 'Token bucket rate limiting for APIs' });
+
+    assert.equal(result.isDuplicate, true);
+    assert.equal(result.reason, 'topic');
+    assert.equal(result.nearest[0].file, '2026-01-01-rate-limiting.md');
+    assert.ok(result.nearest[0].score >= result.threshold);
+  });
+
+  test('lets an unrelated topic through', () => {
+    const result = similarity.checkSimilarity({ topic: 'Kubernetes pod disruption budgets' });
+
+    assert.equal(result.isDuplicate, false);
+    assert.ok(result.nearest.every(post => post.score < result.threshold));
+  });
+
+  test('compares generated content against every post body', () => {
+    const duplicate = similarity.checkSimilarity({ content: rateLimiting });
+    assert.equal(duplicate.isDuplicate, true);
+    assert.equal(duplicate.threshold, 0.45);
+
+    const excluded = similarity.checkSimilarity({ content: rateLimiting, exclude: ['2026-01-01-rate-limiting.md'] });
+    assert.equal(excluded.isDuplicate, false);
+    assert.deepEqual(excluded.nearest.map(post => post.file), ['2026-01-02-rust-result.md']);
+  });
+
+  test('scores a rewrite of the same post above the refresh minimum, another post below it', () => {
+    const { refreshMinScore } = similarity.getSimilarityConfig();
+
+    assert.ok(similarity.compareContent(rateLimiting, rateLimiting) > 0.99);
+    assert.ok(similarity.compareContent(rateLimiting, rustResult) < refreshMinScore);
+  });
+
+  test('finds related posts to link to', () => {
+    const related = similarity.findRelatedPosts('Rate limiting an API', { tags: ['backend'] });
+
+    assert.deepEqual(related.map(post => post.url), ['/blog/2026-01-01-rate-limiting']);
+  });
+});
+
+describe('similarity thresholds', () => {
+  test('come from generation.similarity in blog-config.json', () => {
+    const sandbox = createSandbox({ posts: archive, config: { generation: { similarity: { topicThreshold: 0.9 } } } });
+    try {
+      const similarity = sandbox.require('scripts/similarity');
+      const result = similarity.checkSimilarity({ topic: 'Token bucket rate limiting for APIs' });
+
+      assert.equal(result.threshold, 0.9);
+      assert.equal(result.isDuplicate, false);
+    } finally {
+      sandbox.cleanup();
+    }
+  });
+});
+
+describe('tokenize', () => {
+  const { tokenize } = require('../scripts/similarity');
+
+  test('leaves out code, link targets, short words and numbers', () => {
+    const terms = tokenize('Caching `redis.get(key)` in [Laravel](https://laravel.com) 12 with ```js\nconst x = 1;\n``` queues');
+    assert.deepEqual(terms, ['cach', 'laravel', 'queue']);
+  });
+});
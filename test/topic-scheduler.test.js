@@ -0,0 +1,98 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../blog-config.json');
+const { getTopicPool, pickTopic, pickCategory } = require('../scripts/topic-scheduler');
+const { getCategoryTopics } = require('../scripts/taxonomy');
+const { createSandbox } = require('./helpers/sandbox');
+
+const { rotations, weekdays, repeatWindowDays } = config.scheduler;
+
+// 2026-10-19 is a Monday; ISO weekday 1..7 -> that day of the same week
+const MONDAY = '2026-10-19';
+const onWeekday = weekday => new Date(Date.UTC(2026, 9, 18 + weekday));
+
+describe('getTopicPool', () => {
+  for (const [category, days] of Object.entries(rotations)) {
+    test(`${category} rotates through its focuses by weekday`, () => {
+      for (const [weekday, focusKey] of Object.entries(days)) {
+        const focus = config.topics[category].focuses[focusKey];
+        assert.deepEqual(getTopicPool(category, onWeekday(Number(weekday))), { focus: focus.name, topics: focus.topics });
+      }
+    });
+  }
+
+  test('categories without a rotation use all of their topics', () => {
+    const category = Object.keys(config.topics).find(key => !rotations[key]);
+    assert.deepEqual(getTopicPool(category, new Date(MONDAY)), { focus: null, topics: getCategoryTopics(category) });
+  });
+});
+
+describe('pickCategory', () => {
+  test("takes the first of the day's categories not covered yet", () => {
+    const [first, second] = weekdays['1'];
+
+    assert.equal(pickCategory({ date: new Date(MONDAY), history: [] }), first);
+    assert.equal(pickCategory({ date: new Date(MONDAY), history: [{ date: MONDAY, category: first, topic: 'x' }] }), second);
+  });
+});
+
+describe('pickTopic', () => {
+  const date = new Date(MONDAY);
+  const { focus, topics } = getTopicPool('security', date);
+
+  test("picks from the rotation's pool and is stable for a day", () => {
+    const pick = pickTopic({ category: 'security', date, history: [] });
+
+    assert.equal(pick.focus, focus);
+    assert.ok(topics.includes(pick.topic));
+    assert.equal(pick.repeated, false);
+    assert.deepEqual(pickTopic({ category: 'security', date, history: [] }), pick);
+  });
+
+  test('avoids topics covered within the repeat window', () => {
+    const recent = topics.slice(0, -1).map(topic => ({ date: '2026-10-10', category: 'security', topic }));
+    const pick = pickTopic({ category: 'security', date, history: recent });
+
+    assert.equal(pick.topic, topics[topics.length - 1]);
+    assert.equal(pick.repeated, false);
+  });
+
+  test('repeats the least recently covered topic once the pool is used up', () => {
+    const history = topics.map((topic, i) => ({ date: `2026-10-${String(i + 1).padStart(2, '0')}`, category: 'security', topic }));
+    const pick = pickTopic({ category: 'security', date, history });
+
+    assert.equal(pick.topic, topics[0]);
+    assert.equal(pick.repeated, true);
+  });
+
+  test('topics covered before the repeat window are fresh again', () => {
+    const old = new Date(date.getTime() - (repeatWindowDays + 1) * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+    const history = topics.map(topic => ({ date: old, category: 'security', topic }));
+
+    assert.equal(pickTopic({ category: 'security', date, history }).repeated, false);
+  });
+
+  test('returns null when every topic is excluded', () => {
+    assert.equal(pickTopic({ category: 'security', date, history: [], exclude: topics }), null);
+  });
+});
+
+describe('planSchedule', () => {
+  test('follows the rotation and does not repeat topics', () => {
+    const sandbox = createSandbox();
+    try {
+      const { planSchedule } = sandbox.require('scripts/topic-scheduler');
+      const plan = planSchedule(14, { perDay: 1, category: 'devops', start: new Date(MONDAY) });
+
+      assert.equal(plan.length, 14);
+      plan.forEach(entry => {
+        const focusKey = rotations.devops[new Date(entry.date).getUTCDay() || 7];
+        assert.equal(entry.focus, config.topics.devops.focuses[focusKey].name);
+      });
+      assert.equal(new Set(plan.map(entry => entry.topic)).size, 14);
+      assert.equal(sandbox.readJson('content/topic-history.json'), null);
+    } finally {
+      sandbox.cleanup();
+    }
+  });
+});
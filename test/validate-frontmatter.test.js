@@ -0,0 +1,108 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { validatePost, validateFiles } = require('../scripts/validate-frontmatter');
+const { createSandbox } = require('./helpers/sandbox');
+
+const post = (frontmatter, body = '# Hello World\n\nBody text.\n') => `---\n${frontmatter}\n---\n\n${body}`;
+
+const VALID = post([
+  'title: "Hello World"',
+  'date: "2026-10-19"',
+  'excerpt: "A short post."',
+  'tags: ["testing", "node"]'
+].join('\n'));
+
+describe('validatePost', () => {
+  test('accepts a well-formed post without changes', () => {
+    const result = validatePost(VALID);
+
+    assert.equal(result.valid, true);
+    assert.deepEqual(result.errors, []);
+    assert.deepEqual(result.repairs, []);
+    assert.deepEqual(result.warnings, []);
+    assert.deepEqual(result.data.tags, ['testing', 'node']);
+  });
+
+  test('rejects markdown without frontmatter', () => {
+    const result = validatePost('# Just a heading\n');
+
+    assert.equal(result.valid, false);
+    assert.match(result.errors[0], /No frontmatter block/);
+  });
+
+  test('reports missing required fields', () => {
+    const result = validatePost(post('title: "Hello World"'));
+
+    assert.equal(result.valid, false);
+    assert.deepEqual(result.errors, ['date: missing', 'excerpt: missing', 'tags: missing']);
+  });
+
+  test('fills a missing date with the default date', () => {
+    const result = validatePost(post('title: "Hello World"\nexcerpt: "A short post."\ntags: ["node"]'), { defaultDate: '2026-10-19' });
+
+    assert.equal(result.valid, true);
+    assert.equal(result.data.date, '2026-10-19');
+    assert.deepEqual(result.repairs, ['date: set missing date to 2026-10-19']);
+  });
+
+  test('rejects dates it cannot read', () => {
+    const result = validatePost(VALID.replace('2026-10-19', 'someday'));
+
+    assert.equal(result.valid, false);
+    assert.deepEqual(result.errors, ['date: "someday" is not a valid YYYY-MM-DD date']);
+  });
+
+  test('repairs string tags and booleans', () => {
+    const result = validatePost(post([
+      'title: "Hello World"',
+      'date: "2026-10-19"',
+      'excerpt: "A short post."',
+      'tags: "testing, node"',
+      'featured: "false"'
+    ].join('\n')));
+
+    assert.equal(result.valid, true);
+    assert.deepEqual(result.data.tags, ['testing', 'node']);
+    assert.equal(result.data.featured, false);
+    assert.match(result.content, /^featured: false$/m);
+  });
+
+  test('reports an H1 that differs from the title instead of replacing it', () => {
+    const body = '# A Different Heading\n\nBody text.\n';
+    const result = validatePost(VALID.replace('# Hello World\n\nBody text.\n', body));
+
+    assert.equal(result.valid, true);
+    assert.deepEqual(result.repairs, []);
+    assert.deepEqual(result.warnings, ['H1 "A Different Heading" does not match the title']);
+    assert.ok(result.content.includes(body));
+  });
+
+  test('adds a missing H1 unless told not to', () => {
+    const markdown = VALID.replace('# Hello World\n\n', '');
+
+    assert.match(validatePost(markdown).content, /^# Hello World$/m);
+    assert.deepEqual(validatePost(markdown, { requireH1: false }).repairs, []);
+  });
+});
+
+describe('validateFiles', () => {
+  test('only rewrites files with --fix', () => {
+    const broken = VALID.replace('tags: ["testing", "node"]', 'tags: "testing, node"');
+    const sandbox = createSandbox({ posts: { 'broken.md': broken } });
+    const file = path.join(sandbox.postsDir, 'broken.md');
+
+    try {
+      const [checked] = validateFiles([file]);
+      assert.equal(checked.fixed, false);
+      assert.equal(fs.readFileSync(file, 'utf-8'), broken);
+
+      const [fixed] = validateFiles([file], { fix: true });
+      assert.equal(fixed.fixed, true);
+      assert.match(fs.readFileSync(file, 'utf-8'), /^tags: \["testing", "node"\]$/m);
+    } finally {
+      sandbox.cleanup();
+    }
+  });
+});